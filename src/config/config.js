@@ -1,8 +1,31 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+// `--role=worker` on the command line wins over ROLE
+const roleArg = process.argv.find(arg => arg.startsWith('--role='));
+
+// A whole number of at least 0, so an explicit 0 is kept. Anything else,
+// such as "two" or "-1", falls back to the default.
+function count(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
 
 module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT, 10) || 3000,
+  // Names this replica in shared Redis state (metrics, worker heartbeats)
+  instanceId: process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`,
+  // api: HTTP only; worker: runs queued jobs; all: both in one process
+  role: roleArg ? roleArg.slice('--role='.length) : (process.env.ROLE || 'all'),
+
+  worker: {
+    // Health and metrics server of worker-only processes
+    port: parseInt(process.env.WORKER_PORT, 10) || 3100,
+    // Time running jobs get to finish on SIGTERM before they are requeued
+    drainTimeout: parseInt(process.env.WORKER_DRAIN_TIMEOUT, 10) || 60000,
+  },
 
   redis: {
     host: process.env.REDIS_HOST || '127.0.0.1',
@@ -12,17 +35,77 @@ module.exports = {
 
   claude: {
     timeout: parseInt(process.env.CLAUDE_TIMEOUT, 10) || 120000,
+    // Attempts per query job, retried by the queue with backoff
     maxRetries: parseInt(process.env.CLAUDE_MAX_RETRIES, 10) || 3,
+    backend: process.env.CLAUDE_BACKEND || 'cli',
+    allowedBackends: (process.env.CLAUDE_ALLOWED_BACKENDS || process.env.CLAUDE_BACKEND || 'cli')
+      .split(',').map(b => b.trim()).filter(Boolean),
+    binary: process.env.CLAUDE_BINARY || 'claude',
+    mockDelay: parseInt(process.env.CLAUDE_MOCK_DELAY, 10) || 0,
+    killGrace: parseInt(process.env.CLAUDE_KILL_GRACE, 10) || 5000,
+    // Per backend: open after `threshold` consecutive failures, then probe
+    // once every `resetTimeout` ms until a call succeeds
+    breaker: {
+      enabled: process.env.CLAUDE_BREAKER_ENABLED !== 'false',
+      threshold: parseInt(process.env.CLAUDE_BREAKER_THRESHOLD, 10) || 5,
+      resetTimeout: parseInt(process.env.CLAUDE_BREAKER_RESET, 10) || 30000,
+    },
+    // Re-prompts after a reply fails its outputSchema
+    schemaRepairAttempts: count(process.env.CLAUDE_SCHEMA_REPAIR_ATTEMPTS, 2),
+    // Per-request option limits for keys without a policy of their own.
+    // No models listed allows any model; no tools listed allows none.
+    allowedModels: (process.env.CLAUDE_ALLOWED_MODELS || '').split(',').map(m => m.trim()).filter(Boolean),
+    allowedTools: (process.env.CLAUDE_ALLOWED_TOOLS || '').split(',').map(t => t.trim()).filter(Boolean),
+    maxTurns: parseInt(process.env.CLAUDE_MAX_TURNS_LIMIT, 10) || 25,
+    systemPromptMaxLength: parseInt(process.env.CLAUDE_SYSTEM_PROMPT_MAX_LENGTH, 10) || 10000,
+    // Working directories callers may pick by name: "docs=/srv/docs,api=/srv/api"
+    workspaces: Object.fromEntries((process.env.CLAUDE_WORKSPACES || '').split(',')
+      .map(entry => entry.trim().split('='))
+      .filter(([name, dir]) => name && dir)),
+  },
+
+  anthropic: {
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    apiKey: process.env.ANTHROPIC_API_KEY || undefined,
+    version: process.env.ANTHROPIC_VERSION || '2023-06-01',
+    model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+    maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS, 10) || 4096,
+    // USD per million tokens
+    pricing: {
+      input: parseFloat(process.env.ANTHROPIC_PRICE_INPUT) || 3,
+      output: parseFloat(process.env.ANTHROPIC_PRICE_OUTPUT) || 15,
+      cacheWrite: parseFloat(process.env.ANTHROPIC_PRICE_CACHE_WRITE) || 3.75,
+      cacheRead: parseFloat(process.env.ANTHROPIC_PRICE_CACHE_READ) || 0.3,
+    },
   },
 
   queue: {
     concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 5,
+    // Rate limits shrink concurrent Claude executions towards minConcurrency;
+    // successes grow them back to QUEUE_CONCURRENCY
+    adaptiveConcurrency: process.env.QUEUE_ADAPTIVE_CONCURRENCY !== 'false',
+    minConcurrency: parseInt(process.env.QUEUE_MIN_CONCURRENCY, 10) || 1,
+    concurrencyCooldown: 10000,
     maxJobsPerWorker: 100,
+    cancelRetention: parseInt(process.env.QUEUE_CANCEL_RETENTION, 10) || 86400,
+    maxDelay: parseInt(process.env.QUEUE_MAX_DELAY, 10) || 30 * 24 * 3600,
+    fairTagTtl: 7 * 24 * 3600,
   },
 
   cache: {
     ttl: parseInt(process.env.CACHE_TTL, 10) || 3600,
     prefix: 'claude:',
+    maxTtl: parseInt(process.env.CACHE_MAX_TTL, 10) || 30 * 24 * 3600,
+  },
+
+  semanticCache: {
+    provider: process.env.SEMANTIC_CACHE_PROVIDER || 'ngram',
+    threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.9,
+    dimensions: parseInt(process.env.SEMANTIC_CACHE_DIMENSIONS, 10) || 512,
+    maxEntries: parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES, 10) || 1000,
+    embeddingsUrl: process.env.SEMANTIC_CACHE_EMBEDDINGS_URL || 'https://api.openai.com/v1/embeddings',
+    embeddingsApiKey: process.env.SEMANTIC_CACHE_EMBEDDINGS_API_KEY || undefined,
+    embeddingsModel: process.env.SEMANTIC_CACHE_EMBEDDINGS_MODEL || 'text-embedding-3-small',
   },
 
   features: {
@@ -30,6 +113,127 @@ module.exports = {
     adminEnabled: process.env.ADMIN_ENABLED === 'true',
     mcpEnabled: process.env.MCP_ENABLED === 'true',
     dedupEnabled: process.env.DEDUP_ENABLED === 'true',
+    semanticCacheEnabled: process.env.SEMANTIC_CACHE_ENABLED === 'true',
+    fairSchedulingEnabled: process.env.FAIR_SCHEDULING_ENABLED === 'true',
+    streamingEnabled: process.env.STREAMING_ENABLED === 'true',
+    authEnabled: process.env.AUTH_ENABLED === 'true',
+    openaiEnabled: process.env.OPENAI_ENABLED === 'true',
+    historyEnabled: process.env.HISTORY_ENABLED === 'true',
+    tracingEnabled: process.env.TRACING_ENABLED === 'true',
+  },
+
+  metrics: {
+    // Serve the sum of every replica's metrics, shared through Redis
+    aggregate: process.env.METRICS_AGGREGATE === 'true',
+    publishInterval: parseInt(process.env.METRICS_PUBLISH_INTERVAL, 10) || 15000,
+  },
+
+  stream: {
+    heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL, 10) || 15000,
+  },
+
+  auth: {
+    rateLimit: {
+      capacity: parseInt(process.env.RATE_LIMIT_BURST, 10) || 20,
+      refillRate: parseFloat(process.env.RATE_LIMIT_PER_SECOND) || 1,
+    },
+    dailyQuota: parseInt(process.env.DAILY_QUOTA, 10) || 1000,
+  },
+
+  usage: {
+    monthlyBudget: parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || 0,
+    globalMonthlyBudget: parseFloat(process.env.USAGE_GLOBAL_MONTHLY_BUDGET_USD) || 0,
+    dayRetention: (parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90) * 24 * 3600,
+    monthRetention: 400 * 24 * 3600,
+  },
+
+  webhook: {
+    secret: process.env.WEBHOOK_SECRET || undefined,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000,
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 10,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 12,
+    backoffDelay: parseInt(process.env.WEBHOOK_BACKOFF_DELAY, 10) || 30000,
+    maxBackoffDelay: parseInt(process.env.WEBHOOK_MAX_BACKOFF_DELAY, 10) || 3600000,
+    // Dead-lettered deliveries kept for inspection and replay
+    deadLetterSize: parseInt(process.env.WEBHOOK_DEAD_LETTER_SIZE, 10) || 1000,
+    deadLetterRetention: (parseInt(process.env.WEBHOOK_DEAD_LETTER_RETENTION_DAYS, 10) || 14) * 24 * 3600,
+  },
+
+  // Largest prompt and context a request may carry
+  limits: {
+    queryMaxLength: parseInt(process.env.QUERY_MAX_LENGTH, 10) || 100000,
+    contextMaxBytes: parseInt(process.env.CONTEXT_MAX_BYTES, 10) || 16384,
+  },
+
+  wait: {
+    defaultSeconds: parseInt(process.env.WAIT_DEFAULT_SECONDS, 10) || 30,
+    maxSeconds: parseInt(process.env.WAIT_MAX_SECONDS, 10) || 120,
+  },
+
+  batch: {
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 1000,
+    ttl: parseInt(process.env.BATCH_TTL, 10) || 7 * 24 * 3600,
+  },
+
+  sessions: {
+    ttl: parseInt(process.env.SESSION_TTL, 10) || 7 * 24 * 3600,
+    turnTimeout: parseInt(process.env.SESSION_TURN_TIMEOUT, 10) || 900,
+  },
+
+  schedules: {
+    maxPerClient: parseInt(process.env.SCHEDULE_MAX_PER_CLIENT, 10) || 50,
+    minInterval: parseInt(process.env.SCHEDULE_MIN_INTERVAL, 10) || 60,
+    historySize: parseInt(process.env.SCHEDULE_HISTORY_SIZE, 10) || 20,
+    watchTtl: 7 * 24 * 3600,
+  },
+
+  tracing: {
+    serviceName: process.env.TRACING_SERVICE_NAME || 'claude-api-gateway',
+    // OTLP/HTTP traces endpoint, e.g. http://collector:4318/v1/traces
+    endpoint: process.env.TRACING_OTLP_ENDPOINT || null,
+    // Extra export headers: "authorization=Bearer abc,x-tenant=gw"
+    headers: Object.fromEntries((process.env.TRACING_OTLP_HEADERS || '').split(',')
+      .map(entry => entry.trim().split(/=(.*)/).slice(0, 2))
+      .filter(([name, value]) => name && value)),
+    // Without an endpoint, spans are appended here as OTLP JSON lines
+    file: process.env.TRACING_FILE || 'traces.jsonl',
+    flushInterval: parseInt(process.env.TRACING_FLUSH_INTERVAL, 10) || 5000,
+    exportTimeout: 10000,
+  },
+
+  health: {
+    // Readiness is re-checked this often in the background to drive degraded mode
+    checkInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 15000,
+    checkTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT, 10) || 3000,
+    heartbeatInterval: parseInt(process.env.HEALTH_HEARTBEAT_INTERVAL, 10) || 10000,
+    // `claude --version` starts a process, so its result is reused for a while
+    claudeCheckTtl: parseInt(process.env.HEALTH_CLAUDE_CHECK_TTL, 10) || 300000,
+    backlogWarn: parseInt(process.env.HEALTH_BACKLOG_WARN, 10) || 500,
+    backlogMax: parseInt(process.env.HEALTH_BACKLOG_MAX, 10) || 5000,
+    diskPath: process.env.HEALTH_DISK_PATH || process.cwd(),
+    diskMinFreeMb: parseInt(process.env.HEALTH_DISK_MIN_FREE_MB, 10) || 500,
+    // Refuse new queries (503) while a non-critical check fails
+    rejectWhenDegraded: process.env.HEALTH_REJECT_WHEN_DEGRADED !== 'false',
+  },
+
+  history: {
+    retention: (parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 30) * 24 * 3600,
+    // Records read per search before returning a partial page with a cursor
+    scanLimit: parseInt(process.env.HISTORY_SCAN_LIMIT, 10) || 5000,
+  },
+
+  templates: {
+    maxLength: parseInt(process.env.TEMPLATE_MAX_LENGTH, 10) || 20000,
+  },
+
+  mcp: {
+    // Server definitions and routing rules; reloaded on SIGHUP
+    configFile: process.env.MCP_CONFIG_FILE || path.join(__dirname, 'mcp.json'),
+  },
+
+  openai: {
+    models: (process.env.OPENAI_MODELS || 'claude-code').split(',').map(m => m.trim()).filter(Boolean),
+    timeout: parseInt(process.env.OPENAI_TIMEOUT, 10) || 300000,
   },
 
   admin: {
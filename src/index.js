@@ -1,60 +1,166 @@
-const fastify = require('fastify')({ logger: true });
 const path = require('path');
+const { requestIdOptions, setupErrorHandling } = require('./middleware/errors');
+const { setupTracing } = require('./middleware/tracing');
+const fastify = require('fastify')({
+  // Requests are logged through utils/logger, with their correlation ids
+  logger: false,
+  ...requestIdOptions,
+  // Handlers check types themselves, so values are never coerced or dropped
+  ajv: { customOptions: { coerceTypes: false, removeAdditional: false, allowUnionTypes: true } },
+});
 const config = require('./config/config');
 const logger = require('./utils/logger');
-const queryQueue = require('./queues/processor');
+const queryQueue = require('./queues/query');
+const { startWorker, drain } = require('./queues/processor');
 const { setupQueueEvents } = require('./queues/events');
+const { webhookQueue, startWebhookWorker } = require('./queues/webhooks');
+const { scheduleQueue, startScheduleWorker } = require('./queues/schedules');
 const { registry, metrics } = require('./metrics/registry');
 const { startCollector } = require('./metrics/collector');
+const { setupHttpMetrics } = require('./metrics/http');
+const { aggregator } = require('./metrics/aggregator');
+const { setupApiKeyAuth } = require('./middleware/auth');
+const mcp = require('./services/mcp');
+const tracing = require('./services/tracing');
+const health = require('./services/health');
+
+// api serves HTTP and only adds jobs; worker runs the queues behind a small
+// health and metrics server; all does both (the default)
+const ROLES = ['api', 'worker', 'all'];
+const { role } = config;
+if (!ROLES.includes(role)) {
+  logger.error('Unknown role', { role, roles: ROLES });
+  process.exit(1);
+}
+const runsApi = role !== 'worker';
+const runsWorker = role !== 'api';
+const port = runsApi ? config.port : config.worker.port;
 
 // Register plugins
-fastify.register(require('@fastify/cors'));
-fastify.register(require('@fastify/static'), {
-  root: path.join(__dirname, 'public'),
-  prefix: '/',
-});
-fastify.register(require('@fastify/view'), {
-  engine: { ejs: require('ejs') },
-  root: path.join(__dirname, 'views'),
-});
+setupTracing(fastify);
+setupErrorHandling(fastify);
+if (config.features.metricsEnabled) setupHttpMetrics(fastify);
+
+if (runsApi) {
+  fastify.register(require('@fastify/cors'));
+  fastify.register(require('@fastify/static'), {
+    root: path.join(__dirname, 'public'),
+    prefix: '/',
+  });
+  fastify.register(require('@fastify/view'), {
+    engine: { ejs: require('ejs') },
+    root: path.join(__dirname, 'views'),
+  });
+
+  // OpenAPI document, collected from the route schemas registered below
+  fastify.register(require('@fastify/swagger'), {
+    openapi: {
+      info: { title: 'Claude API Gateway', version: require('../package.json').version },
+      components: {
+        securitySchemes: {
+          apiKey: { type: 'http', scheme: 'bearer', description: 'API key (also accepted as X-API-Key)' },
+          adminAuth: { type: 'http', scheme: 'basic' },
+        },
+      },
+      security: [{ apiKey: [] }],
+    },
+  });
+  fastify.register(require('@fastify/swagger-ui'), { routePrefix: '/docs' });
+  fastify.get('/openapi.json', { schema: { hide: true } }, async () => fastify.swagger());
+}
 
-// Health check
-fastify.get('/health', async () => ({ status: 'ok', timestamp: Date.now() }));
+// Liveness and readiness probes
+fastify.register(require('./routes/health'));
 
 // Register routes
-fastify.register(require('./routes/query'), { prefix: '/api' });
+if (runsApi) {
+  fastify.decorateRequest('apiKey', null);
+  fastify.decorateRequest('quotaCharged', 0);
+  fastify.register(async (api) => {
+    setupApiKeyAuth(api);
+    api.register(require('./routes/query'));
+    api.register(require('./routes/sessions'));
+    api.register(require('./routes/batch'));
+    api.register(require('./routes/schedules'));
+    api.register(require('./routes/templates'));
+    api.register(require('./routes/mcp'));
+    api.register(require('./routes/usage'));
+    if (config.features.historyEnabled) api.register(require('./routes/history'));
+  }, { prefix: '/api' });
+
+  if (config.features.openaiEnabled) {
+    fastify.register(async (v1) => {
+      setupApiKeyAuth(v1);
+      v1.register(require('./routes/openai'));
+    }, { prefix: '/v1' });
+  }
+}
 
 if (config.features.metricsEnabled) {
   fastify.get('/metrics', async (request, reply) => {
     reply.header('Content-Type', registry.contentType);
-    return registry.metrics();
+    return config.metrics.aggregate ? aggregator.metrics() : registry.metrics();
   });
   startCollector(queryQueue);
+  if (config.metrics.aggregate) aggregator.start();
 }
 
-if (config.features.adminEnabled) {
+if (runsApi && config.features.adminEnabled) {
   fastify.register(require('./routes/admin'));
 }
 
-// Setup queue events
+// Setup queue events (job events only fire in the process that ran the job)
 setupQueueEvents(queryQueue, metrics);
 
-// Graceful shutdown
-const shutdown = async () => {
-  logger.info('Shutting down...');
-  await queryQueue.close();
-  await fastify.close();
+// Graceful shutdown. Workers drain first: no new jobs, running ones get
+// WORKER_DRAIN_TIMEOUT to finish, the rest are requeued. The HTTP server
+// stays up meanwhile so probes and status lookups keep working.
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    logger.warn('Forced exit', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info('Shutting down...', { role, signal });
+
+  try {
+    if (runsWorker) await drain();
+    await queryQueue.close();
+    await webhookQueue.close();
+    await scheduleQueue.close();
+    await fastify.close();
+    await health.stop();
+    if (config.metrics.aggregate) await aggregator.stop();
+    await tracing.shutdown();
+  } catch (err) {
+    logger.error('Error during shutdown', { error: err.message });
+    process.exit(1);
+  }
   process.exit(0);
 };
 
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
+// Re-read the MCP config file without restarting
+process.on('SIGHUP', () => {
+  const { error } = mcp.reload();
+  if (error) logger.error('Failed to reload MCP config', { error });
+});
+
 // Start server
 const start = async () => {
   try {
-    await fastify.listen({ port: config.port, host: '0.0.0.0' });
-    logger.info(`Server running on port ${config.port}`);
+    if (runsWorker) {
+      startWorker();
+      startWebhookWorker();
+      startScheduleWorker();
+    }
+    health.start(queryQueue);
+    mcp.listen().catch(err => logger.error('Failed to listen for MCP reloads', { error: err.message }));
+    await fastify.listen({ port, host: '0.0.0.0' });
+    logger.info(`Server running on port ${port}`, { role });
   } catch (err) {
     logger.error('Failed to start server', { error: err.message });
     process.exit(1);
@@ -0,0 +1,127 @@
+const Redis = require('ioredis');
+const { AggregatorRegistry } = require('prom-client');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { registry } = require('./registry');
+
+// Moves the snapshots of the given replicas to the retired hash. Only the
+// caller that moves a snapshot counts it, so no totals are added twice.
+const RETIRE_SCRIPT = `
+local moved = 0
+for _, id in ipairs(ARGV) do
+  local snapshot = redis.call('HGET', KEYS[1], id)
+  if snapshot then
+    redis.call('HDEL', KEYS[1], id)
+    redis.call('HSET', KEYS[2], id, snapshot)
+    moved = moved + 1
+  end
+end
+return moved
+`;
+
+const CUMULATIVE = ['counter', 'histogram'];
+
+// The counters and histograms of a snapshot's metrics
+function cumulativeMetrics(metrics) {
+  return metrics.filter(metric => CUMULATIVE.includes(metric.type));
+}
+
+// Merges replica snapshots ({ updatedAt, metrics }) into one registry.
+// Counters and histograms are summed; gauges follow their `aggregator`.
+// Snapshots older than `maxAge` belong to replicas that have gone away.
+// `retired` holds the metrics of departed replicas, whose counter and
+// histogram totals stay in the sum so it never goes down, which Prometheus
+// would read as a counter reset.
+function aggregateSnapshots(snapshots, { now = Date.now(), maxAge, retired = [] }) {
+  const fresh = snapshots.filter(snapshot => now - snapshot.updatedAt <= maxAge);
+  return AggregatorRegistry.aggregate([
+    ...fresh.map(snapshot => snapshot.metrics),
+    ...retired.map(cumulativeMetrics),
+  ]);
+}
+
+// With METRICS_AGGREGATE, every replica publishes its metrics to Redis and
+// /metrics on any of them reports the whole deployment, so a scrape through
+// a load balancer no longer sees a single random replica.
+class MetricsAggregator {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+      lazyConnect: true,
+    });
+    this.client.defineCommand('retireMetrics', { numberOfKeys: 2, lua: RETIRE_SCRIPT });
+    this.key = 'metrics:instances';
+    this.retiredKey = 'metrics:retired';
+    this.instanceId = config.instanceId;
+    this.maxAge = config.metrics.publishInterval * 3;
+    this.timer = null;
+  }
+
+  async start() {
+    // A snapshot under our id is from before a restart; keep its totals
+    await this.retire([this.instanceId]).catch((err) => {
+      logger.warn('Failed to retire previous metrics', { error: err.message });
+    });
+    this.publish();
+    this.timer = setInterval(() => this.publish(), config.metrics.publishInterval);
+    this.timer.unref();
+  }
+
+  async publish() {
+    try {
+      const snapshot = { updatedAt: Date.now(), metrics: await registry.getMetricsAsJSON() };
+      await this.client.hset(this.key, this.instanceId, JSON.stringify(snapshot));
+    } catch (err) {
+      logger.warn('Failed to publish metrics', { error: err.message });
+    }
+  }
+
+  // Prometheus text for every live replica, this one included
+  async metrics() {
+    await this.publish();
+    const snapshots = Object.entries(await this.client.hgetall(this.key))
+      .map(([id, value]) => ({ id, ...JSON.parse(value) }));
+
+    const now = Date.now();
+    const stale = snapshots.filter(snapshot => now - snapshot.updatedAt > this.maxAge).map(snapshot => snapshot.id);
+    await this.retire(stale);
+
+    const retired = await this.retiredMetrics();
+    return aggregateSnapshots(snapshots, { now, maxAge: this.maxAge, retired }).metrics();
+  }
+
+  async retire(ids) {
+    if (ids.length === 0) return;
+    await this.client.retireMetrics(this.key, this.retiredKey, ...ids);
+  }
+
+  // The metrics of every departed replica. Several of them are merged into
+  // one entry so the hash stays small however often replicas come and go.
+  async retiredMetrics() {
+    await this.client.watch(this.retiredKey);
+    const entries = Object.values(await this.client.hgetall(this.retiredKey)).map(value => JSON.parse(value));
+    if (entries.length <= 1) {
+      await this.client.unwatch();
+      return entries.map(entry => entry.metrics);
+    }
+
+    const merged = await AggregatorRegistry.aggregate(entries.map(entry => cumulativeMetrics(entry.metrics)))
+      .getMetricsAsJSON();
+    // Skipped if another replica retired or merged meanwhile; the next scrape merges
+    await this.client.multi()
+      .del(this.retiredKey)
+      .hset(this.retiredKey, 'merged', JSON.stringify({ updatedAt: Date.now(), metrics: merged }))
+      .exec();
+    return [merged];
+  }
+
+  async stop() {
+    if (this.timer) clearInterval(this.timer);
+    await this.publish();
+    await this.retire([this.instanceId]);
+  }
+}
+
+module.exports = { aggregator: new MetricsAggregator(), aggregateSnapshots };
@@ -0,0 +1,17 @@
+const { metrics } = require('./registry');
+
+// Records every response by route pattern, so ids in URLs don't become labels
+function setupHttpMetrics(fastify) {
+  fastify.addHook('onResponse', (request, reply, done) => {
+    const labels = {
+      method: request.method,
+      route: request.routeOptions.url || 'unmatched',
+      status: reply.statusCode,
+    };
+    metrics.httpRequestDuration.observe(labels, reply.elapsedTime / 1000);
+    metrics.httpRequestTotal.inc(labels);
+    done();
+  });
+}
+
+module.exports = { setupHttpMetrics };
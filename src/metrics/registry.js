@@ -1,8 +1,11 @@
-const { Registry, Counter, Histogram, Gauge } = require('prom-client');
+const { Registry, Counter, Histogram, Gauge, collectDefaultMetrics } = require('prom-client');
 const config = require('../config/config');
 
 const registry = new Registry();
 
+// Node.js process metrics: CPU, memory, event loop lag, GC
+collectDefaultMetrics({ register: registry });
+
 // Request metrics
 const httpRequestDuration = new Histogram({
   name: 'http_request_duration_seconds',
@@ -32,16 +35,45 @@ const jobsFailed = new Counter({
   registers: [registry],
 });
 
+const jobsCancelled = new Counter({
+  name: 'claude_jobs_cancelled_total',
+  help: 'Total cancelled jobs',
+  registers: [registry],
+});
+
 const jobsStalled = new Counter({
   name: 'claude_jobs_stalled_total',
   help: 'Total stalled jobs',
   registers: [registry],
 });
 
+// Every replica reads the same queue, so aggregated views keep one value
 const queueSize = new Gauge({
   name: 'claude_queue_size',
   help: 'Current queue size',
   labelNames: ['state'],
+  aggregator: 'first',
+  registers: [registry],
+});
+
+const queueWaitDuration = new Histogram({
+  name: 'claude_queue_wait_seconds',
+  help: 'Time jobs wait in the queue before their first attempt',
+  labelNames: ['priority'],
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900],
+  registers: [registry],
+});
+
+const jobsByIntent = new Counter({
+  name: 'claude_jobs_by_intent_total',
+  help: 'Finished jobs by detected query intent',
+  labelNames: ['intent', 'outcome'],
+  registers: [registry],
+});
+
+const dedupHits = new Counter({
+  name: 'claude_dedup_hits_total',
+  help: 'Requests joined to an identical in-flight job',
   registers: [registry],
 });
 
@@ -52,6 +84,12 @@ const cacheHits = new Counter({
   registers: [registry],
 });
 
+const semanticCacheHits = new Counter({
+  name: 'claude_semantic_cache_hits_total',
+  help: 'Total cache hits served by similarity match',
+  registers: [registry],
+});
+
 const cacheMisses = new Counter({
   name: 'claude_cache_misses_total',
   help: 'Total cache misses',
@@ -62,10 +100,70 @@ const cacheMisses = new Counter({
 const claudeExecutionDuration = new Histogram({
   name: 'claude_execution_duration_seconds',
   help: 'Claude CLI execution duration',
+  labelNames: ['backend', 'intent', 'outcome'],
   buckets: [1, 5, 10, 30, 60, 120],
   registers: [registry],
 });
 
+const claudeErrors = new Counter({
+  name: 'claude_errors_total',
+  help: 'Failed Claude execution attempts by error kind',
+  labelNames: ['backend', 'kind'],
+  registers: [registry],
+});
+
+// 0 closed, 1 half-open, 2 open; across replicas the most open one wins
+const claudeCircuitState = new Gauge({
+  name: 'claude_circuit_state',
+  help: 'Circuit breaker state per backend (0 closed, 1 half-open, 2 open)',
+  labelNames: ['backend'],
+  aggregator: 'max',
+  registers: [registry],
+});
+
+const claudeCircuitRejections = new Counter({
+  name: 'claude_circuit_rejections_total',
+  help: 'Executions refused because the backend circuit was open',
+  labelNames: ['backend'],
+  registers: [registry],
+});
+
+const claudeConcurrencyLimit = new Gauge({
+  name: 'claude_concurrency_limit',
+  help: 'Current adaptive limit on concurrent Claude executions',
+  registers: [registry],
+});
+
+const mcpServerUses = new Counter({
+  name: 'claude_mcp_server_jobs_total',
+  help: 'Jobs executed with each MCP server attached',
+  labelNames: ['server'],
+  registers: [registry],
+});
+
+// Webhook metrics
+const webhookDeliveries = new Counter({
+  name: 'claude_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by outcome (delivered, retrying, dead_lettered)',
+  labelNames: ['event', 'outcome'],
+  registers: [registry],
+});
+
+// Usage metrics
+const tokensTotal = new Counter({
+  name: 'claude_tokens_total',
+  help: 'Total tokens consumed by Claude executions',
+  labelNames: ['type', 'client'],
+  registers: [registry],
+});
+
+const costTotal = new Counter({
+  name: 'claude_cost_usd_total',
+  help: 'Total cost of Claude executions in USD',
+  labelNames: ['client'],
+  registers: [registry],
+});
+
 module.exports = {
   registry,
   metrics: {
@@ -73,10 +171,23 @@ module.exports = {
     httpRequestTotal,
     jobsCompleted,
     jobsFailed,
+    jobsCancelled,
     jobsStalled,
     queueSize,
+    queueWaitDuration,
+    jobsByIntent,
+    dedupHits,
     cacheHits,
+    semanticCacheHits,
     cacheMisses,
     claudeExecutionDuration,
+    claudeErrors,
+    claudeCircuitState,
+    claudeCircuitRejections,
+    claudeConcurrencyLimit,
+    mcpServerUses,
+    webhookDeliveries,
+    tokensTotal,
+    costTotal,
   },
 };
@@ -0,0 +1,142 @@
+const config = require('../config/config');
+const apiKeys = require('../services/apiKeys');
+const rateLimit = require('../services/rateLimit');
+const usage = require('../services/usage');
+const health = require('../services/health');
+
+function extractKey(request) {
+  const auth = request.headers.authorization;
+  if (auth && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  if (request.headers['x-api-key']) return request.headers['x-api-key'];
+  // EventSource cannot set headers, so routes serving it (and only those) take
+  // the key from the URL; request logs redact it
+  if (request.routeOptions.config.queryKey) return request.query && request.query.apiKey;
+  return undefined;
+}
+
+// Identifies the caller for ownership checks and per-client accounting
+function clientId(request) {
+  return request.apiKey ? request.apiKey.id : 'anonymous';
+}
+
+// Fair-scheduling lane for the caller: the key's tenant, or the key itself
+function tenant(request) {
+  const key = request.apiKey;
+  if (!key) return { id: 'anonymous', weight: 1 };
+  return { id: key.tenant || key.id, weight: key.weight || 1 };
+}
+
+// Monthly spend cap in USD for the caller; 0 means unlimited
+function monthlyBudget(request) {
+  const key = request.apiKey;
+  return key && key.monthlyBudgetUsd != null ? key.monthlyBudgetUsd : config.usage.monthlyBudget;
+}
+
+// onRequest hook for /api routes: authenticates the key and spends a rate
+// limit token
+async function apiKeyAuth(request, reply) {
+  if (config.features.authEnabled) {
+    const apiKey = await apiKeys.authenticate(extractKey(request));
+    if (!apiKey) {
+      reply.header('WWW-Authenticate', 'Bearer');
+      return reply.code(401).send({ error: 'Invalid or missing API key' });
+    }
+    request.apiKey = apiKey;
+
+    const bucket = await rateLimit.consumeToken(apiKey.id, apiKey.rateLimit);
+    reply.header('X-RateLimit-Limit', apiKey.rateLimit.capacity);
+    reply.header('X-RateLimit-Remaining', bucket.remaining);
+    if (!bucket.allowed) {
+      reply.header('Retry-After', bucket.retryAfter);
+      return reply.code(429).send({ error: 'Rate limit exceeded', retryAfter: bucket.retryAfter });
+    }
+  }
+}
+
+// preHandler hook. Routes opt in to the daily quota and monthly budget with
+// `config: { quota: true }`; routes whose cost depends on the body call
+// chargeQuota themselves. Runs after body validation, so malformed requests
+// are never charged.
+async function routeQuota(request, reply) {
+  if (request.routeOptions.config.quota && !(await chargeQuota(request, reply))) {
+    return reply;
+  }
+}
+
+// onSend hook: a request the route refused (a 4xx, such as an unknown model
+// or a prompt that is too long) gets its queries back
+async function refundRefused(request, reply, payload) {
+  const code = reply.statusCode;
+  if (request.quotaCharged && code >= 400 && code < 500) {
+    const used = await rateLimit.refundQuota(request.apiKey.id, request.quotaCharged);
+    request.quotaCharged = 0;
+    reply.header('X-Quota-Used', used);
+  }
+  return payload;
+}
+
+// Authentication, rate limits and quota charging for a route scope
+function setupApiKeyAuth(scope) {
+  scope.addHook('onRequest', apiKeyAuth);
+  scope.addHook('preHandler', routeQuota);
+  scope.addHook('onSend', refundRefused);
+}
+
+function secondsUntilNextMonthUTC(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+// Rejects new queries once the caller's (or the gateway's) monthly spend has
+// reached its cap. Sends the 429 and returns false when over budget.
+async function checkBudget(request, reply) {
+  const status = await usage.checkBudget(clientId(request), monthlyBudget(request));
+  if (!status.allowed) {
+    const retryAfter = secondsUntilNextMonthUTC();
+    reply.header('Retry-After', retryAfter);
+    reply.code(429).send({
+      error: status.scope === 'gateway' ? 'Gateway monthly budget exceeded' : 'Monthly budget exceeded',
+      code: 'budget_exceeded',
+      spentUsd: status.spent,
+      budgetUsd: status.budget,
+      retryAfter,
+    });
+    return false;
+  }
+  return true;
+}
+
+// Refuses new queries while the gateway is degraded or down. Sends the 503
+// and returns false; status lookups never come through here.
+function checkAvailable(reply) {
+  const { accepting, status, failing } = health.availability();
+  if (!accepting) {
+    const retryAfter = Math.ceil(config.health.checkInterval / 1000);
+    reply.header('Retry-After', retryAfter);
+    reply.code(503).send({ error: `Gateway is ${status}; not accepting new queries`, code: status, failing, retryAfter });
+    return false;
+  }
+  return true;
+}
+
+// Spends `cost` queries from the caller's daily quota after checking that the
+// gateway accepts queries and the monthly budget. Sends the 503 or 429 and
+// returns false when any of them says no.
+async function chargeQuota(request, reply, cost = 1) {
+  if (!checkAvailable(reply)) return false;
+  if (!(await checkBudget(request, reply))) return false;
+  if (!request.apiKey) return true;
+
+  const quota = await rateLimit.consumeQuota(request.apiKey.id, request.apiKey.dailyQuota, cost);
+  reply.header('X-Quota-Limit', quota.limit);
+  reply.header('X-Quota-Used', quota.used);
+  if (!quota.allowed) {
+    reply.header('Retry-After', quota.retryAfter);
+    reply.code(429).send({ error: 'Daily quota exceeded', code: 'quota_exceeded', retryAfter: quota.retryAfter });
+    return false;
+  }
+  request.quotaCharged = cost;
+  return true;
+}
+
+module.exports = { apiKeyAuth, setupApiKeyAuth, chargeQuota, clientId, tenant, monthlyBudget };
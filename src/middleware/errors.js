@@ -0,0 +1,80 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Error codes for responses that don't name their own
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'unavailable',
+  504: 'timeout',
+};
+
+function codeFor(statusCode) {
+  return STATUS_CODES[statusCode] || (statusCode >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+// { error: { code, message, details, requestId } }. Fields other than
+// `error` and `code` on a route's `{ error: 'message', ... }` become details.
+function errorEnvelope(request, statusCode, { error, code, ...details }) {
+  return {
+    error: {
+      code: code || codeFor(statusCode),
+      message: error,
+      details: Object.keys(details).length > 0 ? details : null,
+      requestId: request.id,
+    },
+  };
+}
+
+// Gives every route the same error shape. Routes keep sending
+// `{ error: 'message' }`; thrown errors, schema failures and unknown routes
+// are answered the same way. Must be called on the root instance.
+function setupErrorHandling(fastify) {
+  fastify.addHook('onRequest', async (request, reply) => {
+    reply.header('X-Request-Id', request.id);
+  });
+
+  fastify.addHook('preSerialization', async (request, reply, payload) => {
+    if (reply.statusCode >= 400 && payload && typeof payload.error === 'string') {
+      return errorEnvelope(request, reply.statusCode, payload);
+    }
+    return payload;
+  });
+
+  fastify.setErrorHandler((error, request, reply) => {
+    if (error.validation) {
+      const errors = error.validation.map(e => ({
+        path: `${error.validationContext}${e.instancePath}`,
+        message: e.message,
+      }));
+      return reply.code(400).send({ error: error.message, code: 'validation_failed', errors });
+    }
+
+    const statusCode = error.statusCode >= 400 ? error.statusCode : 500;
+    if (statusCode >= 500) {
+      logger.error('Request failed', { error: error.message, stack: error.stack });
+      return reply.code(statusCode).send({ error: 'Internal server error' });
+    }
+    return reply.code(statusCode).send({ error: error.message });
+  });
+
+  fastify.setNotFoundHandler((request, reply) => {
+    reply.code(404).send({ error: `Route ${request.method} ${request.url.split('?')[0]} not found` });
+  });
+}
+
+// Fastify server options: request ids are UUIDs unless the caller sends one
+const requestIdOptions = {
+  requestIdHeader: 'x-request-id',
+  genReqId: () => uuidv4(),
+};
+
+module.exports = { setupErrorHandling, errorEnvelope, requestIdOptions };
@@ -0,0 +1,49 @@
+const tracing = require('../services/tracing');
+const logger = require('../utils/logger');
+const { runWithContext } = require('../utils/context');
+const { parseTraceparent } = require('../utils/traceContext');
+
+// Stream URLs may carry an API key
+function redactUrl(url) {
+  return url.replace(/([?&]apiKey=)[^&]*/gi, '$1[REDACTED]');
+}
+
+// Opens a server span per request, continuing the caller's trace when it
+// sends a traceparent header, and runs the rest of the request inside its
+// context so log lines and queued jobs carry the request and trace ids.
+// Also logs each completed request, replacing Fastify's own request logs.
+function setupTracing(fastify) {
+  fastify.decorateRequest('span', null);
+
+  fastify.addHook('onRequest', (request, reply, done) => {
+    const span = tracing.startSpan(`${request.method} ${request.url.split('?')[0]}`, {
+      kind: 'server',
+      parent: parseTraceparent(request.headers.traceparent),
+      attributes: {
+        'http.request.method': request.method,
+        'url.path': request.url.split('?')[0],
+        'http.request_id': request.id,
+      },
+    });
+    request.span = span;
+    runWithContext({ requestId: request.id, ...span.context() }, done);
+  });
+
+  fastify.addHook('onResponse', (request, reply, done) => {
+    const route = request.routeOptions.url;
+    const { statusCode } = reply;
+    if (route) request.span.name = `${request.method} ${route}`;
+    request.span.setAttributes({ 'http.route': route, 'http.response.status_code': statusCode });
+    request.span.end({ error: statusCode >= 500 ? `HTTP ${statusCode}` : undefined });
+
+    logger.info('Request completed', {
+      method: request.method,
+      url: redactUrl(request.url),
+      statusCode,
+      responseTime: Math.round(reply.elapsedTime),
+    });
+    done();
+  });
+}
+
+module.exports = { setupTracing, redactUrl };
@@ -15,3 +15,60 @@ async function clearCache() {
     alert('Failed to clear cache');
   }
 }
+
+async function deleteEntry(hash) {
+  if (!confirm('Delete this cache entry?')) return;
+
+  try {
+    const res = await fetch(`/admin/cache/${hash}`, { method: 'DELETE' });
+    if (res.ok) {
+      location.reload();
+    } else {
+      alert('Failed to delete entry');
+    }
+  } catch (e) {
+    console.error('Failed to delete entry', e);
+    alert('Failed to delete entry');
+  }
+}
+
+async function setTtl(hash) {
+  const ttl = parseInt(prompt('New TTL in seconds'), 10);
+  if (!ttl) return;
+
+  try {
+    const res = await fetch(`/admin/cache/${hash}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ttl }),
+    });
+    if (res.ok) {
+      location.reload();
+    } else {
+      const data = await res.json();
+      alert((data.error && data.error.message) || 'Failed to update TTL');
+    }
+  } catch (e) {
+    console.error('Failed to update TTL', e);
+    alert('Failed to update TTL');
+  }
+}
+
+async function invalidateTag() {
+  const tag = document.getElementById('tag').value.trim();
+  if (!tag || !confirm(`Delete every entry tagged '${tag}'?`)) return;
+
+  try {
+    const res = await fetch(`/admin/cache/tags/${encodeURIComponent(tag)}`, { method: 'DELETE' });
+    if (res.ok) {
+      const data = await res.json();
+      alert(`Cleared ${data.cleared} cache entries`);
+      location.reload();
+    } else {
+      alert('Failed to invalidate tag');
+    }
+  } catch (e) {
+    console.error('Failed to invalidate tag', e);
+    alert('Failed to invalidate tag');
+  }
+}
@@ -1,3 +1,34 @@
+function cell(text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  return td;
+}
+
+function renderWorkers(workers) {
+  const body = document.getElementById('workers');
+  body.replaceChildren();
+  if (workers.length === 0) {
+    const empty = cell('No live workers');
+    empty.colSpan = 4;
+    body.appendChild(document.createElement('tr')).appendChild(empty);
+    return;
+  }
+
+  workers.forEach((worker) => {
+    const circuits = Object.entries(worker.breakers || {});
+    const row = document.createElement('tr');
+    row.appendChild(cell(worker.id + (worker.draining ? ' (draining)' : '')));
+    row.appendChild(cell(worker.active));
+    row.appendChild(cell(worker.limiter ? `${worker.limiter.limit} of ${worker.limiter.max}` : worker.concurrency));
+    row.appendChild(cell(
+      circuits.map(([name, b]) => `${name}: ${b.state.replace('_', '-')}`).join(', ') || '-',
+      circuits.some(([, b]) => b.state !== 'closed') ? 'failing' : ''
+    ));
+    body.appendChild(row);
+  });
+}
+
 async function refreshStats() {
   try {
     const res = await fetch('/admin/api/stats');
@@ -8,6 +39,7 @@ async function refreshStats() {
     document.getElementById('completed').textContent = data.queue.completed;
     document.getElementById('failed').textContent = data.queue.failed;
     document.getElementById('cacheKeys').textContent = data.cache.totalKeys;
+    renderWorkers(data.workers);
   } catch (e) {
     console.error('Failed to refresh stats', e);
   }
@@ -12,6 +12,23 @@ async function retryJob(jobId) {
   }
 }
 
+async function cancelJob(jobId) {
+  if (!confirm('Cancel this job? A running Claude process will be stopped.')) return;
+
+  try {
+    const res = await fetch(`/admin/queue/${jobId}/cancel`, { method: 'POST' });
+    if (res.ok) {
+      location.reload();
+    } else {
+      const data = await res.json();
+      alert((data.error && data.error.message) || 'Failed to cancel job');
+    }
+  } catch (e) {
+    console.error('Failed to cancel job', e);
+    alert('Failed to cancel job');
+  }
+}
+
 async function removeJob(jobId) {
   if (!confirm('Are you sure you want to remove this job?')) return;
 
@@ -0,0 +1,29 @@
+async function setScheduleState(id, action) {
+  try {
+    const res = await fetch(`/admin/schedules/${id}/${action}`, { method: 'POST' });
+    if (res.ok) {
+      location.reload();
+    } else {
+      alert(`Failed to ${action} schedule`);
+    }
+  } catch (e) {
+    console.error(`Failed to ${action} schedule`, e);
+    alert(`Failed to ${action} schedule`);
+  }
+}
+
+async function deleteSchedule(id) {
+  if (!confirm('Delete this schedule and its run history?')) return;
+
+  try {
+    const res = await fetch(`/admin/schedules/${id}`, { method: 'DELETE' });
+    if (res.ok) {
+      location.reload();
+    } else {
+      alert('Failed to delete schedule');
+    }
+  } catch (e) {
+    console.error('Failed to delete schedule', e);
+    alert('Failed to delete schedule');
+  }
+}
@@ -0,0 +1,53 @@
+// Creates a template, or saves a new version of `name`
+async function saveTemplate(name) {
+  const schemaText = document.getElementById('schema').value.trim();
+  let schema = null;
+  if (schemaText) {
+    try {
+      schema = JSON.parse(schemaText);
+    } catch (e) {
+      alert('Schema is not valid JSON');
+      return;
+    }
+  }
+
+  const body = {
+    content: document.getElementById('content').value,
+    description: document.getElementById('description').value || null,
+    schema,
+  };
+  if (!name) body.name = document.getElementById('name').value.trim();
+
+  try {
+    const res = await fetch(name ? `/admin/templates/${name}` : '/admin/templates', {
+      method: name ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (res.ok) {
+      location.href = `/admin/templates/${data.name}`;
+    } else {
+      alert((data.error && data.error.message) || 'Failed to save template');
+    }
+  } catch (e) {
+    console.error('Failed to save template', e);
+    alert('Failed to save template');
+  }
+}
+
+async function deleteTemplate(name) {
+  if (!confirm(`Delete ${name} and all of its versions?`)) return;
+
+  try {
+    const res = await fetch(`/admin/templates/${name}`, { method: 'DELETE' });
+    if (res.ok) {
+      location.href = '/admin/templates';
+    } else {
+      alert('Failed to delete template');
+    }
+  } catch (e) {
+    console.error('Failed to delete template', e);
+    alert('Failed to delete template');
+  }
+}
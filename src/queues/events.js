@@ -15,7 +15,9 @@ function setupQueueEvents(queue, metrics) {
       error: error.message,
       attempts: job.attemptsMade
     });
-    if (metrics) metrics.jobsFailed.inc();
+    // Cancellations are counted when they are finalized, including those of
+    // waiting jobs that never fail. Interrupted jobs are requeued.
+    if (metrics && error.code !== 'CANCELLED' && error.code !== 'INTERRUPTED') metrics.jobsFailed.inc();
   });
 
   queue.on('stalled', (job) => {
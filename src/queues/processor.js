@@ -1,73 +1,360 @@
-const Bull = require('bull');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const cache = require('../services/cache');
 const claude = require('../services/claude');
-const webhook = require('../services/webhook');
+const { enqueueWebhook } = require('./webhooks');
 const mcp = require('../services/mcp');
+const apiKeys = require('../services/apiKeys');
 const dedup = require('../services/deduplication');
-const { generateQueryHash } = require('../utils/prompt');
-
-const queryQueue = new Bull('claude-queries', {
-  redis: {
-    host: config.redis.host,
-    port: config.redis.port,
-    password: config.redis.password,
-  },
-  defaultJobOptions: {
-    attempts: 3,
-    backoff: { type: 'exponential', delay: 2000 },
-    removeOnComplete: 100,
-    removeOnFail: 50,
-  },
-});
-
-queryQueue.process(config.queue.concurrency, async (job) => {
-  const { query, webhookUrl, context = {} } = job.data;
-  const hash = generateQueryHash(query, context);
-
-  logger.info('Processing job', { jobId: job.id, hash });
+const stream = require('../services/stream');
+const sessions = require('../services/sessions');
+const batches = require('../services/batch');
+const schedules = require('../services/schedules');
+const usage = require('../services/usage');
+const history = require('../services/history');
+const cancellation = require('../services/cancellation');
+const scheduler = require('../services/scheduler');
+const tracing = require('../services/tracing');
+const health = require('../services/health');
+const { metrics } = require('../metrics/registry');
+const { generateQueryHash, detectIntent } = require('../utils/prompt');
+const { getResultText, summarizeUsage } = require('../utils/result');
+const { SCHEMA_VALIDATION_FAILED } = require('../utils/structuredOutput');
 
+const queryQueue = require('./query');
+
+// Executions running on this worker, so cancellation and draining can abort them
+const running = new Map();
+let draining = false;
+
+const INTERRUPTED = 'INTERRUPTED';
+
+function interruptedError() {
+  const error = new Error('Worker shut down before the job finished');
+  error.code = INTERRUPTED;
+  return error;
+}
+
+// Relay job events to whichever gateway instance holds the SSE connection
+function publish(job, event, data) {
+  if (!config.features.streamingEnabled) return;
+  stream.publish(job.id, event, data).catch((err) => {
+    logger.warn('Failed to publish stream event', { jobId: job.id, event, error: err.message });
+  });
+}
+
+// The result is already cached when this runs; delivery happens on the webhook
+// queue so a slow or failing receiver never re-runs Claude
+// The payload names the job, so receivers can match deliveries to requests
+async function notifyWebhook(job, result) {
+  const { webhookUrl, clientId } = job.data;
+  if (!webhookUrl) return;
+  try {
+    const payload = { event: 'query.completed', jobId: job.id, result };
+    await enqueueWebhook(webhookUrl, payload, { clientId, event: 'query.completed', jobId: job.id });
+  } catch (err) {
+    logger.error('Failed to enqueue webhook', { jobId: job.id, error: err.message });
+  }
+}
+
+// Batch and schedule bookkeeping must never fail (and so re-run) a finished job
+async function notifyWatchers(job, outcome) {
   try {
+    await batches.handleJobFinished(job.id, outcome);
+  } catch (err) {
+    logger.error('Failed to update batch', { jobId: job.id, error: err.message });
+  }
+  try {
+    await schedules.handleJobFinished(job.id, outcome);
+  } catch (err) {
+    logger.error('Failed to update schedule run', { jobId: job.id, error: err.message });
+  }
+}
+
+// Counts the job's final outcome by intent. Cancellations are counted where
+// they are finalized.
+function countOutcome(job, outcome) {
+  metrics.jobsByIntent.inc({ intent: detectIntent(job.data.query), outcome });
+}
+
+// Keeps the finished job's record after Bull removes the job. Like the
+// watchers, a failure here must not fail the job.
+async function recordHistory(job, outcome) {
+  try {
+    await history.recordJob(job, outcome);
+  } catch (err) {
+    logger.error('Failed to record job history', { jobId: job.id, error: err.message });
+  }
+}
+
+// Accounts tokens and cost to the submitting client. Failures are logged, not
+// thrown, so accounting problems never re-run a finished execution.
+async function recordUsage(job, result) {
+  const summary = summarizeUsage(result);
+  const client = job.data.clientId || 'anonymous';
+
+  metrics.tokensTotal.inc({ type: 'input', client }, summary.inputTokens);
+  metrics.tokensTotal.inc({ type: 'output', client }, summary.outputTokens);
+  metrics.tokensTotal.inc({ type: 'cache_creation', client }, summary.cacheCreationTokens);
+  metrics.tokensTotal.inc({ type: 'cache_read', client }, summary.cacheReadTokens);
+  metrics.costTotal.inc({ client }, summary.costUsd);
+
+  try {
+    await usage.record(client, summary);
+  } catch (err) {
+    logger.error('Failed to record usage', { jobId: job.id, error: err.message });
+  }
+  return summary;
+}
+
+// The request's own MCP servers, or those the routing rules pick, limited
+// to the submitting key's allow-list
+async function routeMcp(job, query, context, options) {
+  if (!mcp.enabled) return [];
+  const { clientId } = job.data;
+  const key = clientId && clientId !== 'anonymous' ? await apiKeys.get(clientId) : null;
+  const { servers, rules } = mcp.route({
+    query,
+    context,
+    requested: options.mcpServers,
+    allowed: key && key.mcpServers,
+  });
+  if (servers.length > 0) logger.debug('MCP servers selected', { jobId: job.id, servers, rules });
+  servers.forEach(server => metrics.mcpServerUses.inc({ server }));
+  return servers;
+}
+
+// Backends without server-side sessions replay the transcript instead
+async function previousTurns(sessionId, jobId) {
+  const messages = await sessions.getMessages(sessionId);
+  return messages.filter(m => m.jobId !== jobId);
+}
+
+async function reportProgress(job, progress) {
+  await job.progress(progress);
+  publish(job, 'progress', { progress });
+}
+
+async function processJob(job) {
+  const { query, context = {}, sessionId, options = {}, template, cache: cacheOptions = {} } = job.data;
+  const hash = generateQueryHash(query, context, options, template);
+  // Only these jobs are cached and hold the dedup marker for their hash
+  const cacheable = !sessionId && !cacheOptions.noCache;
+
+  logger.info('Processing job', { jobId: job.id, hash, sessionId });
+
+  const controller = new AbortController();
+  running.set(job.id, controller);
+  await scheduler.markStarted(job);
+
+  try {
+    // Cancelled while it was being picked up
+    if (await cancellation.get(job.id)) {
+      controller.abort(cancellation.createError());
+      throw controller.signal.reason;
+    }
+
+    // Session turns are never served from cache
+    const session = sessionId ? await sessions.get(sessionId) : null;
+    if (sessionId && !session) {
+      throw new Error(`Session ${sessionId} no longer exists`);
+    }
+    // The turn timeout counts from here, not from when the turn was queued.
+    // Any earlier attempt may have created the CLI session, so it is resumed.
+    let resume = false;
+    if (session) {
+      await sessions.holdTurn(sessionId, job.id);
+      resume = await sessions.markStarted(sessionId);
+    }
+
     // Check cache first
-    const cached = await cache.get(hash);
+    const cached = cacheable ? await tracing.withSpan('cache.lookup', {}, async (span) => {
+      const found = await cache.get(hash);
+      span.setAttributes({ 'cache.hit': Boolean(found) });
+      return found;
+    }) : null;
     if (cached) {
-      job.progress(100);
-      if (webhookUrl) await webhook.deliver(webhookUrl, cached);
+      await reportProgress(job, 100);
+      await notifyWebhook(job, cached);
+      publish(job, 'completed', { result: cached });
+      await notifyWatchers(job, { result: cached });
+      countOutcome(job, 'completed');
+      await recordHistory(job, { status: 'completed', result: cached, cached: true });
       return cached;
     }
 
     // Get MCP servers for this query
-    const mcpServers = mcp.getServersForQuery(query);
+    const mcpServers = await routeMcp(job, query, context, options);
 
-    job.progress(10);
+    await reportProgress(job, 10);
 
     // Execute Claude
-    const result = await claude.execute(query, { mcpServers });
+    const onChunk = config.features.streamingEnabled
+      ? (text) => publish(job, 'chunk', { text })
+      : undefined;
+    const output = await claude.execute(query, {
+      ...options,
+      mcpServers,
+      mcpConfig: mcp.cliConfig(mcpServers),
+      onChunk,
+      signal: controller.signal,
+      sessionId: session && session.claudeSessionId,
+      resume,
+      history: session ? await previousTurns(sessionId, job.id) : undefined,
+    });
 
-    job.progress(80);
+    const result = { ...output, accounting: await recordUsage(job, output) };
 
-    // Cache the result
-    await cache.set(hash, result);
+    await reportProgress(job, 80);
 
-    // Clear deduplication marker
-    await dedup.clearInFlight(hash);
+    if (session) {
+      // Append the reply to the transcript and free the session for the next turn
+      await sessions.recordReply(sessionId, { jobId: job.id, content: getResultText(result) });
+    } else if (cacheable) {
+      // Cache the result
+      await tracing.withSpan('cache.write', {}, () => (
+        cache.store({ query, context, options, template }, result, { ttl: cacheOptions.ttl, tags: cacheOptions.tags })
+      ));
 
-    job.progress(90);
-
-    // Deliver webhook if configured
-    if (webhookUrl) {
-      await webhook.deliver(webhookUrl, result);
+      // Clear deduplication marker
+      await dedup.clearInFlight(hash);
     }
 
-    job.progress(100);
+    await reportProgress(job, 90);
+
+    // Queue webhook delivery if configured
+    await notifyWebhook(job, result);
+
+    await reportProgress(job, 100);
+    publish(job, 'completed', { result });
+    await notifyWatchers(job, { result });
+    countOutcome(job, 'completed');
+    await recordHistory(job, { status: 'completed', result });
 
     return result;
   } catch (error) {
-    await dedup.clearInFlight(hash);
+    if (error.code === INTERRUPTED) {
+      // Hand the attempt back before Bull counts it, so the job is retried
+      // by another worker even if this was its last attempt
+      job.opts.attempts = (job.opts.attempts || 1) + 1;
+      await queryQueue.client.hset(queryQueue.toKey(job.id), 'opts', JSON.stringify(job.opts));
+      logger.warn('Job interrupted by shutdown; requeued', { jobId: job.id });
+      publish(job, 'retry', { attempt: job.attemptsMade + 1, error: error.message });
+      throw error;
+    }
+
+    if (cancellation.isCancellation(error)) {
+      // Fail without retrying; the job's state reads as cancelled from here on
+      await job.discard();
+      await cancellation.finalize(job);
+      logger.info('Job cancelled', { jobId: job.id });
+      throw error;
+    }
+
+    if (cacheable) await dedup.clearInFlight(hash);
     logger.error('Job failed', { jobId: job.id, error: error.message });
+
+    // The repair loop already re-prompted, so retrying would only repeat it.
+    // The attempts still cost tokens, and the typed error is kept on the job.
+    const schemaFailure = error.code === SCHEMA_VALIDATION_FAILED;
+    const failure = schemaFailure ? { code: error.code, details: error.details } : null;
+    if (schemaFailure) {
+      await job.discard();
+      await recordUsage(job, error.output);
+      await job.update({ ...job.data, failure });
+    }
+
+    // Failures such as bad credentials or a missing binary fail the same way
+    // on every attempt
+    const fatal = error.retryable === false;
+    if (fatal) await job.discard();
+
+    // Only the last attempt is final; earlier failures will be retried by Bull
+    if (schemaFailure || fatal || job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+      if (sessionId) await sessions.recordFailure(sessionId, { jobId: job.id, error: error.message });
+      publish(job, 'failed', { error: error.message, ...(error.code && { code: error.code }) });
+      await notifyWatchers(job, { error: error.message });
+      countOutcome(job, 'failed');
+      await recordHistory(job, { status: 'failed', error: error.message, failure });
+    } else {
+      // The next attempt answers from the start, so listeners drop the
+      // partial output they have from this one
+      publish(job, 'retry', { attempt: job.attemptsMade + 1, error: error.message });
+    }
     throw error;
+  } finally {
+    running.delete(job.id);
+  }
+}
+
+// Continues the trace of the request that queued the job. The time the job
+// spent waiting is recorded once, before its first attempt.
+function handleJob(job) {
+  const { trace } = job.data;
+  const parent = tracing.fromCarrier(trace);
+  const context = { jobId: job.id, requestId: (trace && trace.requestId) || undefined };
+
+  if (job.attemptsMade === 0 && job.processedOn) {
+    const queuedAt = job.timestamp + (job.opts.delay || 0);
+    metrics.queueWaitDuration.observe({ priority: job.data.priority }, Math.max(0, job.processedOn - queuedAt) / 1000);
+    tracing.startSpan('queue.wait', {
+      kind: 'consumer',
+      parent,
+      attributes: { 'job.id': job.id },
+      startTime: queuedAt,
+    }).end({ endTime: job.processedOn });
+  }
+
+  return tracing.withSpan('job.process', {
+    kind: 'consumer',
+    parent,
+    context,
+    attributes: { 'job.id': job.id, 'job.attempt': job.attemptsMade + 1 },
+  }, () => processJob(job));
+}
+
+// Starts taking jobs off the queue in this process
+function startWorker() {
+  cancellation.listen((jobId) => {
+    const controller = running.get(jobId);
+    if (controller) controller.abort(cancellation.createError());
+  }).catch(err => logger.error('Failed to listen for cancellations', { error: err.message }));
+
+  // A cancel request that lost the race with completion leaves its marker
+  // behind; the job stays completed
+  queryQueue.on('completed', (job) => {
+    cancellation.clear(job.id).catch(err => logger.warn('Failed to clear cancel marker', { jobId: job.id, error: err.message }));
+  });
+
+  claude.start();
+  queryQueue.process(config.queue.concurrency, handleJob);
+
+  // Readiness fails when no process is taking jobs off the queue. Beats also
+  // carry the circuit breakers and the adaptive concurrency limit.
+  health.startHeartbeat(() => ({ concurrency: config.queue.concurrency, active: running.size, draining, ...claude.state() }));
+}
+
+// Stops taking new jobs and waits up to `timeout` for running ones. Jobs
+// still running then are interrupted (their CLI processes are killed) and
+// put back on the queue for another worker.
+async function drain(timeout = config.worker.drainTimeout) {
+  draining = true;
+  await queryQueue.pause(true, true);
+  logger.info('Draining worker', { active: running.size, timeout });
+
+  const finished = queryQueue.whenCurrentJobsFinished();
+  let timer;
+  const timedOut = await Promise.race([
+    finished.then(() => false),
+    new Promise(resolve => { timer = setTimeout(() => resolve(true), timeout); }),
+  ]);
+  clearTimeout(timer);
+
+  if (timedOut && running.size > 0) {
+    logger.warn('Drain deadline passed; interrupting jobs', { jobs: [...running.keys()] });
+    for (const controller of running.values()) controller.abort(interruptedError());
+    await finished;
   }
-});
+}
 
-module.exports = queryQueue;
+module.exports = { startWorker, drain };
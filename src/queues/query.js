@@ -0,0 +1,30 @@
+const Bull = require('bull');
+const config = require('../config/config');
+
+// The query queue itself. API processes only add to it and read it; jobs are
+// processed by queues/processor.js in processes running the worker role.
+const queryQueue = new Bull('claude-queries', {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password,
+  },
+  settings: {
+    backoffStrategies: {
+      // Exponential, but never sooner than an open circuit or a rate limit allows
+      claude: (attemptsMade, err, options) => {
+        const delay = (options && options.delay) || 2000;
+        return Math.max((Math.pow(2, attemptsMade) - 1) * delay, (err && err.retryAfterMs) || 0);
+      },
+    },
+  },
+  defaultJobOptions: {
+    // The only retries of a failed execution; ClaudeService runs one attempt
+    attempts: config.claude.maxRetries,
+    backoff: { type: 'claude', options: { delay: 2000 } },
+    removeOnComplete: 100,
+    removeOnFail: 50,
+  },
+});
+
+module.exports = queryQueue;
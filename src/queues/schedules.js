@@ -0,0 +1,124 @@
+const Bull = require('bull');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const schedules = require('../services/schedules');
+const submission = require('../services/submission');
+const apiKeys = require('../services/apiKeys');
+const rateLimit = require('../services/rateLimit');
+const usage = require('../services/usage');
+
+// Holds one Bull repeatable job per active schedule. Firing a schedule only
+// submits its query; the query itself runs on the query queue like any other.
+const scheduleQueue = new Bull('claude-schedules', {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password,
+  },
+  defaultJobOptions: {
+    attempts: 1,
+    removeOnComplete: 100,
+    removeOnFail: 100,
+  },
+});
+
+function repeatOptions(schedule) {
+  return { cron: schedule.cron, tz: schedule.timezone, jobId: schedule.id };
+}
+
+async function register(schedule) {
+  await scheduleQueue.add({ scheduleId: schedule.id }, { repeat: repeatOptions(schedule) });
+}
+
+async function unregister(schedule) {
+  await scheduleQueue.removeRepeatable(repeatOptions(schedule));
+}
+
+async function pause(schedule) {
+  if (schedule.status === 'active') await unregister(schedule);
+  return schedules.update(schedule.id, { status: 'paused' });
+}
+
+async function resume(schedule) {
+  const updated = await schedules.update(schedule.id, { status: 'active' });
+  if (schedule.status !== 'active') await register(updated);
+  return updated;
+}
+
+async function remove(schedule) {
+  await unregister(schedule);
+  return schedules.delete(schedule.id);
+}
+
+// Scheduled runs spend the owner's quota and budget like requests do.
+// Resolves with the reason a run must be skipped, or null.
+async function checkLimits(schedule) {
+  const key = schedule.owner !== 'anonymous' ? await apiKeys.get(schedule.owner) : null;
+  if (schedule.owner !== 'anonymous' && (!key || key.revokedAt)) return 'API key revoked';
+
+  const budget = key && key.monthlyBudgetUsd != null ? key.monthlyBudgetUsd : config.usage.monthlyBudget;
+  const status = await usage.checkBudget(schedule.owner, budget);
+  if (!status.allowed) {
+    return status.scope === 'gateway' ? 'Gateway monthly budget exceeded' : 'Monthly budget exceeded';
+  }
+
+  if (key) {
+    const quota = await rateLimit.consumeQuota(key.id, key.dailyQuota);
+    if (!quota.allowed) return 'Daily quota exceeded';
+  }
+  return null;
+}
+
+async function fire(job) {
+  const schedule = await schedules.get(job.data.scheduleId);
+
+  // Deleted while its repeatable job was still registered
+  if (!schedule) {
+    await scheduleQueue.removeRepeatableByKey(job.opts.repeat.key);
+    return { skipped: 'Schedule no longer exists' };
+  }
+  if (schedule.status !== 'active') {
+    return { skipped: 'Schedule is paused' };
+  }
+
+  const skipped = await checkLimits(schedule);
+  if (skipped) {
+    logger.warn('Scheduled run skipped', { scheduleId: schedule.id, reason: skipped });
+    if (skipped === 'API key revoked') await pause(schedule);
+    return schedules.recordRun(schedule, { status: 'skipped', error: skipped });
+  }
+
+  try {
+    const submitted = await submission.submit({
+      query: schedule.query,
+      webhookUrl: schedule.webhookUrl,
+      context: schedule.context,
+      priority: schedule.priority,
+      clientId: schedule.owner,
+      tenant: schedule.tenant,
+      options: schedule.options,
+      cache: schedule.cache,
+    });
+
+    if (submitted.status === 'cached') {
+      return schedules.recordRun(schedule, { jobId: null, status: 'completed', result: submitted.result });
+    }
+    const run = await schedules.recordRun(schedule, { jobId: submitted.jobId, status: 'queued' });
+
+    // The job may have finished, or joined a finished duplicate, before the
+    // run started watching it
+    const outcome = await submission.finishedOutcome(submitted.jobId);
+    if (outcome) await schedules.handleJobFinished(submitted.jobId, outcome);
+    return run;
+  } catch (err) {
+    logger.error('Failed to submit scheduled query', { scheduleId: schedule.id, error: err.message });
+    return schedules.recordRun(schedule, { jobId: null, status: 'failed', error: err.message });
+  }
+}
+
+// Fires due schedules from this process (worker role)
+function startScheduleWorker() {
+  scheduleQueue.process(fire);
+}
+
+module.exports = { scheduleQueue, register, unregister, pause, resume, remove, fire, startScheduleWorker };
@@ -0,0 +1,86 @@
+const Bull = require('bull');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const webhook = require('../services/webhook');
+const apiKeys = require('../services/apiKeys');
+const tracing = require('../services/tracing');
+const { metrics } = require('../metrics/registry');
+
+// Exponential backoff capped at maxBackoffDelay; with the defaults, 12 attempts
+// span roughly five hours.
+function webhookBackoff(attemptsMade) {
+  const delay = config.webhook.backoffDelay * Math.pow(2, attemptsMade - 1);
+  return Math.min(delay, config.webhook.maxBackoffDelay);
+}
+
+const webhookQueue = new Bull('claude-webhooks', {
+  redis: {
+    host: config.redis.host,
+    port: config.redis.port,
+    password: config.redis.password,
+  },
+  settings: {
+    backoffStrategies: { webhook: webhookBackoff },
+  },
+  defaultJobOptions: {
+    attempts: config.webhook.maxAttempts,
+    backoff: { type: 'webhook' },
+    removeOnComplete: 100,
+    removeOnFail: 100,
+  },
+});
+
+async function secretFor(clientId) {
+  const key = clientId && clientId !== 'anonymous' ? await apiKeys.get(clientId) : null;
+  return (key && key.webhookSecret) || config.webhook.secret || null;
+}
+
+// Each attempt is a span in the trace of the job that queued the delivery
+function deliver(job) {
+  const { url, payload, clientId, event, jobId, trace } = job.data;
+  return tracing.withSpan('webhook.deliver', {
+    kind: 'client',
+    parent: tracing.fromCarrier(trace),
+    context: { jobId, requestId: (trace && trace.requestId) || undefined },
+    attributes: { 'webhook.event': event, 'webhook.delivery_id': job.id, 'webhook.attempt': job.attemptsMade + 1 },
+  }, async () => {
+    const secret = await secretFor(clientId);
+    return webhook.deliver(url, payload, { secret, deliveryId: job.id, event });
+  });
+}
+
+// Delivers webhooks from this process (worker role). Completion events are
+// local to the process that ran the delivery, so they are handled here too.
+function startWebhookWorker() {
+  webhookQueue.process(config.webhook.concurrency, deliver);
+
+  webhookQueue.on('completed', (job) => {
+    metrics.webhookDeliveries.inc({ event: job.data.event || 'unknown', outcome: 'delivered' });
+  });
+
+  webhookQueue.on('failed', (job, error) => {
+    const retrying = job.attemptsMade < job.opts.attempts;
+    metrics.webhookDeliveries.inc({ event: job.data.event || 'unknown', outcome: retrying ? 'retrying' : 'dead_lettered' });
+
+    if (retrying) {
+      logger.warn('Webhook attempt failed', { deliveryId: job.id, attempts: job.attemptsMade, error: error.message });
+      return;
+    }
+
+    webhook.deadLetter({
+      id: job.id,
+      ...job.data,
+      error: error.message,
+      attempts: job.attemptsMade,
+      failedAt: Date.now(),
+    }).catch(err => logger.error('Failed to dead-letter webhook', { deliveryId: job.id, error: err.message }));
+  });
+}
+
+// Queues a delivery; the caller never waits on the receiving endpoint
+function enqueueWebhook(url, payload, { clientId, event, jobId } = {}) {
+  return webhookQueue.add({ url, payload, clientId, event, jobId, trace: tracing.carrier() }, { jobId: uuidv4() });
+}
+
+module.exports = { webhookQueue, enqueueWebhook, startWebhookWorker };
@@ -1,6 +1,75 @@
 const config = require('../config/config');
-const queue = require('../queues/processor');
+const queue = require('../queues/query');
 const cache = require('../services/cache');
+const apiKeys = require('../services/apiKeys');
+const rateLimit = require('../services/rateLimit');
+const webhook = require('../services/webhook');
+const usage = require('../services/usage');
+const cancellation = require('../services/cancellation');
+const schedules = require('../services/schedules');
+const templates = require('../services/templates');
+const mcp = require('../services/mcp');
+const history = require('../services/history');
+const health = require('../services/health');
+const { enqueueWebhook } = require('../queues/webhooks');
+const { TEMPLATE_NAME, parseTemplateDefinition, DIFF_MAX_LINES, diffLines } = require('../utils/templates');
+const { parseKeyPolicy } = require('../utils/options');
+const { parseHistoryFilter } = require('../utils/history');
+const scheduleQueue = require('../queues/schedules');
+const schemas = require('../schemas/admin');
+
+// Current month's usage per client, plus gateway-wide daily totals
+async function usageReport() {
+  const [clients, keys] = await Promise.all([usage.listClients(), apiKeys.list()]);
+  const keysById = Object.fromEntries(keys.map(k => [k.id, k]));
+
+  const rows = await Promise.all(clients.map(async (id) => {
+    const key = keysById[id];
+    const budget = key && key.monthlyBudgetUsd != null ? key.monthlyBudgetUsd : config.usage.monthlyBudget;
+    return { clientId: id, name: key ? key.name : id, budgetUsd: budget || null, ...(await usage.getMonth(id)) };
+  }));
+
+  const to = new Date();
+  const from = new Date(to.getTime() - 29 * 86400000);
+  const [total, days] = await Promise.all([
+    usage.getMonth('all'),
+    usage.getDaily('all', from.toISOString().slice(0, 10), to.toISOString().slice(0, 10)),
+  ]);
+
+  return {
+    total,
+    globalBudgetUsd: config.usage.globalMonthlyBudget || null,
+    clients: rows.sort((a, b) => b.costUsd - a.costUsd),
+    days,
+  };
+}
+
+// Line diff between two versions of a template, or null if either is missing.
+// Versions too far apart to diff carry an error instead of lines.
+async function templateDiff(name, from, to) {
+  const [before, after] = await Promise.all([templates.getVersion(name, from), templates.getVersion(name, to)]);
+  if (!before || !after) return null;
+  const lines = diffLines(before.content, after.content);
+  if (!lines) return { from, to, error: `Versions differ in more than ${DIFF_MAX_LINES} lines and cannot be diffed` };
+  return { from, to, lines };
+}
+
+// Finished jobs of one client, or of all of them. Empty parameters (from the
+// dashboard's filter form) are ignored.
+async function searchHistory(query) {
+  const set = Object.fromEntries(Object.entries(query).filter(([, value]) => value !== ''));
+  const { clientId, ...params } = set;
+  const { filter, error } = parseHistoryFilter(params);
+  if (error) return { error };
+
+  const { entries, cursor } = await history.search({ ...filter, clientId: clientId || 'all' });
+  return { entries, nextCursor: cursor };
+}
+
+async function keyNames() {
+  const keys = await apiKeys.list();
+  return Object.fromEntries(keys.map(k => [k.id, k.name]));
+}
 
 async function adminRoutes(fastify) {
   // Basic auth middleware
@@ -19,46 +88,372 @@ async function adminRoutes(fastify) {
   });
 
   // Dashboard
-  fastify.get('/admin', async (request, reply) => {
+  fastify.get('/admin', { schema: schemas.dashboard }, async (request, reply) => {
     const queueCounts = await queue.getJobCounts();
     const cacheStats = await cache.getStats();
-    return reply.view('dashboard.ejs', { queueCounts, cacheStats });
+    const workers = await health.workers();
+    return reply.view('dashboard.ejs', { queueCounts, cacheStats, workers });
   });
 
   // Queue management
-  fastify.get('/admin/queue', async (request, reply) => {
+  fastify.get('/admin/queue', { schema: schemas.queuePage }, async (request, reply) => {
     const jobs = await queue.getJobs(['waiting', 'active', 'failed']);
     return reply.view('queue.ejs', { jobs });
   });
 
-  fastify.post('/admin/queue/:id/retry', async (request, reply) => {
+  fastify.post('/admin/queue/:id/retry', { schema: schemas.retryJob }, async (request, reply) => {
     const job = await queue.getJob(request.params.id);
     if (job) await job.retry();
     return { success: true };
   });
 
-  fastify.delete('/admin/queue/:id', async (request, reply) => {
+  // Removes a waiting job, or kills the Claude process of a running one
+  fastify.post('/admin/queue/:id/cancel', { schema: schemas.cancelJob }, async (request, reply) => {
     const job = await queue.getJob(request.params.id);
+    if (!job) {
+      return reply.code(404).send({ error: 'Job not found' });
+    }
+
+    const outcome = await cancellation.cancel(job, { by: 'admin' });
+    if (!outcome.cancelled) {
+      return reply.code(409).send({ error: `Job already ${outcome.state}`, state: outcome.state });
+    }
+    return { success: true, state: outcome.state };
+  });
+
+  fastify.delete('/admin/queue/:id', { schema: schemas.removeJob }, async (request, reply) => {
+    const job = await queue.getJob(request.params.id);
+    if (job && (await job.isActive())) {
+      return reply.code(409).send({ error: 'Job is running; cancel it instead' });
+    }
     if (job) await job.remove();
     return { success: true };
   });
 
   // Cache management
-  fastify.get('/admin/cache', async (request, reply) => {
-    const stats = await cache.getStats();
-    return reply.view('cache.ejs', { stats });
+  fastify.get('/admin/cache', { schema: schemas.cachePage }, async (request, reply) => {
+    const { cursor = '0' } = request.query;
+    const [stats, page] = await Promise.all([cache.getStats(), cache.list({ cursor })]);
+    return reply.view('cache.ejs', { stats, page, cursor });
+  });
+
+  fastify.get('/admin/cache/:hash', { schema: schemas.cacheEntry }, async (request, reply) => {
+    const entry = await cache.inspect(request.params.hash);
+    if (!entry) {
+      return reply.code(404).send({ error: 'Cache entry not found' });
+    }
+    return entry;
+  });
+
+  fastify.patch('/admin/cache/:hash', { schema: schemas.setCacheTtl }, async (request, reply) => {
+    const { ttl } = request.body || {};
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > config.cache.maxTtl) {
+      return reply.code(400).send({ error: `ttl must be an integer between 1 and ${config.cache.maxTtl} seconds` });
+    }
+
+    const updated = await cache.setTtl(request.params.hash, ttl);
+    if (!updated) {
+      return reply.code(404).send({ error: 'Cache entry not found' });
+    }
+    return { hash: request.params.hash, ttl };
+  });
+
+  fastify.delete('/admin/cache/:hash', { schema: schemas.deleteCacheEntry }, async (request, reply) => {
+    const removed = await cache.delete(request.params.hash);
+    if (!removed) {
+      return reply.code(404).send({ error: 'Cache entry not found' });
+    }
+    return { success: true };
   });
 
-  fastify.delete('/admin/cache', async (request, reply) => {
+  fastify.delete('/admin/cache/tags/:tag', { schema: schemas.invalidateTag }, async (request, reply) => {
+    const cleared = await cache.invalidateTag(request.params.tag);
+    return { tag: request.params.tag, cleared };
+  });
+
+  fastify.delete('/admin/cache', { schema: schemas.clearCache }, async (request, reply) => {
     const cleared = await cache.clear();
     return { cleared };
   });
 
+  // API key management
+  fastify.post('/admin/keys', { schema: schemas.createKey }, async (request, reply) => {
+    const { name, rateLimit: limits, dailyQuota, monthlyBudgetUsd, tenant, weight, mcpServers } = request.body || {};
+    if (weight !== undefined && !(typeof weight === 'number' && weight > 0 && weight <= 100)) {
+      return reply.code(400).send({ error: 'weight must be a number greater than 0 and at most 100' });
+    }
+    if (mcpServers != null && !(Array.isArray(mcpServers) && mcpServers.every(s => typeof s === 'string'))) {
+      return reply.code(400).send({ error: 'mcpServers must be an array of server names' });
+    }
+    const { policy, error } = parseKeyPolicy((request.body || {}).policy);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+    const created = await apiKeys.create({
+      name,
+      rateLimit: limits,
+      dailyQuota,
+      monthlyBudgetUsd,
+      tenant,
+      weight,
+      mcpServers,
+      policy,
+    });
+    return reply.code(201).send(created);
+  });
+
+  fastify.get('/admin/keys', { schema: schemas.listKeys }, async () => {
+    const keys = await apiKeys.list();
+    return { keys };
+  });
+
+  fastify.get('/admin/keys/:id', { schema: schemas.getKey }, async (request, reply) => {
+    const key = await apiKeys.get(request.params.id);
+    if (!key) {
+      return reply.code(404).send({ error: 'API key not found' });
+    }
+
+    const quotaUsed = await rateLimit.getQuotaUsage(key.id);
+    return { ...key, usage: { quotaUsed, quotaRemaining: Math.max(0, key.dailyQuota - quotaUsed) } };
+  });
+
+  fastify.delete('/admin/keys/:id', { schema: schemas.revokeKey }, async (request, reply) => {
+    const key = await apiKeys.revoke(request.params.id);
+    if (!key) {
+      return reply.code(404).send({ error: 'API key not found' });
+    }
+    return { success: true, revokedAt: key.revokedAt };
+  });
+
+  fastify.post('/admin/keys/:id/webhook-secret', { schema: schemas.rotateWebhookSecret }, async (request, reply) => {
+    const key = await apiKeys.rotateWebhookSecret(request.params.id);
+    if (!key) {
+      return reply.code(404).send({ error: 'API key not found' });
+    }
+    return { id: key.id, webhookSecret: key.webhookSecret };
+  });
+
+  // Dead-lettered webhook deliveries
+  fastify.get('/admin/webhooks/dead', { schema: schemas.listDeadWebhooks }, async () => {
+    const deliveries = await webhook.listDead();
+    return { deliveries };
+  });
+
+  fastify.get('/admin/webhooks/dead/:id', { schema: schemas.getDeadWebhook }, async (request, reply) => {
+    const delivery = await webhook.getDead(request.params.id);
+    if (!delivery) {
+      return reply.code(404).send({ error: 'Delivery not found' });
+    }
+    return delivery;
+  });
+
+  fastify.post('/admin/webhooks/dead/:id/replay', { schema: schemas.replayDeadWebhook }, async (request, reply) => {
+    const delivery = await webhook.getDead(request.params.id);
+    if (!delivery) {
+      return reply.code(404).send({ error: 'Delivery not found' });
+    }
+
+    const { url, payload, clientId, event, jobId } = delivery;
+    const job = await enqueueWebhook(url, payload, { clientId, event, jobId });
+    await webhook.removeDead(delivery.id);
+    return { success: true, deliveryId: job.id };
+  });
+
+  fastify.delete('/admin/webhooks/dead/:id', { schema: schemas.deleteDeadWebhook }, async (request, reply) => {
+    const removed = await webhook.removeDead(request.params.id);
+    if (!removed) {
+      return reply.code(404).send({ error: 'Delivery not found' });
+    }
+    return { success: true };
+  });
+
+  // MCP servers and routing rules
+  fastify.get('/admin/mcp', { schema: schemas.mcp }, async () => ({
+    enabled: mcp.enabled,
+    file: mcp.file,
+    loadedAt: mcp.loadedAt,
+    servers: mcp.listServers(),
+    rules: mcp.rules.map(({ name, servers, matchers }) => ({ name, servers, matchers: matchers.map(m => m.type) })),
+  }));
+
+  // Re-reads the config file in every process; a broken file keeps the
+  // current rules
+  fastify.post('/admin/mcp/reload', { schema: schemas.reloadMcp }, async (request, reply) => {
+    const reloaded = await mcp.reloadAll();
+    if (reloaded.error) {
+      return reply.code(400).send({ error: `Invalid MCP config: ${reloaded.error}` });
+    }
+    return reloaded;
+  });
+
+  // Recurring schedules of every client
+  fastify.get('/admin/schedules', { schema: schemas.schedulesPage }, async (request, reply) => {
+    const [list, owners] = await Promise.all([schedules.list(), keyNames()]);
+    return reply.view('schedules.ejs', { schedules: list, owners });
+  });
+
+  fastify.get('/admin/schedules/:id/runs', { schema: schemas.scheduleRuns }, async (request, reply) => {
+    const schedule = await schedules.get(request.params.id);
+    if (!schedule) {
+      return reply.code(404).send({ error: 'Schedule not found' });
+    }
+
+    const runs = await schedules.getRuns(schedule.id);
+    return { scheduleId: schedule.id, runs };
+  });
+
+  fastify.post('/admin/schedules/:id/pause', { schema: schemas.pauseSchedule }, async (request, reply) => {
+    const schedule = await schedules.get(request.params.id);
+    if (!schedule) {
+      return reply.code(404).send({ error: 'Schedule not found' });
+    }
+    return scheduleQueue.pause(schedule);
+  });
+
+  fastify.post('/admin/schedules/:id/resume', { schema: schemas.resumeSchedule }, async (request, reply) => {
+    const schedule = await schedules.get(request.params.id);
+    if (!schedule) {
+      return reply.code(404).send({ error: 'Schedule not found' });
+    }
+    return scheduleQueue.resume(schedule);
+  });
+
+  fastify.delete('/admin/schedules/:id', { schema: schemas.deleteSchedule }, async (request, reply) => {
+    const schedule = await schedules.get(request.params.id);
+    if (!schedule) {
+      return reply.code(404).send({ error: 'Schedule not found' });
+    }
+
+    await scheduleQueue.remove(schedule);
+    return { success: true };
+  });
+
+  // Prompt templates
+  fastify.get('/admin/templates', { schema: schemas.templatesPage }, async (request, reply) => {
+    const [list, owners] = await Promise.all([templates.list(), keyNames()]);
+    return reply.view('templates.ejs', { templates: list, owners });
+  });
+
+  // Template editor; compares the two newest versions unless ?from=&to= are given
+  fastify.get('/admin/templates/:name', { schema: schemas.templatePage }, async (request, reply) => {
+    const template = await templates.get(request.params.name);
+    if (!template) {
+      return reply.code(404).send({ error: 'Template not found' });
+    }
+
+    const [versions, owners] = await Promise.all([templates.listVersions(template.name), keyNames()]);
+    const from = parseInt(request.query.from, 10) || (versions[1] && versions[1].version);
+    const to = parseInt(request.query.to, 10) || template.latestVersion;
+    const diff = from ? await templateDiff(template.name, from, to) : null;
+
+    return reply.view('template.ejs', { template, latest: versions[0], versions, owners, diff });
+  });
+
+  fastify.post('/admin/templates', { schema: schemas.createTemplate }, async (request, reply) => {
+    const { name, ...body } = request.body || {};
+    if (typeof name !== 'string' || !TEMPLATE_NAME.test(name)) {
+      return reply.code(400).send({ error: 'Invalid template name' });
+    }
+
+    const { definition, error } = parseTemplateDefinition(body);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const created = await templates.create(name, definition, 'admin');
+    if (!created) {
+      return reply.code(409).send({ error: `Template ${name} already exists` });
+    }
+    return reply.code(201).send(created);
+  });
+
+  fastify.put('/admin/templates/:name', { schema: schemas.addTemplateVersion }, async (request, reply) => {
+    const { definition, error } = parseTemplateDefinition(request.body || {});
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const updated = await templates.addVersion(request.params.name, definition, 'admin');
+    if (!updated) {
+      return reply.code(404).send({ error: 'Template not found' });
+    }
+    return updated;
+  });
+
+  fastify.delete('/admin/templates/:name', { schema: schemas.deleteTemplate }, async (request, reply) => {
+    const removed = await templates.delete(request.params.name);
+    if (!removed) {
+      return reply.code(404).send({ error: 'Template not found' });
+    }
+    return { success: true };
+  });
+
+  fastify.get('/admin/api/templates/:name/diff', { schema: schemas.templateDiff }, async (request, reply) => {
+    const diff = await templateDiff(
+      request.params.name,
+      parseInt(request.query.from, 10) || 0,
+      parseInt(request.query.to, 10) || 0
+    );
+    if (!diff) {
+      return reply.code(404).send({ error: 'Template version not found' });
+    }
+    if (diff.error) {
+      return reply.code(400).send({ error: diff.error, code: 'diff_too_large' });
+    }
+    return diff;
+  });
+
+  // Usage and cost
+  fastify.get('/admin/usage', { schema: schemas.usagePage }, async (request, reply) => {
+    const report = await usageReport();
+    return reply.view('usage.ejs', report);
+  });
+
+  // Job history
+  if (history.enabled) {
+    fastify.get('/admin/history', { schema: schemas.historyPage }, async (request, reply) => {
+      const [page, owners] = await Promise.all([searchHistory(request.query), keyNames()]);
+      if (page.error) {
+        return reply.code(400).send({ error: page.error });
+      }
+      return reply.view('history.ejs', { page, owners, filter: request.query });
+    });
+
+    fastify.get('/admin/api/history', { schema: schemas.searchHistory }, async (request, reply) => {
+      const page = await searchHistory(request.query);
+      if (page.error) {
+        return reply.code(400).send({ error: page.error });
+      }
+      return page;
+    });
+
+    fastify.get('/admin/api/history/:jobId', { schema: schemas.historyEntry }, async (request, reply) => {
+      const entry = await history.get(request.params.jobId);
+      if (!entry) {
+        return reply.code(404).send({ error: 'History entry not found' });
+      }
+      return entry;
+    });
+  }
+
   // API endpoints for AJAX
-  fastify.get('/admin/api/stats', async () => {
+  fastify.get('/admin/api/stats', { schema: schemas.stats }, async () => {
     const queueCounts = await queue.getJobCounts();
     const cacheStats = await cache.getStats();
-    return { queue: queueCounts, cache: cacheStats };
+    const workers = await health.workers();
+    return { queue: queueCounts, cache: cacheStats, workers };
+  });
+
+  fastify.get('/admin/api/cache', { schema: schemas.listCache }, async (request) => {
+    const { cursor = '0', count } = request.query;
+    return cache.list({ cursor, count: Math.min(parseInt(count, 10) || 50, 1000) });
+  });
+
+  fastify.get('/admin/api/usage', { schema: schemas.usage }, async () => usageReport());
+
+  fastify.get('/admin/api/schedules', { schema: schemas.listSchedules }, async () => {
+    const list = await schedules.list();
+    return { schedules: list };
   });
 }
 
@@ -0,0 +1,130 @@
+const config = require('../config/config');
+const batches = require('../services/batch');
+const submission = require('../services/submission');
+const { chargeQuota, clientId, tenant } = require('../middleware/auth');
+const { parseExecutionOptions, promptSizeError } = require('../utils/options');
+const { parsePriority } = require('../utils/scheduling');
+
+// Items submitted to the queue at once
+const SUBMIT_CONCURRENCY = 20;
+
+function toItem(entry, index) {
+  if (typeof entry === 'string') return { index, query: entry, context: {} };
+  return { index, query: entry && entry.query, context: (entry && entry.context) || {} };
+}
+
+async function batchRoutes(fastify) {
+  async function loadBatch(request, reply) {
+    const batch = await batches.get(request.params.id);
+    if (!batch || batch.owner !== clientId(request)) {
+      reply.code(404).send({ error: 'Batch not found' });
+      return null;
+    }
+    return batch;
+  }
+
+  // Submit batch
+  fastify.post('/batch', async (request, reply) => {
+    const { queries, webhookUrl } = request.body || {};
+
+    if (!Array.isArray(queries) || queries.length === 0) {
+      return reply.code(400).send({ error: 'Queries must be a non-empty array' });
+    }
+    if (queries.length > config.batch.maxItems) {
+      return reply.code(400).send({ error: `A batch may contain at most ${config.batch.maxItems} queries` });
+    }
+
+    const items = queries.map(toItem);
+    const invalid = items.find(item => typeof item.query !== 'string' || !item.query);
+    if (invalid) {
+      return reply.code(400).send({ error: `Query is required (item ${invalid.index})` });
+    }
+    for (const item of items) {
+      const sizeError = promptSizeError(item.query, item.context);
+      if (sizeError) {
+        return reply.code(400).send({ error: `${sizeError} (item ${item.index})` });
+      }
+    }
+
+    const { options, error } = parseExecutionOptions(request.body, request.apiKey);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const { priority, error: priorityError } = parsePriority((request.body || {}).priority);
+    if (priorityError) {
+      return reply.code(400).send({ error: priorityError });
+    }
+
+    if (!(await chargeQuota(request, reply, items.length))) return reply;
+
+    const batch = await batches.create({ owner: clientId(request), total: items.length, webhookUrl });
+
+    // Items go through the normal cache/dedup/queue path, without per-item
+    // webhooks, several at a time. Repeated queries are submitted once and
+    // share the job, since concurrent submissions miss each other's dedup marker.
+    const groups = new Map();
+    for (const item of items) {
+      const key = JSON.stringify([item.query, item.context]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    const cachedItems = [];
+    const pending = [...groups.values()];
+    for (let i = 0; i < pending.length; i += SUBMIT_CONCURRENCY) {
+      await Promise.all(pending.slice(i, i + SUBMIT_CONCURRENCY).map(async (group) => {
+        const submitted = await submission.submit({
+          query: group[0].query,
+          context: group[0].context,
+          priority,
+          clientId: batch.owner,
+          tenant: tenant(request),
+          options,
+        });
+        for (const item of group) {
+          if (submitted.status === 'cached') {
+            cachedItems.push({ index: item.index, result: submitted.result });
+          } else {
+            item.jobId = submitted.jobId;
+            await batches.watch(submitted.jobId, batch.id, item.index);
+            // The job may have finished, or even been removed, before it was watched
+            const outcome = await submission.finishedOutcome(submitted.jobId);
+            if (outcome) await batches.recordItem(batch.id, item.index, outcome);
+          }
+        }
+      }));
+    }
+
+    await batches.addItems(batch.id, items.map(({ index, query, jobId }) => ({ index, query, jobId })));
+
+    for (const { index, result } of cachedItems) {
+      await batches.recordItem(batch.id, index, { result });
+    }
+    await batches.checkComplete(batch.id);
+
+    const { status, total, counts } = await batches.getStatus(batch.id, { includeResults: false });
+    return reply.code(202).send({ batchId: batch.id, status, total, counts });
+  });
+
+  // Aggregate status with per-item results
+  fastify.get('/batch/:id', async (request, reply) => {
+    const batch = await loadBatch(request, reply);
+    if (!batch) return reply;
+
+    return batches.getStatus(batch.id);
+  });
+
+  // Download results, one JSON object per line
+  fastify.get('/batch/:id/results.jsonl', async (request, reply) => {
+    const batch = await loadBatch(request, reply);
+    if (!batch) return reply;
+
+    const { items } = await batches.getStatus(batch.id);
+    reply.type('application/x-ndjson');
+    reply.header('Content-Disposition', `attachment; filename="batch-${batch.id}.jsonl"`);
+    return items.map(item => JSON.stringify(item)).join('\n') + '\n';
+  });
+}
+
+module.exports = batchRoutes;
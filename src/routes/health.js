@@ -0,0 +1,18 @@
+const health = require('../services/health');
+const schemas = require('../schemas/health');
+
+// Probe endpoints, outside /api so they need no API key
+async function healthRoutes(fastify) {
+  fastify.get('/health/live', { schema: schemas.liveness }, async () => health.liveness());
+
+  // A degraded gateway stays ready: it still serves status lookups and
+  // streams, and refuses new queries itself
+  const readiness = async (request, reply) => {
+    const report = await health.check();
+    return reply.code(report.status === 'down' ? 503 : 200).send(report);
+  };
+  fastify.get('/health/ready', { schema: schemas.readiness }, readiness);
+  fastify.get('/health', { schema: schemas.readiness }, readiness);
+}
+
+module.exports = healthRoutes;
@@ -0,0 +1,19 @@
+const history = require('../services/history');
+const { clientId } = require('../middleware/auth');
+const { parseHistoryFilter } = require('../utils/history');
+const schemas = require('../schemas/history');
+
+async function historyRoutes(fastify) {
+  // Finished jobs of the calling API key
+  fastify.get('/history', { schema: schemas.listHistory }, async (request, reply) => {
+    const { filter, error } = parseHistoryFilter(request.query);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const { entries, cursor } = await history.search({ ...filter, clientId: clientId(request) });
+    return { entries, nextCursor: cursor };
+  });
+}
+
+module.exports = historyRoutes;
@@ -0,0 +1,34 @@
+const mcp = require('../services/mcp');
+const { parseExecutionOptions } = require('../utils/options');
+
+// The caller's MCP allow-list, or null when every server is allowed
+function allowList(request) {
+  return (request.apiKey && request.apiKey.mcpServers) || null;
+}
+
+async function mcpRoutes(fastify) {
+  // MCP servers the calling API key may use
+  fastify.get('/mcp/servers', async (request) => ({
+    enabled: mcp.enabled,
+    loadedAt: mcp.loadedAt,
+    servers: mcp.listServers(allowList(request)),
+  }));
+
+  // Dry run: which servers a query would run with, without queueing it
+  fastify.post('/mcp/route', async (request, reply) => {
+    const { query, context = {}, mcpServers } = request.body || {};
+    if (typeof query !== 'string' || !query) {
+      return reply.code(400).send({ error: 'Query is required' });
+    }
+
+    const { options, error } = parseExecutionOptions({ mcpServers }, request.apiKey);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const routed = mcp.route({ query, context, requested: options.mcpServers, allowed: allowList(request) });
+    return { enabled: mcp.enabled, ...routed };
+  });
+}
+
+module.exports = mcpRoutes;
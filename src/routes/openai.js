@@ -0,0 +1,225 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const queue = require('../queues/query');
+const stream = require('../services/stream');
+const submission = require('../services/submission');
+const { messagesError, formatMessages } = require('../utils/prompt');
+const { parseExecutionOptions, promptSizeError } = require('../utils/options');
+const { getResultText, getResultUsage } = require('../utils/result');
+const { clientId, tenant } = require('../middleware/auth');
+
+// `claude-code` runs the deployment's default model
+const DEFAULT_MODEL = 'claude-code';
+
+function openAIError(reply, status, message, type = 'invalid_request_error', param = null, code = null) {
+  return reply.code(status).send({ error: { message, type, param, code } });
+}
+
+// Maps a listed model id to execution options, under the key's model policy
+function modelOptions(model, apiKey) {
+  if (model === DEFAULT_MODEL) return { options: {} };
+  return parseExecutionOptions({ model }, apiKey);
+}
+
+function toUsage(result) {
+  const usage = getResultUsage(result);
+  const promptTokens = usage.inputTokens + usage.cacheCreationTokens + usage.cacheReadTokens;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: usage.outputTokens,
+    total_tokens: promptTokens + usage.outputTokens,
+  };
+}
+
+function completionBody(id, model, result) {
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: getResultText(result) },
+      finish_reason: 'stop',
+    }],
+    usage: toUsage(result),
+  };
+}
+
+function chunkBody(id, model, delta, finishReason = null) {
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  };
+}
+
+async function streamCompletion(request, reply, { id, model, query, options, requestId, includeUsage }) {
+  reply.hijack();
+  const res = reply.raw;
+  res.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const write = (body) => res.write(`data: ${JSON.stringify(body)}\n\n`);
+  let done = false;
+  let sentText = false;
+  let unsubscribe = null;
+  let timer = null;
+
+  const close = async () => {
+    done = true;
+    clearTimeout(timer);
+    if (unsubscribe) await unsubscribe();
+  };
+
+  const finish = async (result, error) => {
+    if (done) return;
+    await close();
+
+    if (error) {
+      write({ error: { message: error, type: 'api_error', param: null, code: null } });
+    } else {
+      // Cached, duplicate or non-streaming results arrive whole
+      const text = getResultText(result);
+      if (!sentText && text) write(chunkBody(id, model, { content: text }));
+      write(chunkBody(id, model, {}, 'stop'));
+      if (includeUsage) write({ ...chunkBody(id, model, {}), choices: [], usage: toUsage(result) });
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+  };
+
+  const onEvent = ({ event, data }) => {
+    if (done) return;
+    if (event === 'chunk') {
+      sentText = true;
+      write(chunkBody(id, model, { content: data.text }));
+    } else if (event === 'completed') {
+      finish(data.result);
+    } else if (event === 'failed') {
+      finish(null, data.error);
+    } else if (event === 'cancelled') {
+      finish(null, 'Job cancelled');
+    } else if (event === 'retry' && sentText) {
+      // The retry answers from the start; appending it would send two answers
+      finish(null, `Attempt failed after partial output (${data.error}); retry the request`);
+    }
+  };
+
+  request.raw.on('close', () => { if (!done) close(); });
+  timer = setTimeout(() => finish(null, 'Timed out waiting for completion'), config.openai.timeout);
+  write(chunkBody(id, model, { role: 'assistant', content: '' }));
+
+  try {
+    // Subscribe before enqueueing so no early chunks are missed
+    if (config.features.streamingEnabled) {
+      unsubscribe = await stream.subscribe(requestId, onEvent);
+    }
+
+    const submitted = await submission.submit({ query, options, requestId, clientId: clientId(request), tenant: tenant(request) });
+    if (submitted.status === 'cached') return finish(submitted.result);
+    if (done) return;
+
+    if (!config.features.streamingEnabled) {
+      const outcome = await submission.waitForJob(submitted.jobId, config.openai.timeout);
+      if (outcome.state === 'completed') return finish(outcome.result);
+      if (outcome.state === 'cancelled') return finish(null, 'Job cancelled');
+      return finish(null, outcome.error || 'Timed out waiting for completion');
+    }
+
+    if (submitted.jobId !== requestId) {
+      await unsubscribe();
+      unsubscribe = await stream.subscribe(submitted.jobId, onEvent);
+    }
+
+    // The job may have finished before we subscribed
+    const job = await queue.getJob(submitted.jobId);
+    const state = job ? await job.getState() : null;
+    if (state === 'completed') return finish(job.returnvalue);
+    if (state === 'failed') return finish(null, job.failedReason);
+  } catch (err) {
+    logger.error('Chat completion stream failed', { error: err.message });
+    finish(null, err.message);
+  }
+}
+
+async function openAIRoutes(fastify) {
+  fastify.get('/models', async () => ({
+    object: 'list',
+    data: config.openai.models.map(id => ({
+      id,
+      object: 'model',
+      created: 0,
+      owned_by: 'anthropic',
+    })),
+  }));
+
+  fastify.post('/chat/completions', { config: { quota: true } }, async (request, reply) => {
+    const {
+      model = config.openai.models[0],
+      messages,
+      stream: wantsStream = false,
+      stream_options: streamOptions = {},
+    } = request.body || {};
+
+    if (typeof model !== 'string' || !config.openai.models.includes(model)) {
+      return openAIError(reply, 404, `The model '${model}' does not exist`, 'invalid_request_error', 'model', 'model_not_found');
+    }
+    const { options, error: modelError } = modelOptions(model, request.apiKey);
+    if (modelError) {
+      return openAIError(reply, 400, modelError, 'invalid_request_error', 'model');
+    }
+
+    const shapeError = messagesError(messages);
+    if (shapeError) {
+      return openAIError(reply, 400, shapeError, 'invalid_request_error', 'messages');
+    }
+
+    const query = formatMessages(messages);
+    if (!query) {
+      return openAIError(reply, 400, 'No text content found in messages', 'invalid_request_error', 'messages');
+    }
+
+    // The same limits as /api/query, applied to the flattened prompt
+    const sizeError = promptSizeError(query);
+    if (sizeError) {
+      return openAIError(reply, 400, sizeError, 'invalid_request_error', 'messages');
+    }
+
+    const requestId = uuidv4();
+    const id = `chatcmpl-${requestId}`;
+
+    if (wantsStream) {
+      const includeUsage = Boolean(streamOptions && streamOptions.include_usage);
+      return streamCompletion(request, reply, { id, model, query, options, requestId, includeUsage });
+    }
+
+    const submitted = await submission.submit({ query, options, requestId, clientId: clientId(request), tenant: tenant(request) });
+    if (submitted.status === 'cached') {
+      reply.header('X-Cache-Tier', submitted.cacheTier);
+      return completionBody(id, model, submitted.result);
+    }
+
+    const outcome = await submission.waitForJob(submitted.jobId, config.openai.timeout);
+    if (outcome.state === 'completed') {
+      return completionBody(id, model, outcome.result);
+    }
+    if (outcome.state === 'failed') {
+      return openAIError(reply, 502, outcome.error, 'api_error');
+    }
+    if (outcome.state === 'cancelled') {
+      return openAIError(reply, 409, 'Request was cancelled', 'api_error');
+    }
+    return openAIError(reply, 504, `Timed out waiting for job ${submitted.jobId}`, 'timeout');
+  });
+}
+
+module.exports = openAIRoutes;
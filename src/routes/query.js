@@ -1,69 +1,251 @@
-const { v4: uuidv4 } = require('uuid');
 const config = require('../config/config');
-const cache = require('../services/cache');
-const queue = require('../queues/processor');
-const dedup = require('../services/deduplication');
-const { generateQueryHash } = require('../utils/prompt');
+const queue = require('../queues/query');
+const stream = require('../services/stream');
+const submission = require('../services/submission');
+const cancellation = require('../services/cancellation');
+const templates = require('../services/templates');
+const history = require('../services/history');
+const { clientId, tenant } = require('../middleware/auth');
+const { parseExecutionOptions, parseCacheOptions, promptSizeError } = require('../utils/options');
+const { parsePriority, parseSchedule } = require('../utils/scheduling');
+const schemas = require('../schemas/query');
+
+// 1-based position among waiting jobs (1 runs next), or null
+async function queuePosition(job) {
+  const waitKey = queue.toKey('wait');
+  const [index, length] = await Promise.all([queue.client.lpos(waitKey, job.id), queue.client.llen(waitKey)]);
+  return index === null ? null : length - index;
+}
+
+// Other clients' jobs are reported as missing, not forbidden
+function ownedBy(request, owner) {
+  return (owner || 'anonymous') === clientId(request);
+}
 
 async function queryRoutes(fastify) {
   // Submit query
-  fastify.post('/query', async (request, reply) => {
-    const { query, webhookUrl, context = {}, priority = 'normal' } = request.body;
+  fastify.post('/query', { schema: schemas.submitQuery, config: { quota: true } }, async (request, reply) => {
+    const { webhookUrl, context = {} } = request.body;
+    const wait = request.body.wait ?? request.query.wait;
+    const maxWait = Number(request.body.maxWait ?? request.query.maxWait ?? config.wait.defaultSeconds);
+    if (!Number.isFinite(maxWait) || maxWait < 0) {
+      return reply.code(400).send({ error: 'maxWait must be a finite number of seconds, 0 or more' });
+    }
+    let { query } = request.body;
+    let template;
+
+    // A template reference renders to the query
+    if (request.body.template !== undefined) {
+      if (query) {
+        return reply.code(400).send({ error: 'Send either query or template, not both' });
+      }
+      const resolved = await templates.resolve(request.body.template, request.body.variables);
+      if (resolved.error) {
+        return reply.code(resolved.statusCode).send({ error: resolved.error });
+      }
+      ({ query, template } = resolved);
+    }
 
     if (!query) {
       return reply.code(400).send({ error: 'Query is required' });
     }
 
-    const hash = generateQueryHash(query, context);
-    const requestId = uuidv4();
+    const sizeError = promptSizeError(query, context);
+    if (sizeError) {
+      return reply.code(400).send({ error: sizeError });
+    }
 
-    // Check cache
-    const cached = await cache.get(hash);
-    if (cached) {
-      return { requestId, status: 'cached', result: cached };
+    const { options, error } = parseExecutionOptions(request.body, request.apiKey);
+    if (error) {
+      return reply.code(400).send({ error });
     }
 
-    // Check deduplication
-    if (config.features.dedupEnabled) {
-      const existingJobId = await dedup.getJobId(hash);
-      if (existingJobId) {
-        return { requestId, status: 'duplicate', jobId: existingJobId };
-      }
+    const { cache, error: cacheError } = parseCacheOptions(request.body);
+    if (cacheError) {
+      return reply.code(400).send({ error: cacheError });
     }
 
-    // Add to queue
-    const job = await queue.add({ query, webhookUrl, context }, {
-      priority: priority === 'high' ? 1 : 10,
-      jobId: requestId,
-    });
+    const { priority, error: priorityError } = parsePriority(request.body.priority);
+    if (priorityError) {
+      return reply.code(400).send({ error: priorityError });
+    }
 
-    // Mark as in-flight
-    if (config.features.dedupEnabled) {
-      await dedup.markInFlight(hash, job.id);
+    const { delay, error: scheduleError } = parseSchedule(request.body);
+    if (scheduleError) {
+      return reply.code(400).send({ error: scheduleError });
     }
 
-    return { requestId, status: 'queued', jobId: job.id };
+    const submitted = await submission.submit({
+      query,
+      webhookUrl,
+      context,
+      priority,
+      clientId: clientId(request),
+      tenant: tenant(request),
+      delay,
+      options,
+      template,
+      cache,
+    });
+    if (!(wait === true || wait === 'true') || ['cached', 'scheduled'].includes(submitted.status)) {
+      return submitted;
+    }
+
+    // Hold the request open until the job (or the duplicate it joined) finishes
+    // 0 is a valid wait that answers at once
+    const outcome = await submission.waitForJob(submitted.jobId, Math.min(maxWait, config.wait.maxSeconds) * 1000);
+
+    if (outcome.state === 'completed') {
+      return { ...submitted, status: 'completed', result: outcome.result };
+    }
+    if (outcome.state === 'failed') {
+      return {
+        ...submitted,
+        status: 'failed',
+        error: outcome.error,
+        ...(outcome.failure && { errorCode: outcome.failure.code, errorDetails: outcome.failure.details }),
+      };
+    }
+    if (outcome.state === 'cancelled') {
+      return { ...submitted, status: 'cancelled' };
+    }
+    return submitted;
   });
 
   // Get job status
-  fastify.get('/query/:jobId', async (request, reply) => {
-    const job = await queue.getJob(request.params.jobId);
+  fastify.get('/query/:jobId', { schema: schemas.jobStatus }, async (request, reply) => {
+    const { jobId } = request.params;
+    const job = await queue.getJob(jobId);
+    const cancelled = await cancellation.get(jobId);
+
+    if (job && !ownedBy(request, job.data.clientId)) {
+      return reply.code(404).send({ error: 'Job not found' });
+    }
 
+    // Cancelled waiting jobs are removed from the queue; the marker remains
     if (!job) {
+      if (cancelled && ownedBy(request, cancelled.clientId)) {
+        return { jobId, state: 'cancelled', progress: 0, result: null, error: null, cancelledAt: cancelled.cancelledAt };
+      }
+      // Finished jobs Bull has already removed
+      const entry = history.enabled ? await history.get(jobId) : null;
+      if (entry && ownedBy(request, entry.clientId)) {
+        return {
+          jobId,
+          state: entry.status,
+          progress: 100,
+          priority: entry.priority,
+          ...(entry.template && { template: entry.template }),
+          result: entry.result,
+          error: entry.error,
+          ...(entry.errorCode && { errorCode: entry.errorCode, errorDetails: entry.errorDetails }),
+          finishedAt: entry.finishedAt,
+        };
+      }
       return reply.code(404).send({ error: 'Job not found' });
     }
 
-    const state = await job.getState();
+    let state = await job.getState();
     const progress = job.progress();
+    if (state === 'failed' && cancelled) state = 'cancelled';
 
     return {
       jobId: job.id,
       state,
       progress,
+      priority: job.data.priority,
+      ...(job.data.template && { template: `${job.data.template.name}@${job.data.template.version}` }),
+      ...(state === 'waiting' && { position: await queuePosition(job) }),
+      ...(state === 'delayed' && { runAt: new Date(job.timestamp + job.delay).toISOString() }),
       result: state === 'completed' ? job.returnvalue : null,
       error: state === 'failed' ? job.failedReason : null,
+      ...(state === 'failed' && job.data.failure && {
+        errorCode: job.data.failure.code,
+        errorDetails: job.data.failure.details,
+      }),
+      ...(state === 'cancelled' && { cancelledAt: cancelled.cancelledAt }),
     };
   });
+
+  // Cancel a queued or running job. Only the client that submitted it may.
+  fastify.delete('/query/:jobId', { schema: schemas.cancelJob }, async (request, reply) => {
+    const job = await queue.getJob(request.params.jobId);
+
+    if (!job || !ownedBy(request, job.data.clientId)) {
+      return reply.code(404).send({ error: 'Job not found' });
+    }
+
+    const outcome = await cancellation.cancel(job);
+    if (!outcome.cancelled) {
+      return reply.code(409).send({ error: `Job already ${outcome.state}`, state: outcome.state });
+    }
+
+    // Running jobs stop asynchronously once their worker kills the process
+    return reply.code(outcome.state === 'cancelled' ? 200 : 202).send({ jobId: job.id, state: outcome.state });
+  });
+
+  // Stream job progress and output as Server-Sent Events
+  if (config.features.streamingEnabled) {
+    fastify.get('/query/:jobId/stream', { schema: schemas.streamJob, config: { queryKey: true } }, async (request, reply) => {
+      const { jobId } = request.params;
+      const job = await queue.getJob(jobId);
+
+      if (!job || !ownedBy(request, job.data.clientId)) {
+        return reply.code(404).send({ error: 'Job not found' });
+      }
+
+      reply.hijack();
+      const res = reply.raw;
+      res.writeHead(200, {
+        ...reply.getHeaders(),
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+
+      let closed = false;
+      let unsubscribe = null;
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.stream.heartbeatInterval);
+
+      const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      const finish = async () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        res.end();
+        if (unsubscribe) await unsubscribe();
+      };
+
+      request.raw.on('close', finish);
+
+      // Subscribe before reading state so a completion in between isn't missed
+      unsubscribe = await stream.subscribe(jobId, ({ event, data }) => {
+        send(event, data);
+        if (stream.isTerminal(event)) finish();
+      });
+      if (closed) return unsubscribe();
+
+      const current = await queue.getJob(jobId);
+      const state = current ? await current.getState() : 'unknown';
+
+      if (state === 'completed') {
+        send('completed', { result: current.returnvalue });
+        return finish();
+      }
+      if (state === 'failed') {
+        const cancelled = await cancellation.get(jobId);
+        if (cancelled) send('cancelled', cancelled);
+        else send('failed', { error: current.failedReason });
+        return finish();
+      }
+
+      send('progress', { state, progress: current ? current.progress() : 0 });
+    });
+  }
 }
 
 module.exports = queryRoutes;
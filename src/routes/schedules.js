@@ -0,0 +1,167 @@
+const config = require('../config/config');
+const schedules = require('../services/schedules');
+const { register, unregister, pause, resume, remove } = require('../queues/schedules');
+const { clientId, tenant } = require('../middleware/auth');
+const { parseExecutionOptions, parseCacheOptions, promptSizeError } = require('../utils/options');
+const { parsePriority, parseCron } = require('../utils/scheduling');
+
+const EXECUTION_FIELDS = [
+  'backend',
+  'outputSchema',
+  'mcpServers',
+  'model',
+  'systemPrompt',
+  'allowedTools',
+  'disallowedTools',
+  'maxTurns',
+  'workspace',
+];
+const CACHE_FIELDS = ['noCache', 'cacheTtl', 'cacheTags'];
+
+// Validates the fields present in a create or update body and resolves with
+// the schedule changes, or { error }. `current` is the schedule being updated
+// and `apiKey` the caller's key.
+function parseScheduleBody(body, current, apiKey) {
+  const changes = {};
+
+  if (body.query !== undefined || !current) {
+    if (typeof body.query !== 'string' || !body.query) return { error: 'Query is required' };
+    changes.query = body.query;
+  }
+
+  if (body.cron !== undefined || body.timezone !== undefined || !current) {
+    const parsed = parseCron(
+      body.cron ?? (current && current.cron),
+      body.timezone ?? (current ? current.timezone : 'UTC')
+    );
+    if (parsed.error) return { error: parsed.error };
+    changes.cron = parsed.cron;
+    changes.timezone = parsed.timezone;
+  }
+
+  if (body.priority !== undefined || !current) {
+    const { priority, error } = parsePriority(body.priority);
+    if (error) return { error };
+    changes.priority = priority;
+  }
+
+  if (EXECUTION_FIELDS.some(field => body[field] !== undefined) || !current) {
+    const { options, error } = parseExecutionOptions(body, apiKey);
+    if (error) return { error };
+    changes.options = options;
+  }
+
+  if (CACHE_FIELDS.some(field => body[field] !== undefined) || !current) {
+    const { cache, error } = parseCacheOptions(body);
+    if (error) return { error };
+    changes.cache = cache;
+  }
+
+  if (body.context !== undefined || !current) changes.context = body.context || {};
+
+  const sizeError = promptSizeError(changes.query || current.query, changes.context || current.context);
+  if (sizeError) return { error: sizeError };
+  if (body.webhookUrl !== undefined) changes.webhookUrl = body.webhookUrl || null;
+  if (body.name !== undefined) changes.name = body.name || null;
+
+  return { changes };
+}
+
+async function scheduleRoutes(fastify) {
+  // Loads the schedule and checks it belongs to the caller
+  async function loadSchedule(request, reply) {
+    const schedule = await schedules.get(request.params.id);
+    if (!schedule || schedule.owner !== clientId(request)) {
+      reply.code(404).send({ error: 'Schedule not found' });
+      return null;
+    }
+    return schedule;
+  }
+
+  // Create schedule
+  fastify.post('/schedules', async (request, reply) => {
+    const body = request.body || {};
+    const { changes, error } = parseScheduleBody(body, null, request.apiKey);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const owner = clientId(request);
+    if ((await schedules.count(owner)) >= config.schedules.maxPerClient) {
+      return reply.code(409).send({ error: `At most ${config.schedules.maxPerClient} schedules per client` });
+    }
+
+    const schedule = await schedules.create({ owner, tenant: tenant(request), ...changes });
+    await register(schedule);
+    return reply.code(201).send(schedule);
+  });
+
+  // List schedules
+  fastify.get('/schedules', async (request) => {
+    const list = await schedules.list(clientId(request));
+    return { schedules: list };
+  });
+
+  // Get schedule
+  fastify.get('/schedules/:id', async (request, reply) => {
+    const schedule = await loadSchedule(request, reply);
+    if (!schedule) return reply;
+    return schedule;
+  });
+
+  // Run history, newest first
+  fastify.get('/schedules/:id/runs', async (request, reply) => {
+    const schedule = await loadSchedule(request, reply);
+    if (!schedule) return reply;
+
+    const runs = await schedules.getRuns(schedule.id);
+    return { scheduleId: schedule.id, runs };
+  });
+
+  // Update schedule
+  fastify.patch('/schedules/:id', async (request, reply) => {
+    const schedule = await loadSchedule(request, reply);
+    if (!schedule) return reply;
+
+    const { changes, error } = parseScheduleBody(request.body || {}, schedule, request.apiKey);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    // The repeatable job only carries the timing; everything else is read
+    // from the schedule when it fires
+    const retimed = changes.cron !== undefined
+      && (changes.cron !== schedule.cron || changes.timezone !== schedule.timezone);
+    if (retimed && schedule.status === 'active') await unregister(schedule);
+
+    const updated = await schedules.update(schedule.id, changes);
+    if (retimed && updated.status === 'active') await register(updated);
+    return updated;
+  });
+
+  // Stop firing until resumed
+  fastify.post('/schedules/:id/pause', async (request, reply) => {
+    const schedule = await loadSchedule(request, reply);
+    if (!schedule) return reply;
+
+    return pause(schedule);
+  });
+
+  fastify.post('/schedules/:id/resume', async (request, reply) => {
+    const schedule = await loadSchedule(request, reply);
+    if (!schedule) return reply;
+
+    return resume(schedule);
+  });
+
+  // Delete schedule
+  fastify.delete('/schedules/:id', async (request, reply) => {
+    const schedule = await loadSchedule(request, reply);
+    if (!schedule) return reply;
+
+    await remove(schedule);
+    return { success: true };
+  });
+}
+
+module.exports = scheduleRoutes;
@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
+const sessions = require('../services/sessions');
+const submission = require('../services/submission');
+const { clientId, tenant } = require('../middleware/auth');
+const { parseExecutionOptions, promptSizeError } = require('../utils/options');
+const { parsePriority } = require('../utils/scheduling');
+
+async function sessionRoutes(fastify) {
+  // Loads the session and checks it belongs to the caller
+  async function loadSession(request, reply) {
+    const session = await sessions.get(request.params.id);
+    if (!session || session.owner !== clientId(request)) {
+      reply.code(404).send({ error: 'Session not found' });
+      return null;
+    }
+    return session;
+  }
+
+  // Create session
+  fastify.post('/sessions', async (request, reply) => {
+    const { title } = request.body || {};
+
+    // Options are fixed per session so every turn runs on the same backend
+    const { options, error } = parseExecutionOptions(request.body || {}, request.apiKey);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+    // Repair prompts would become turns of the conversation
+    if (options.outputSchema) {
+      return reply.code(400).send({ error: 'outputSchema is not supported for sessions' });
+    }
+
+    const session = await sessions.create({ owner: clientId(request), title, options });
+    return reply.code(201).send(session);
+  });
+
+  // List sessions
+  fastify.get('/sessions', async (request) => {
+    const list = await sessions.list(clientId(request));
+    return { sessions: list };
+  });
+
+  // Get session with pending turn
+  fastify.get('/sessions/:id', async (request, reply) => {
+    const session = await loadSession(request, reply);
+    if (!session) return reply;
+
+    const pendingJobId = await sessions.getPendingJobId(session.id);
+    return { ...session, pendingJobId };
+  });
+
+  // Get transcript
+  fastify.get('/sessions/:id/messages', async (request, reply) => {
+    const session = await loadSession(request, reply);
+    if (!session) return reply;
+
+    const messages = await sessions.getMessages(session.id);
+    return { sessionId: session.id, messages };
+  });
+
+  // Send the next turn
+  fastify.post('/sessions/:id/messages', { config: { quota: true } }, async (request, reply) => {
+    const { content, webhookUrl } = request.body || {};
+
+    if (typeof content !== 'string' || !content) {
+      return reply.code(400).send({ error: 'Content is required' });
+    }
+    const sizeError = promptSizeError(content);
+    if (sizeError) {
+      return reply.code(400).send({ error: sizeError });
+    }
+
+    const { priority, error: priorityError } = parsePriority(request.body.priority);
+    if (priorityError) {
+      return reply.code(400).send({ error: priorityError });
+    }
+
+    const session = await loadSession(request, reply);
+    if (!session) return reply;
+
+    const requestId = uuidv4();
+    if (!(await sessions.acquireTurn(session.id, requestId))) {
+      const pendingJobId = await sessions.getPendingJobId(session.id);
+      return reply.code(409).send({ error: 'Previous turn is still running', jobId: pendingJobId });
+    }
+
+    try {
+      await sessions.appendMessage(session.id, { role: 'user', content, jobId: requestId });
+      const submitted = await submission.submit({
+        query: content,
+        webhookUrl,
+        priority,
+        requestId,
+        sessionId: session.id,
+        clientId: session.owner,
+        tenant: tenant(request),
+        options: session.options || {},
+      });
+      return reply.code(202).send({ sessionId: session.id, ...submitted });
+    } catch (err) {
+      await sessions.releaseTurn(session.id);
+      throw err;
+    }
+  });
+
+  // Delete session
+  fastify.delete('/sessions/:id', async (request, reply) => {
+    const session = await loadSession(request, reply);
+    if (!session) return reply;
+
+    await sessions.delete(session.id);
+    return { success: true };
+  });
+}
+
+module.exports = sessionRoutes;
@@ -0,0 +1,97 @@
+const templates = require('../services/templates');
+const { clientId } = require('../middleware/auth');
+const { TEMPLATE_NAME, parseTemplateDefinition } = require('../utils/templates');
+
+async function templateRoutes(fastify) {
+  // Templates are shared: every caller may read and use them, but only the
+  // key that created one may change or delete it
+  async function loadTemplate(request, reply, { write = false } = {}) {
+    const template = await templates.get(request.params.name);
+    if (!template) {
+      reply.code(404).send({ error: 'Template not found' });
+      return null;
+    }
+    if (write && template.owner !== clientId(request)) {
+      reply.code(403).send({ error: 'Only the API key that created this template can change it' });
+      return null;
+    }
+    return template;
+  }
+
+  // Create template
+  fastify.post('/templates', async (request, reply) => {
+    const { name, ...body } = request.body || {};
+    if (typeof name !== 'string' || !TEMPLATE_NAME.test(name)) {
+      return reply.code(400).send({
+        error: 'name must be 1-64 lowercase letters, digits, \'.\', \'_\' or \'-\', starting with a letter or digit',
+      });
+    }
+
+    const { definition, error } = parseTemplateDefinition(body);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const created = await templates.create(name, definition, clientId(request));
+    if (!created) {
+      return reply.code(409).send({ error: `Template ${name} already exists; PUT a new version instead` });
+    }
+    return reply.code(201).send(created);
+  });
+
+  // List templates
+  fastify.get('/templates', async () => {
+    const list = await templates.list();
+    return { templates: list };
+  });
+
+  // Get template with its latest version
+  fastify.get('/templates/:name', async (request, reply) => {
+    const template = await loadTemplate(request, reply);
+    if (!template) return reply;
+
+    const latest = await templates.getVersion(template.name, template.latestVersion);
+    return { ...template, latest };
+  });
+
+  fastify.get('/templates/:name/versions', async (request, reply) => {
+    const template = await loadTemplate(request, reply);
+    if (!template) return reply;
+
+    const versions = await templates.listVersions(template.name);
+    return { name: template.name, versions };
+  });
+
+  fastify.get('/templates/:name/versions/:version', async (request, reply) => {
+    const version = await templates.getVersion(request.params.name, parseInt(request.params.version, 10) || 0);
+    if (!version) {
+      return reply.code(404).send({ error: 'Template version not found' });
+    }
+    return version;
+  });
+
+  // Save a new version
+  fastify.put('/templates/:name', async (request, reply) => {
+    const template = await loadTemplate(request, reply, { write: true });
+    if (!template) return reply;
+
+    const { definition, error } = parseTemplateDefinition(request.body || {});
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const updated = await templates.addVersion(template.name, definition, clientId(request));
+    return updated;
+  });
+
+  // Delete template and all its versions
+  fastify.delete('/templates/:name', async (request, reply) => {
+    const template = await loadTemplate(request, reply, { write: true });
+    if (!template) return reply;
+
+    await templates.delete(template.name);
+    return { success: true };
+  });
+}
+
+module.exports = templateRoutes;
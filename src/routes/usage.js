@@ -0,0 +1,48 @@
+const usage = require('../services/usage');
+const { clientId, monthlyBudget } = require('../middleware/auth');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DAYS = 92;
+
+// A real calendar day: the shape alone lets through 2024-13-01, and
+// Date.parse rolls 2024-02-30 over into March
+function isDate(value) {
+  if (typeof value !== 'string' || !DATE.test(value)) return false;
+  const time = Date.parse(value);
+  return Number.isFinite(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+function daysAgo(n) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - n);
+  return date.toISOString().slice(0, 10);
+}
+
+async function usageRoutes(fastify) {
+  // Token usage and cost for the calling API key
+  fastify.get('/usage', async (request, reply) => {
+    const { from = daysAgo(29), to = daysAgo(0) } = request.query;
+
+    if (!isDate(from) || !isDate(to) || from > to) {
+      return reply.code(400).send({ error: 'from and to must be YYYY-MM-DD dates with from <= to' });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 >= MAX_DAYS) {
+      return reply.code(400).send({ error: `Date range may span at most ${MAX_DAYS} days` });
+    }
+
+    const id = clientId(request);
+    const [days, month] = await Promise.all([usage.getDaily(id, from, to), usage.getMonth(id)]);
+    const budget = monthlyBudget(request);
+
+    return {
+      clientId: id,
+      from,
+      to,
+      days,
+      month,
+      budget: budget ? { monthlyUsd: budget, remainingUsd: Math.max(0, budget - month.costUsd) } : null,
+    };
+  });
+}
+
+module.exports = usageRoutes;
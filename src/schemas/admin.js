@@ -0,0 +1,250 @@
+const config = require('../config/config');
+const { response, object, anyObject, stringList, success, params } = require('./common');
+const { historyEntry, historyFilter, historyPage } = require('./history');
+
+// Dashboard pages render HTML and stay out of the OpenAPI document
+function page(schema = {}) {
+  return { hide: true, ...schema };
+}
+
+function admin(tag, summary, schema) {
+  return { tags: [tag], summary, security: [{ adminAuth: [] }], ...schema };
+}
+
+const key = object({
+  id: { type: 'string' },
+  name: { type: 'string' },
+  prefix: { type: 'string' },
+  rateLimit: object({ capacity: { type: 'number' }, refillRate: { type: 'number' } }),
+  dailyQuota: { type: 'integer' },
+  monthlyBudgetUsd: { type: ['number', 'null'] },
+  tenant: { type: ['string', 'null'] },
+  weight: { type: 'number' },
+  mcpServers: { type: ['array', 'null'], items: { type: 'string' } },
+  policy: { type: ['object', 'null'], additionalProperties: true },
+  webhookSecret: { type: 'string' },
+  createdAt: { type: 'integer' },
+  revokedAt: { type: ['integer', 'null'] },
+});
+
+const keyPolicy = object({
+  models: { type: ['array', 'null'], items: { type: 'string' } },
+  tools: stringList,
+  maxTurns: { type: 'integer', minimum: 1 },
+  workspaces: stringList,
+});
+
+const templateDefinition = {
+  content: { type: 'string', minLength: 1, maxLength: config.templates.maxLength },
+  schema: { type: ['object', 'null'], additionalProperties: true },
+  description: { type: ['string', 'null'] },
+};
+
+const template = object({
+  name: { type: 'string' },
+  owner: { type: 'string' },
+  description: { type: ['string', 'null'] },
+  latestVersion: { type: 'integer' },
+  latest: anyObject,
+  createdAt: { type: 'integer' },
+  updatedAt: { type: 'integer' },
+});
+
+// The history page's filter form submits empty fields, so its values are
+// checked by the route rather than the schema
+const historyForm = object(Object.fromEntries(
+  ['clientId', ...Object.keys(historyFilter)].map(name => [name, { type: 'string' }])
+));
+
+const schedule = anyObject;
+const cacheStats = anyObject;
+// A worker's latest heartbeat: active jobs, circuit breakers, concurrency limit
+const worker = anyObject;
+
+module.exports = {
+  dashboard: page(),
+  queuePage: page(),
+  cachePage: page({ querystring: object({ cursor: { type: 'string' } }) }),
+  schedulesPage: page(),
+  templatesPage: page(),
+  templatePage: page({
+    params: params('name'),
+    querystring: object({ from: { type: 'string' }, to: { type: 'string' } }),
+  }),
+  usagePage: page(),
+  historyPage: page({ querystring: historyForm }),
+
+  retryJob: admin('Admin: Queue', 'Retry a failed job', {
+    params: params('id'),
+    response: response({ 200: success }),
+  }),
+  cancelJob: admin('Admin: Queue', 'Cancel a waiting or running job', {
+    params: params('id'),
+    response: response({ 200: object({ success: { type: 'boolean' }, state: { type: 'string' } }) }),
+  }),
+  removeJob: admin('Admin: Queue', 'Remove a job that is not running', {
+    params: params('id'),
+    response: response({ 200: success }),
+  }),
+
+  cacheEntry: admin('Admin: Cache', 'Inspect a cache entry', {
+    params: params('hash'),
+    response: response({
+      200: object({
+        hash: { type: 'string' },
+        ttl: { type: 'integer' },
+        size: { type: 'integer' },
+        query: { type: ['string', 'null'] },
+        context: {},
+        tags: stringList,
+        createdAt: { type: ['integer', 'null'] },
+        value: {},
+      }),
+    }),
+  }),
+  setCacheTtl: admin('Admin: Cache', 'Change the TTL of a cache entry', {
+    params: params('hash'),
+    body: object({ ttl: { type: 'integer', minimum: 1, maximum: config.cache.maxTtl } }, { required: ['ttl'] }),
+    response: response({ 200: object({ hash: { type: 'string' }, ttl: { type: 'integer' } }) }),
+  }),
+  deleteCacheEntry: admin('Admin: Cache', 'Delete a cache entry', {
+    params: params('hash'),
+    response: response({ 200: success }),
+  }),
+  invalidateTag: admin('Admin: Cache', 'Delete every entry with a tag', {
+    params: params('tag'),
+    response: response({ 200: object({ tag: { type: 'string' }, cleared: { type: 'integer' } }) }),
+  }),
+  clearCache: admin('Admin: Cache', 'Clear the whole cache', {
+    response: response({ 200: object({ cleared: {} }) }),
+  }),
+  listCache: admin('Admin: Cache', 'List cache entries a page at a time', {
+    querystring: object({ cursor: { type: 'string' }, count: { type: 'string', pattern: '^\\d+$' } }),
+    response: response({ 200: object({ cursor: { type: 'string' }, entries: { type: 'array', items: anyObject } }) }),
+  }),
+  stats: admin('Admin: Queue', 'Queue, cache and worker statistics', {
+    response: response({ 200: object({ queue: anyObject, cache: cacheStats, workers: { type: 'array', items: worker } }) }),
+  }),
+
+  createKey: admin('Admin: API keys', 'Create an API key', {
+    body: object({
+      name: { type: 'string', maxLength: 200 },
+      rateLimit: object({ capacity: { type: 'number', exclusiveMinimum: 0 }, refillRate: { type: 'number', exclusiveMinimum: 0 } }),
+      dailyQuota: { type: 'integer', minimum: 1 },
+      monthlyBudgetUsd: { type: ['number', 'null'], minimum: 0 },
+      tenant: { type: ['string', 'null'], maxLength: 200 },
+      weight: { type: 'number' },
+      mcpServers: { type: ['array', 'null'], items: { type: 'string' } },
+      policy: { ...keyPolicy, type: ['object', 'null'] },
+    }),
+    response: response({ 201: object({ key: { type: 'string', description: 'Shown only once' }, ...key.properties }) }),
+  }),
+  listKeys: admin('Admin: API keys', 'List API keys', {
+    response: response({ 200: object({ keys: { type: 'array', items: key } }) }),
+  }),
+  getKey: admin('Admin: API keys', "Inspect an API key and today's quota usage", {
+    params: params('id'),
+    response: response({
+      200: object({ ...key.properties, usage: object({ quotaUsed: { type: 'integer' }, quotaRemaining: { type: 'integer' } }) }),
+    }),
+  }),
+  revokeKey: admin('Admin: API keys', 'Revoke an API key', {
+    params: params('id'),
+    response: response({ 200: object({ success: { type: 'boolean' }, revokedAt: { type: 'integer' } }) }),
+  }),
+  rotateWebhookSecret: admin('Admin: API keys', "Rotate a key's webhook secret", {
+    params: params('id'),
+    response: response({ 200: object({ id: { type: 'string' }, webhookSecret: { type: 'string' } }) }),
+  }),
+
+  listDeadWebhooks: admin('Admin: Webhooks', 'List dead-lettered deliveries', {
+    response: response({ 200: object({ deliveries: { type: 'array', items: anyObject } }) }),
+  }),
+  getDeadWebhook: admin('Admin: Webhooks', 'Inspect a dead-lettered delivery', {
+    params: params('id'),
+    response: response({ 200: anyObject }),
+  }),
+  replayDeadWebhook: admin('Admin: Webhooks', 'Replay a dead-lettered delivery', {
+    params: params('id'),
+    response: response({ 200: object({ success: { type: 'boolean' }, deliveryId: { type: 'string' } }) }),
+  }),
+  deleteDeadWebhook: admin('Admin: Webhooks', 'Discard a dead-lettered delivery', {
+    params: params('id'),
+    response: response({ 200: success }),
+  }),
+
+  mcp: admin('Admin: MCP', 'Loaded MCP servers and routing rules', {
+    response: response({
+      200: object({
+        enabled: { type: 'boolean' },
+        file: { type: 'string' },
+        loadedAt: { type: ['integer', 'null'] },
+        servers: { type: 'array', items: anyObject },
+        rules: { type: 'array', items: anyObject },
+      }),
+    }),
+  }),
+  reloadMcp: admin('Admin: MCP', 'Re-read the MCP config file', {
+    response: response({
+      200: object({ servers: { type: 'integer' }, rules: { type: 'integer' }, loadedAt: { type: 'integer' } }),
+    }),
+  }),
+
+  listSchedules: admin('Admin: Schedules', "List every client's schedules", {
+    response: response({ 200: object({ schedules: { type: 'array', items: schedule } }) }),
+  }),
+  scheduleRuns: admin('Admin: Schedules', 'Run history of a schedule', {
+    params: params('id'),
+    response: response({ 200: object({ scheduleId: { type: 'string' }, runs: { type: 'array', items: anyObject } }) }),
+  }),
+  pauseSchedule: admin('Admin: Schedules', 'Pause a schedule', {
+    params: params('id'),
+    response: response({ 200: schedule }),
+  }),
+  resumeSchedule: admin('Admin: Schedules', 'Resume a schedule', {
+    params: params('id'),
+    response: response({ 200: schedule }),
+  }),
+  deleteSchedule: admin('Admin: Schedules', 'Delete a schedule', {
+    params: params('id'),
+    response: response({ 200: success }),
+  }),
+
+  createTemplate: admin('Admin: Templates', 'Create a template', {
+    body: object({ name: { type: 'string' }, ...templateDefinition }, { required: ['name', 'content'] }),
+    response: response({ 201: template }),
+  }),
+  addTemplateVersion: admin('Admin: Templates', 'Save a new version of a template', {
+    params: params('name'),
+    body: object(templateDefinition, { required: ['content'] }),
+    response: response({ 200: template }),
+  }),
+  deleteTemplate: admin('Admin: Templates', 'Delete a template and all its versions', {
+    params: params('name'),
+    response: response({ 200: success }),
+  }),
+  templateDiff: admin('Admin: Templates', 'Line diff between two template versions', {
+    params: params('name'),
+    querystring: object({ from: { type: 'string' }, to: { type: 'string' } }),
+    response: response({
+      200: object({
+        from: { type: 'integer' },
+        to: { type: 'integer' },
+        lines: { type: 'array', items: object({ type: { type: 'string' }, line: { type: 'string' } }) },
+      }),
+    }),
+  }),
+
+  usage: admin('Admin: Usage', "This month's usage per key and daily gateway totals", {
+    response: response({ 200: anyObject }),
+  }),
+
+  searchHistory: admin('Admin: History', "Search every client's finished jobs, newest first", {
+    querystring: object({ clientId: { type: 'string' }, ...historyFilter }),
+    response: response({ 200: historyPage }),
+  }),
+  historyEntry: admin('Admin: History', 'Full record of a finished job', {
+    params: params('jobId'),
+    response: response({ 200: historyEntry }),
+  }),
+};
@@ -0,0 +1,45 @@
+// Shared pieces of the route schemas. Response schemas keep
+// additionalProperties open so fields added later are never dropped.
+
+const errorEnvelope = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        code: { type: 'string' },
+        message: { type: 'string' },
+        details: { description: 'Extra fields, such as retryAfter or validation errors' },
+        requestId: { type: 'string' },
+      },
+    },
+  },
+};
+
+// Every route can answer with the error envelope
+const errorResponses = {
+  '4xx': errorEnvelope,
+  '5xx': errorEnvelope,
+};
+
+function response(schemas) {
+  return { ...schemas, ...errorResponses };
+}
+
+function object(properties, extra = {}) {
+  return { type: 'object', properties, additionalProperties: true, ...extra };
+}
+
+const anyObject = { type: 'object', additionalProperties: true };
+const stringList = { type: 'array', items: { type: 'string' } };
+const success = object({ success: { type: 'boolean' } });
+
+function params(...names) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(names.map(name => [name, { type: 'string', minLength: 1 }])),
+    required: names,
+  };
+}
+
+module.exports = { errorEnvelope, errorResponses, response, object, anyObject, stringList, success, params };
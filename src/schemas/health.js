@@ -0,0 +1,37 @@
+const { object } = require('./common');
+
+const check = object({
+  status: { type: 'string', enum: ['pass', 'warn', 'fail'] },
+  latencyMs: { type: 'integer' },
+  critical: { type: 'boolean' },
+  error: { type: 'string' },
+});
+
+const readinessReport = object({
+  status: { type: 'string', enum: ['ok', 'degraded', 'down'] },
+  acceptingQueries: { type: 'boolean' },
+  instanceId: { type: 'string' },
+  uptime: { type: 'integer', description: 'Seconds since the process started' },
+  timestamp: { type: 'integer' },
+  checks: { type: 'object', additionalProperties: check },
+});
+
+function health(summary, schema) {
+  return { tags: ['Health'], summary, security: [], ...schema };
+}
+
+const liveness = health('Liveness: the process is up and its event loop responds', {
+  response: {
+    200: object({
+      status: { type: 'string' },
+      uptime: { type: 'integer' },
+      timestamp: { type: 'integer' },
+    }),
+  },
+});
+
+const readiness = health('Readiness: 200 when ok or degraded, 503 when down', {
+  response: { 200: readinessReport, 503: readinessReport },
+});
+
+module.exports = { check, readinessReport, liveness, readiness };
@@ -0,0 +1,47 @@
+const { response, object, anyObject } = require('./common');
+const { HISTORY_STATUSES } = require('../utils/history');
+
+const historyEntry = object({
+  jobId: { type: 'string' },
+  clientId: { type: 'string' },
+  tenant: { type: ['string', 'null'] },
+  status: { type: 'string', enum: HISTORY_STATUSES },
+  query: { type: 'string' },
+  context: anyObject,
+  options: anyObject,
+  template: { type: ['string', 'null'] },
+  priority: { type: ['integer', 'null'] },
+  sessionId: { type: ['string', 'null'] },
+  cached: { type: 'boolean' },
+  result: {},
+  error: { type: ['string', 'null'] },
+  errorCode: { type: ['string', 'null'] },
+  errorDetails: {},
+  submittedAt: { type: 'integer' },
+  startedAt: { type: ['integer', 'null'] },
+  finishedAt: { type: 'integer' },
+  durationMs: { type: ['integer', 'null'] },
+});
+
+const historyFilter = {
+  status: { type: 'string', enum: HISTORY_STATUSES },
+  from: { type: 'string', description: 'YYYY-MM-DD, ISO 8601 time or epoch milliseconds' },
+  to: { type: 'string', description: 'YYYY-MM-DD (whole day), ISO 8601 time or epoch milliseconds' },
+  q: { type: 'string', description: 'Case-insensitive text in the query, answer or error' },
+  limit: { type: 'string', pattern: '^\\d+$' },
+  cursor: { type: 'string', description: 'nextCursor of the previous page' },
+};
+
+const historyPage = object({
+  entries: { type: 'array', items: historyEntry },
+  nextCursor: { type: ['string', 'null'] },
+});
+
+const listHistory = {
+  tags: ['History'],
+  summary: "Search the calling key's finished jobs, newest first",
+  querystring: object(historyFilter),
+  response: response({ 200: historyPage }),
+};
+
+module.exports = { historyEntry, historyFilter, historyPage, listHistory };
@@ -0,0 +1,99 @@
+const config = require('../config/config');
+const { response, object, anyObject, stringList, params } = require('./common');
+
+const STATES = ['waiting', 'active', 'completed', 'failed', 'delayed', 'cancelled', 'paused', 'unknown'];
+
+const tool = { type: 'string', maxLength: 300 };
+
+const submitBody = object({
+  query: { type: 'string', maxLength: config.limits.queryMaxLength, description: 'The prompt; send this or template' },
+  template: { type: 'string', description: 'Template to render instead, as name or name@version' },
+  variables: anyObject,
+  webhookUrl: { type: 'string', maxLength: 2048 },
+  priority: { type: ['string', 'integer'], description: 'critical, high, normal, low, or 1 (most urgent) to 10' },
+  runAt: { type: ['string', 'number'], description: 'ISO 8601 time or epoch milliseconds' },
+  delay: { type: 'number', description: 'Seconds to wait before running' },
+  context: { ...anyObject, description: `Cache key context, at most ${config.limits.contextMaxBytes} bytes as JSON` },
+  backend: { type: 'string' },
+  wait: { type: 'boolean' },
+  maxWait: { type: 'number', minimum: 0 },
+  cacheTtl: { type: 'integer' },
+  cacheTags: stringList,
+  noCache: { type: 'boolean' },
+  outputSchema: anyObject,
+  mcpServers: stringList,
+  model: { type: 'string' },
+  systemPrompt: { type: 'string' },
+  allowedTools: { type: 'array', items: tool },
+  disallowedTools: { type: 'array', items: tool },
+  maxTurns: { type: 'integer' },
+  workspace: { type: 'string' },
+});
+
+const submitted = object({
+  requestId: { type: 'string' },
+  status: { type: 'string', enum: ['queued', 'cached', 'duplicate', 'scheduled', 'completed', 'failed', 'cancelled'] },
+  jobId: { type: 'string' },
+  runAt: { type: 'string' },
+  cacheTier: { type: 'string' },
+  similarity: { type: 'number' },
+  result: {},
+  error: { type: 'string' },
+  errorCode: { type: 'string' },
+  errorDetails: {},
+});
+
+const submitQuery = {
+  tags: ['Queries'],
+  summary: 'Submit a query',
+  body: submitBody,
+  querystring: object({
+    wait: { type: 'string', enum: ['true', 'false'] },
+    maxWait: { type: 'string', pattern: '^\\d+(\\.\\d+)?$' },
+  }),
+  response: response({ 200: submitted }),
+};
+
+const jobStatus = {
+  tags: ['Queries'],
+  summary: 'Get job status',
+  params: params('jobId'),
+  response: response({
+    200: object({
+      jobId: { type: 'string' },
+      state: { type: 'string', enum: STATES },
+      progress: {},
+      priority: { type: 'integer' },
+      template: { type: 'string' },
+      position: { type: ['integer', 'null'] },
+      runAt: { type: 'string' },
+      result: {},
+      error: { type: ['string', 'null'] },
+      errorCode: { type: 'string' },
+      errorDetails: {},
+      cancelledAt: { type: 'integer' },
+      finishedAt: { type: 'integer', description: 'Present when the job is read from history' },
+    }),
+  }),
+};
+
+const cancelJob = {
+  tags: ['Queries'],
+  summary: 'Cancel a queued or running job',
+  params: params('jobId'),
+  response: response({
+    '2xx': object({ jobId: { type: 'string' }, state: { type: 'string' } }),
+  }),
+};
+
+const streamJob = {
+  tags: ['Queries'],
+  summary: 'Stream job events as Server-Sent Events',
+  params: params('jobId'),
+  querystring: object({ apiKey: { type: 'string' } }),
+  response: response({
+    200: { description: 'text/event-stream of progress, chunk and terminal events', type: 'string' },
+  }),
+};
+
+module.exports = { submitQuery, jobStatus, cancelJob, streamJob };
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+class ApiKeyService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.prefix = 'apikey:';
+  }
+
+  _key(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  _lookupKey(keyHash) {
+    return `${this.prefix}lookup:${keyHash}`;
+  }
+
+  async create({ name, rateLimit = {}, dailyQuota, monthlyBudgetUsd, tenant, weight, mcpServers, policy } = {}) {
+    const id = uuidv4();
+    const key = `cgw_${crypto.randomBytes(24).toString('hex')}`;
+    const keyHash = hashKey(key);
+
+    const record = {
+      id,
+      name: name || id,
+      prefix: key.slice(0, 12),
+      rateLimit: {
+        capacity: rateLimit.capacity || config.auth.rateLimit.capacity,
+        refillRate: rateLimit.refillRate || config.auth.rateLimit.refillRate,
+      },
+      dailyQuota: dailyQuota || config.auth.dailyQuota,
+      monthlyBudgetUsd: monthlyBudgetUsd != null ? monthlyBudgetUsd : null,
+      // Keys sharing a tenant share one fair-scheduling lane
+      tenant: tenant || null,
+      weight: weight || 1,
+      // MCP servers the key may use; null allows all
+      mcpServers: mcpServers || null,
+      // Limits on per-request CLI options; null uses the deployment limits
+      policy: policy || null,
+      webhookSecret: generateWebhookSecret(),
+      createdAt: Date.now(),
+      revokedAt: null,
+    };
+
+    await this.client
+      .multi()
+      .set(this._key(id), JSON.stringify(record))
+      .set(this._lookupKey(keyHash), id)
+      .hset(`${this.prefix}hashes`, id, keyHash)
+      .sadd(`${this.prefix}index`, id)
+      .exec();
+
+    logger.info('API key created', { keyId: id, name: record.name });
+    return { key, ...record };
+  }
+
+  async get(id) {
+    const data = await this.client.get(this._key(id));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async list() {
+    const ids = await this.client.smembers(`${this.prefix}index`);
+    const records = await Promise.all(ids.map(id => this.get(id)));
+    return records.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async authenticate(key) {
+    if (!key) return null;
+    const id = await this.client.get(this._lookupKey(hashKey(key)));
+    if (!id) return null;
+
+    const record = await this.get(id);
+    if (!record || record.revokedAt) return null;
+    return record;
+  }
+
+  async rotateWebhookSecret(id) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    record.webhookSecret = generateWebhookSecret();
+    await this.client.set(this._key(id), JSON.stringify(record));
+    logger.info('Webhook secret rotated', { keyId: id });
+    return record;
+  }
+
+  async revoke(id) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    record.revokedAt = record.revokedAt || Date.now();
+    const keyHash = await this.client.hget(`${this.prefix}hashes`, id);
+
+    const tx = this.client.multi().set(this._key(id), JSON.stringify(record));
+    if (keyHash) tx.del(this._lookupKey(keyHash));
+    await tx.exec();
+
+    logger.info('API key revoked', { keyId: id });
+    return record;
+  }
+}
+
+module.exports = new ApiKeyService();
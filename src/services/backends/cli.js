@@ -0,0 +1,182 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const tracing = require('../tracing');
+const { createLineParser, extractDelta, extractAssistantText } = require('../../utils/streamJson');
+
+// Keeps enough of a failed run's output to tell why it failed
+function tail(text, length = 2000) {
+  const trimmed = text.trim();
+  return trimmed.length > length ? `...${trimmed.slice(-length)}` : trimmed;
+}
+
+// Runs the locally installed `claude` binary in print mode
+class CliBackend {
+  run(query, options = {}) {
+    const {
+      timeout = config.claude.timeout,
+      mcpConfig,
+      model,
+      systemPrompt,
+      allowedTools,
+      disallowedTools,
+      maxTurns,
+      workspace,
+      onChunk,
+      sessionId,
+      resume = false,
+      signal,
+    } = options;
+    const streaming = typeof onChunk === 'function';
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      // Workspaces are resolved at run time, so one removed since submission fails the job
+      const cwd = workspace ? config.claude.workspaces[workspace] : undefined;
+      if (workspace && !cwd) {
+        reject(new Error(`Workspace '${workspace}' is not configured`));
+        return;
+      }
+
+      const args = streaming
+        ? ['--print', '--output-format', 'stream-json', '--verbose', '--include-partial-messages']
+        : ['--print', '--output-format', 'json'];
+
+      // Continue an existing CLI session, or start one with a known id
+      if (sessionId) {
+        args.push(resume ? '--resume' : '--session-id', sessionId);
+      }
+
+      // MCP server definitions carry their env (API tokens), so they go in a
+      // file only this user can read rather than in argv, which ps and /proc
+      // show to everyone. The file is removed once the process exits.
+      let mcpConfigPath = null;
+      if (mcpConfig) {
+        mcpConfigPath = path.join(os.tmpdir(), `claude-mcp-${crypto.randomUUID()}.json`);
+        try {
+          fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig), { mode: 0o600, flag: 'wx' });
+        } catch (err) {
+          reject(err);
+          return;
+        }
+        args.push('--mcp-config', mcpConfigPath);
+      }
+      const removeMcpConfig = () => {
+        if (mcpConfigPath) fs.rmSync(mcpConfigPath, { force: true });
+      };
+
+      if (model) args.push('--model', model);
+      if (systemPrompt) args.push('--append-system-prompt', systemPrompt);
+      if (allowedTools) args.push('--allowedTools', allowedTools.join(','));
+      if (disallowedTools) args.push('--disallowedTools', disallowedTools.join(','));
+      if (maxTurns) args.push('--max-turns', String(maxTurns));
+
+      // Some options take several values, so end them before the prompt
+      args.push('--', query);
+
+      const traceparent = tracing.traceparent();
+      const startedAt = Date.now();
+      const proc = spawn(config.claude.binary, args, {
+        cwd,
+        timeout,
+        // TRACEPARENT lets an instrumented CLI continue the trace
+        env: { ...process.env, CLAUDE_OUTPUT_FORMAT: 'json', ...(traceparent && { TRACEPARENT: traceparent }) },
+      });
+
+      // Ask the CLI to stop, then force it if it ignores SIGTERM
+      const onAbort = () => {
+        proc.kill('SIGTERM');
+        setTimeout(() => {
+          if (proc.exitCode === null && proc.signalCode === null) proc.kill('SIGKILL');
+        }, config.claude.killGrace).unref();
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      let stdout = '';
+      let stderr = '';
+      let finalMessage = null;
+      let sawDeltas = false;
+
+      const parser = streaming && createLineParser((message) => {
+        if (message.type === 'result') {
+          finalMessage = message;
+          return;
+        }
+
+        const delta = extractDelta(message);
+        if (delta) {
+          sawDeltas = true;
+          onChunk(delta);
+          return;
+        }
+
+        // Older CLIs only emit whole assistant messages
+        const text = !sawDeltas && extractAssistantText(message);
+        if (text) onChunk(text);
+      });
+
+      proc.stdout.on('data', (data) => {
+        stdout += data;
+        if (parser) parser.push(data.toString());
+      });
+      proc.stderr.on('data', (data) => { stderr += data; });
+
+      proc.on('close', (code, killedBy) => {
+        removeMcpConfig();
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (signal && signal.aborted) {
+          logger.info('Claude execution cancelled', { pid: proc.pid });
+          reject(signal.reason);
+          return;
+        }
+
+        if (parser) parser.flush();
+
+        if (code === 0) {
+          if (finalMessage) {
+            logger.info('Claude execution complete', { queryLength: query.length, streamed: true });
+            resolve(finalMessage);
+            return;
+          }
+          try {
+            const result = JSON.parse(stdout);
+            logger.info('Claude execution complete', { queryLength: query.length });
+            resolve(result);
+          } catch (e) {
+            // Handle non-JSON output
+            resolve({ response: stdout.trim(), format: 'text' });
+          }
+        } else if (code === null && Date.now() - startedAt >= timeout) {
+          // spawn's own timeout killed it
+          const error = new Error(`Claude timed out after ${timeout}ms`);
+          error.timedOut = true;
+          reject(error);
+        } else {
+          // Errors are printed to stderr, or as the JSON result on stdout
+          const detail = tail(stderr) || tail(stdout);
+          const error = new Error(code === null
+            ? `Claude was killed by ${killedBy}: ${detail}`
+            : `Claude exited with code ${code}: ${detail}`);
+          error.exitCode = code;
+          error.stderr = stderr;
+          reject(error);
+        }
+      });
+
+      proc.on('error', (err) => {
+        removeMcpConfig();
+        reject(err);
+      });
+    });
+  }
+}
+
+module.exports = new CliBackend();
@@ -0,0 +1,172 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const tracing = require('../tracing');
+const { createSseParser } = require('../../utils/sse');
+const { parseRetryAfter } = require('../../utils/claudeErrors');
+
+// Calls the Anthropic Messages API directly. The base URL is configurable so
+// the gateway can be pointed at a local stand-in.
+class HttpBackend {
+  _messages(query, history = []) {
+    const turns = history
+      .filter(m => m.role === 'user' || m.role === 'assistant')
+      .map(m => ({ role: m.role, content: m.content }));
+    return [...turns, { role: 'user', content: query }];
+  }
+
+  // The Messages API reports tokens only; price them like the CLI would
+  _cost(usage = {}) {
+    const { pricing } = config.anthropic;
+    const cost = (usage.input_tokens || 0) * pricing.input
+      + (usage.output_tokens || 0) * pricing.output
+      + (usage.cache_creation_input_tokens || 0) * pricing.cacheWrite
+      + (usage.cache_read_input_tokens || 0) * pricing.cacheRead;
+    return cost / 1e6;
+  }
+
+  // Shapes the response like the CLI's JSON output so callers see one format
+  _toResult({ text, usage, model, id, stopReason, startedAt }) {
+    return {
+      type: 'result',
+      subtype: 'success',
+      is_error: false,
+      result: text,
+      usage,
+      total_cost_usd: this._cost(usage),
+      model,
+      message_id: id,
+      stop_reason: stopReason,
+      duration_ms: Date.now() - startedAt,
+    };
+  }
+
+  async run(query, options = {}) {
+    const { timeout = config.claude.timeout, onChunk, history, mcpServers = [], systemPrompt, signal } = options;
+    const { baseUrl, apiKey, version, maxTokens } = config.anthropic;
+    const model = options.model || config.anthropic.model;
+    const streaming = typeof onChunk === 'function';
+    const startedAt = Date.now();
+
+    if (mcpServers.length > 0) {
+      logger.debug('MCP servers are not supported by the HTTP backend', { mcpServers });
+    }
+    // Tools and turns belong to the CLI's agent loop
+    const unsupported = ['allowedTools', 'disallowedTools', 'maxTurns', 'workspace'].filter(name => options[name]);
+    if (unsupported.length > 0) {
+      logger.debug('Options not supported by the HTTP backend', { options: unsupported });
+    }
+
+    if (signal && signal.aborted) throw signal.reason;
+    const traceparent = tracing.traceparent();
+
+    // One controller for both the timeout and caller cancellation
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey || '',
+          'anthropic-version': version,
+          ...(traceparent && { traceparent }),
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          ...(systemPrompt && { system: systemPrompt }),
+          messages: this._messages(query, history),
+          stream: streaming,
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        const error = new Error(`Anthropic API returned ${response.status}: ${body}`);
+        error.status = response.status;
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+
+      const result = streaming
+        ? await this._readStream(response, onChunk, startedAt)
+        : this._readMessage(await response.json(), startedAt);
+
+      logger.info('Claude execution complete', { queryLength: query.length, backend: 'http' });
+      return result;
+    } catch (err) {
+      if (signal && signal.aborted) throw signal.reason;
+      if (timedOut) {
+        const error = new Error(`Anthropic API timed out after ${timeout}ms`);
+        error.timedOut = true;
+        throw error;
+      }
+      throw err;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  _readMessage(message, startedAt) {
+    const text = (message.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return this._toResult({
+      text,
+      usage: message.usage || {},
+      model: message.model,
+      id: message.id,
+      stopReason: message.stop_reason,
+      startedAt,
+    });
+  }
+
+  async _readStream(response, onChunk, startedAt) {
+    const state = { text: '', usage: {}, model: null, id: null, stopReason: null };
+    let streamError = null;
+
+    const parser = createSseParser((event, raw) => {
+      let data;
+      try {
+        data = JSON.parse(raw);
+      } catch (e) {
+        return;
+      }
+
+      if (event === 'message_start' && data.message) {
+        state.id = data.message.id;
+        state.model = data.message.model;
+        state.usage = { ...data.message.usage };
+      } else if (event === 'content_block_delta' && data.delta && data.delta.type === 'text_delta') {
+        state.text += data.delta.text;
+        onChunk(data.delta.text);
+      } else if (event === 'message_delta') {
+        if (data.delta) state.stopReason = data.delta.stop_reason;
+        if (data.usage) state.usage = { ...state.usage, ...data.usage };
+      } else if (event === 'error') {
+        streamError = new Error(`Anthropic API stream error: ${data.error ? data.error.message : raw}`);
+      }
+    });
+
+    const decoder = new TextDecoder();
+    for await (const chunk of response.body) {
+      parser.push(decoder.decode(chunk, { stream: true }));
+    }
+    parser.flush();
+
+    if (streamError) throw streamError;
+    return this._toResult({ ...state, startedAt });
+  }
+}
+
+module.exports = new HttpBackend();
@@ -0,0 +1,13 @@
+const backends = {
+  cli: require('./cli'),
+  http: require('./http'),
+  mock: require('./mock'),
+};
+
+function getBackend(name) {
+  const backend = backends[name];
+  if (!backend) throw new Error(`Unknown backend: ${name}`);
+  return backend;
+}
+
+module.exports = { getBackend, backendNames: Object.keys(backends) };
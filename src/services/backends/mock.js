@@ -0,0 +1,42 @@
+const config = require('../../config/config');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Echoes the prompt back without calling Claude, for tests, CI and local dev
+class MockBackend {
+  async run(query, options = {}) {
+    const { onChunk, sessionId, signal } = options;
+    const startedAt = Date.now();
+    const text = `Echo: ${query}`;
+    const checkAborted = () => {
+      if (signal && signal.aborted) throw signal.reason;
+    };
+
+    checkAborted();
+    if (typeof onChunk === 'function') {
+      for (const word of text.split(/(?<=\s)/)) {
+        await sleep(config.claude.mockDelay);
+        checkAborted();
+        onChunk(word);
+      }
+    } else {
+      await sleep(config.claude.mockDelay);
+      checkAborted();
+    }
+
+    return {
+      type: 'result',
+      subtype: 'success',
+      is_error: false,
+      result: text,
+      session_id: sessionId,
+      usage: {
+        input_tokens: query.split(/\s+/).filter(Boolean).length,
+        output_tokens: text.split(/\s+/).filter(Boolean).length,
+      },
+      duration_ms: Date.now() - startedAt,
+    };
+  }
+}
+
+module.exports = new MockBackend();
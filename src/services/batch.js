@@ -0,0 +1,166 @@
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { enqueueWebhook } = require('../queues/webhooks');
+
+// Batches group many queries behind one id. Items are ordinary jobs; the batch
+// watches their job ids (which may be shared with other callers through
+// dedup) and counts each item exactly once when its job finishes.
+class BatchService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.prefix = 'batch:';
+    this.ttl = config.batch.ttl;
+  }
+
+  _key(id, suffix) {
+    return suffix ? `${this.prefix}${id}:${suffix}` : `${this.prefix}${id}`;
+  }
+
+  _watchKey(jobId) {
+    return `${this.prefix}watch:${jobId}`;
+  }
+
+  async create({ owner, total, webhookUrl }) {
+    const batch = {
+      id: uuidv4(),
+      owner,
+      total,
+      webhookUrl: webhookUrl || null,
+      status: 'processing',
+      createdAt: Date.now(),
+      completedAt: null,
+    };
+    await this.client.setex(this._key(batch.id), this.ttl, JSON.stringify(batch));
+    return batch;
+  }
+
+  async addItems(batchId, items) {
+    if (items.length === 0) return;
+    const tx = this.client.multi();
+    items.forEach(item => tx.rpush(this._key(batchId, 'items'), JSON.stringify(item)));
+    tx.expire(this._key(batchId, 'items'), this.ttl);
+    await tx.exec();
+  }
+
+  async watch(jobId, batchId, index) {
+    await this.client
+      .multi()
+      .sadd(this._watchKey(jobId), `${batchId}:${index}`)
+      .expire(this._watchKey(jobId), this.ttl)
+      .exec();
+  }
+
+  // Called by the worker whenever a job finishes for good
+  async handleJobFinished(jobId, outcome) {
+    const watchers = await this.client.smembers(this._watchKey(jobId));
+    if (watchers.length === 0) return;
+
+    for (const watcher of watchers) {
+      const separator = watcher.lastIndexOf(':');
+      await this.recordItem(watcher.slice(0, separator), parseInt(watcher.slice(separator + 1), 10), outcome);
+    }
+    await this.client.del(this._watchKey(jobId));
+  }
+
+  async recordItem(batchId, index, { result, error }) {
+    const entry = error
+      ? { status: 'failed', error, finishedAt: Date.now() }
+      : { status: 'completed', result, finishedAt: Date.now() };
+
+    // HSETNX makes recording idempotent when a job is reported twice
+    const [[, isNew]] = await this.client
+      .multi()
+      .hsetnx(this._key(batchId, 'results'), index, JSON.stringify(entry))
+      .expire(this._key(batchId, 'results'), this.ttl)
+      .exec();
+    if (isNew !== 1) return;
+
+    await this.client
+      .multi()
+      .hincrby(this._key(batchId, 'counts'), entry.status, 1)
+      .expire(this._key(batchId, 'counts'), this.ttl)
+      .exec();
+
+    await this.checkComplete(batchId);
+  }
+
+  // A batch is complete once every item is both registered and finished
+  async checkComplete(batchId) {
+    const [batch, finished, registered] = await Promise.all([
+      this.get(batchId),
+      this.client.hlen(this._key(batchId, 'results')),
+      this.client.llen(this._key(batchId, 'items')),
+    ]);
+    if (batch && finished >= batch.total && registered >= batch.total) {
+      await this.finalize(batch);
+    }
+  }
+
+  async finalize(batch) {
+    // Only the first caller to reach the total fires the webhook
+    const first = await this.client.set(this._key(batch.id, 'finalized'), '1', 'EX', this.ttl, 'NX');
+    if (first !== 'OK') return;
+
+    batch.status = 'completed';
+    batch.completedAt = Date.now();
+    await this.client.setex(this._key(batch.id), this.ttl, JSON.stringify(batch));
+    logger.info('Batch completed', { batchId: batch.id, total: batch.total });
+
+    if (batch.webhookUrl) {
+      try {
+        const summary = await this.getStatus(batch.id, { includeResults: true });
+        await enqueueWebhook(batch.webhookUrl, summary, { clientId: batch.owner, event: 'batch.completed' });
+      } catch (err) {
+        logger.error('Failed to enqueue batch webhook', { batchId: batch.id, error: err.message });
+      }
+    }
+  }
+
+  async get(id) {
+    const data = await this.client.get(this._key(id));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async getStatus(id, { includeResults = true } = {}) {
+    const batch = await this.get(id);
+    if (!batch) return null;
+
+    const [items, results, counts] = await Promise.all([
+      this.client.lrange(this._key(id, 'items'), 0, -1),
+      this.client.hgetall(this._key(id, 'results')),
+      this.client.hgetall(this._key(id, 'counts')),
+    ]);
+
+    const completed = parseInt(counts.completed, 10) || 0;
+    const failed = parseInt(counts.failed, 10) || 0;
+
+    return {
+      batchId: batch.id,
+      status: batch.status,
+      total: batch.total,
+      counts: { completed, failed, pending: batch.total - completed - failed },
+      createdAt: batch.createdAt,
+      completedAt: batch.completedAt,
+      items: items.map((raw) => {
+        const item = JSON.parse(raw);
+        const entry = results[item.index] ? JSON.parse(results[item.index]) : { status: 'pending' };
+        return {
+          index: item.index,
+          query: item.query,
+          jobId: item.jobId || null,
+          status: entry.status,
+          ...(includeResults && entry.result !== undefined && { result: entry.result }),
+          ...(entry.error && { error: entry.error }),
+        };
+      }),
+    };
+  }
+}
+
+module.exports = new BatchService();
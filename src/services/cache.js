@@ -1,6 +1,9 @@
 const Redis = require('ioredis');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const semanticCache = require('./semanticCache');
+const { metrics } = require('../metrics/registry');
+const { generateQueryHash } = require('../utils/prompt');
 
 class CacheService {
   constructor() {
@@ -35,22 +38,193 @@ class CacheService {
     logger.debug('Cache set', { hash, ttl });
   }
 
+  // Exact match first, then (when enabled) the closest similar prompt.
+  // Resolves with { result, tier, similarity } or null.
+  async lookup({ query, context = {}, options = {}, template = null }) {
+    const hash = generateQueryHash(query, context, options, template);
+    const exact = await this.get(hash);
+    if (exact) {
+      metrics.cacheHits.inc();
+      return { result: exact, tier: 'exact', similarity: 1 };
+    }
+
+    if (config.features.semanticCacheEnabled) {
+      try {
+        const match = await semanticCache.search({ query, context, options });
+        const result = match && await this.get(match.hash);
+        if (result) {
+          metrics.semanticCacheHits.inc();
+          return { result, tier: 'semantic', similarity: match.similarity };
+        }
+        // The response expired before its embedding did
+        if (match) await semanticCache.remove(match.key, [match.hash]);
+      } catch (err) {
+        logger.warn('Semantic cache lookup failed', { error: err.message });
+      }
+    }
+
+    metrics.cacheMisses.inc();
+    return null;
+  }
+
+  // Metadata lives beside the entry (not under the cache prefix) so SCANs
+  // over the prefix only see responses
+  _metaKey(hash) {
+    return `cachemeta:${hash}`;
+  }
+
+  _tagKey(tag) {
+    return `cachetag:${tag}`;
+  }
+
+  async store({ query, context = {}, options = {}, template = null }, value, { ttl = config.cache.ttl, tags = [] } = {}) {
+    const hash = generateQueryHash(query, context, options, template);
+    await this.set(hash, value, ttl);
+
+    await this.client
+      .multi()
+      .hset(this._metaKey(hash), {
+        query: query.slice(0, 500),
+        context: JSON.stringify(context),
+        tags: JSON.stringify(tags),
+        createdAt: Date.now(),
+      })
+      .expire(this._metaKey(hash), ttl)
+      .exec();
+
+    // A tag set lives as long as its longest-lived entry
+    for (const tag of tags) {
+      const tagKey = this._tagKey(tag);
+      const [[, remaining]] = await this.client.multi().sadd(tagKey, hash).ttl(tagKey).exec();
+      if (remaining < ttl) await this.client.expire(tagKey, ttl);
+    }
+
+    if (config.features.semanticCacheEnabled) {
+      try {
+        await semanticCache.add({ query, context, options }, hash, ttl);
+      } catch (err) {
+        logger.warn('Failed to index response for semantic cache', { hash, error: err.message });
+      }
+    }
+  }
+
+  // Resolves with the entry, its remaining TTL and metadata, or null
+  async inspect(hash) {
+    const [[, data], [, ttl], [, meta]] = await this.client
+      .multi()
+      .get(this._key(hash))
+      .ttl(this._key(hash))
+      .hgetall(this._metaKey(hash))
+      .exec();
+    if (!data) return null;
+
+    return {
+      hash,
+      ttl,
+      size: Buffer.byteLength(data),
+      query: meta.query || null,
+      context: meta.context ? JSON.parse(meta.context) : null,
+      tags: meta.tags ? JSON.parse(meta.tags) : [],
+      createdAt: meta.createdAt ? parseInt(meta.createdAt, 10) : null,
+      value: JSON.parse(data),
+    };
+  }
+
+  // Returns false when the entry does not exist
+  async setTtl(hash, ttl) {
+    const [[, updated]] = await this.client
+      .multi()
+      .expire(this._key(hash), ttl)
+      .expire(this._metaKey(hash), ttl)
+      .exec();
+    return updated === 1;
+  }
+
   async delete(hash) {
-    await this.client.del(this._key(hash));
+    const [[, removed]] = await this.client
+      .multi()
+      .del(this._key(hash))
+      .del(this._metaKey(hash))
+      .exec();
+    return removed === 1;
+  }
+
+  async invalidateTag(tag) {
+    const tagKey = this._tagKey(tag);
+    const hashes = await this.client.smembers(tagKey);
+    let cleared = 0;
+
+    for (let i = 0; i < hashes.length; i += 500) {
+      const batch = hashes.slice(i, i + 500);
+      const [[, removed]] = await this.client
+        .multi()
+        .del(...batch.map(h => this._key(h)))
+        .del(...batch.map(h => this._metaKey(h)))
+        .exec();
+      cleared += removed;
+    }
+    await this.client.del(tagKey);
+
+    logger.info('Cache tag invalidated', { tag, cleared });
+    return cleared;
+  }
+
+  // One page of entries. SCAN may return a few entries twice across pages and
+  // the page size is approximate; iteration is done when `cursor` is '0'.
+  async list({ cursor = '0', count = 50 } = {}) {
+    const [next, keys] = await this.client.scan(cursor, 'MATCH', `${config.cache.prefix}*`, 'COUNT', count);
+    const hashes = keys.map(k => k.slice(config.cache.prefix.length));
+    if (hashes.length === 0) return { cursor: next, entries: [] };
+
+    const pipeline = this.client.pipeline();
+    hashes.forEach((hash) => {
+      pipeline.ttl(this._key(hash));
+      pipeline.strlen(this._key(hash));
+      pipeline.hmget(this._metaKey(hash), 'query', 'tags', 'createdAt');
+    });
+    const results = await pipeline.exec();
+
+    const entries = hashes.map((hash, i) => {
+      const [[, ttl], [, size], [, [query, tags, createdAt]]] = results.slice(i * 3, i * 3 + 3);
+      return {
+        hash,
+        ttl,
+        size,
+        query,
+        tags: tags ? JSON.parse(tags) : [],
+        createdAt: createdAt ? parseInt(createdAt, 10) : null,
+      };
+    });
+    return { cursor: next, entries };
+  }
+
+  // Walks the keyspace with SCAN so large caches never block Redis
+  async _scanKeys(pattern, onBatch) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+      cursor = next;
+      if (keys.length > 0) await onBatch(keys);
+    } while (cursor !== '0');
   }
 
   async getStats() {
     const info = await this.client.info('stats');
-    const keys = await this.client.keys(`${config.cache.prefix}*`);
-    return { totalKeys: keys.length, info };
+    let totalKeys = 0;
+    await this._scanKeys(`${config.cache.prefix}*`, (keys) => { totalKeys += keys.length; });
+    return { totalKeys, info };
   }
 
   async clear() {
-    const keys = await this.client.keys(`${config.cache.prefix}*`);
-    if (keys.length > 0) {
-      await this.client.del(...keys);
+    let cleared = 0;
+    await this._scanKeys(`${config.cache.prefix}*`, async (keys) => {
+      cleared += await this.client.unlink(...keys);
+    });
+    for (const pattern of ['cachemeta:*', 'cachetag:*']) {
+      await this._scanKeys(pattern, keys => this.client.unlink(...keys));
     }
-    return keys.length;
+    await semanticCache.clear();
+    return cleared;
   }
 }
 
@@ -0,0 +1,129 @@
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const pubsub = require('./pubsub');
+const dedup = require('./deduplication');
+const stream = require('./stream');
+const sessions = require('./sessions');
+const batches = require('./batch');
+const schedules = require('./schedules');
+const history = require('./history');
+const { metrics } = require('../metrics/registry');
+const { enqueueWebhook } = require('../queues/webhooks');
+const { generateQueryHash, detectIntent } = require('../utils/prompt');
+
+const CHANNEL = 'jobs:cancel';
+const FINISHED_STATES = ['completed', 'failed'];
+
+// Waiting jobs are removed from the queue directly. Active jobs can only be
+// stopped by the worker running them, so the request is broadcast to every
+// worker; a marker in Redis also catches jobs picked up while it is in flight
+// and records the cancellation after the job itself is gone.
+class CancellationService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.prefix = 'cancel:';
+  }
+
+  _key(jobId) {
+    return `${this.prefix}${jobId}`;
+  }
+
+  // Passed to AbortController.abort() so backends reject with it
+  createError() {
+    const error = new Error('Job cancelled');
+    error.code = 'CANCELLED';
+    return error;
+  }
+
+  isCancellation(error) {
+    return Boolean(error) && error.code === 'CANCELLED';
+  }
+
+  async get(jobId) {
+    const data = await this.client.get(this._key(jobId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async clear(jobId) {
+    await this.client.del(this._key(jobId));
+  }
+
+  // Handler receives the id of every job cancelled anywhere in the cluster
+  async listen(handler) {
+    return pubsub.subscribe(CHANNEL, ({ jobId }) => handler(jobId));
+  }
+
+  // Resolves with { cancelled, state } where state is 'cancelled' once the job
+  // is gone, 'cancelling' while its worker is stopping it, or the finished state
+  async cancel(job, { by = 'client' } = {}) {
+    const state = await job.getState();
+    if (FINISHED_STATES.includes(state)) {
+      return { cancelled: false, state };
+    }
+
+    const record = { jobId: job.id, clientId: job.data.clientId || 'anonymous', by, cancelledAt: Date.now() };
+    await this.client.setex(this._key(job.id), config.queue.cancelRetention, JSON.stringify(record));
+
+    if (state !== 'active') {
+      try {
+        await job.remove();
+        await this.finalize(job);
+        logger.info('Job cancelled', { jobId: job.id, by, state });
+        return { cancelled: true, state: 'cancelled' };
+      } catch (err) {
+        // A worker locked the job in the meantime; fall through and signal it
+        logger.debug('Could not remove job, signalling worker', { jobId: job.id, error: err.message });
+      }
+    }
+
+    await pubsub.publish(CHANNEL, { jobId: job.id });
+
+    // The job may have completed before the request reached its worker
+    const current = await job.getState();
+    if (current === 'completed') {
+      await this.clear(job.id);
+      return { cancelled: false, state: current };
+    }
+
+    logger.info('Job cancellation requested', { jobId: job.id, by });
+    return { cancelled: true, state: 'cancelling' };
+  }
+
+  // Releases everything the job held and tells its listeners. Runs once,
+  // either after removal or in the worker that aborted the execution.
+  async finalize(job) {
+    const { query, context = {}, options = {}, template, sessionId, webhookUrl, clientId, cache = {} } = job.data;
+    const record = (await this.get(job.id)) || { jobId: job.id, cancelledAt: Date.now() };
+    metrics.jobsCancelled.inc();
+    metrics.jobsByIntent.inc({ intent: detectIntent(query), outcome: 'cancelled' });
+
+    if (sessionId) {
+      await sessions.recordFailure(sessionId, { jobId: job.id, error: 'Job cancelled' });
+    } else if (!cache.noCache) {
+      await dedup.clearInFlight(generateQueryHash(query, context, options, template));
+    }
+
+    if (config.features.streamingEnabled) {
+      await stream.publish(job.id, 'cancelled', record);
+    }
+
+    try {
+      await batches.handleJobFinished(job.id, { error: 'Job cancelled' });
+      await schedules.handleJobFinished(job.id, { error: 'Job cancelled' });
+      await history.recordJob(job, { status: 'cancelled', error: 'Job cancelled' });
+      if (webhookUrl) {
+        const payload = { jobId: job.id, status: 'cancelled', cancelledAt: record.cancelledAt };
+        await enqueueWebhook(webhookUrl, payload, { clientId, event: 'query.cancelled', jobId: job.id });
+      }
+    } catch (err) {
+      logger.error('Failed to notify cancellation', { jobId: job.id, error: err.message });
+    }
+  }
+}
+
+module.exports = new CancellationService();
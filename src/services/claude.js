@@ -1,52 +1,170 @@
-const { spawn } = require('child_process');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const { withRetry } = require('../utils/retry');
+const { compileSchema, schemaErrors } = require('../utils/schema');
+const { getResultText, combineUsage } = require('../utils/result');
+const { structuredPrompt, repairPrompt, extractJson, createValidationError } = require('../utils/structuredOutput');
+const { getBackend } = require('./backends');
+const tracing = require('./tracing');
+const { metrics } = require('../metrics/registry');
+const { detectIntent } = require('../utils/prompt');
+const { classifyError } = require('../utils/claudeErrors');
+const { CircuitBreaker, STATES } = require('../utils/circuitBreaker');
+const { AdaptiveLimiter } = require('../utils/concurrency');
 
+const CIRCUIT_OPEN = 'CIRCUIT_OPEN';
+
+function circuitOpenError(name, breaker) {
+  const { failures, lastError } = breaker.snapshot();
+  const retryAfterMs = breaker.retryAfter();
+  const error = new Error(`Claude backend '${name}' is unavailable after ${failures} consecutive failures `
+    + `(last: ${lastError}); retrying in ${Math.ceil(retryAfterMs / 1000)}s`);
+  error.code = CIRCUIT_OPEN;
+  error.kind = 'circuit_open';
+  error.retryable = true;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Every execution passes a circuit breaker for its backend, so a backend
+// that keeps failing is not called again until a probe succeeds, and an
+// adaptive limiter that narrows concurrency while Claude rate-limits us.
 class ClaudeService {
+  constructor() {
+    this.breakers = new Map();
+    this.limiter = config.queue.adaptiveConcurrency ? new AdaptiveLimiter({
+      min: config.queue.minConcurrency,
+      max: config.queue.concurrency,
+      cooldown: config.queue.concurrencyCooldown,
+      onChange: (limit, from) => {
+        metrics.claudeConcurrencyLimit.set(limit);
+        logger.warn('Claude concurrency limit changed', { from, to: limit });
+      },
+    }) : null;
+  }
+
+  // Called by processes that run jobs, so their metrics and heartbeats show
+  // every backend's breaker before it is first used
+  start() {
+    if (config.claude.breaker.enabled) config.claude.allowedBackends.forEach(name => this._breaker(name));
+    if (this.limiter) metrics.claudeConcurrencyLimit.set(this.limiter.limit);
+  }
+
+  _breaker(name) {
+    if (!this.breakers.has(name)) {
+      const { threshold, resetTimeout } = config.claude.breaker;
+      this.breakers.set(name, new CircuitBreaker({
+        failureThreshold: threshold,
+        resetTimeout,
+        onStateChange: (state, from) => {
+          metrics.claudeCircuitState.set({ backend: name }, STATES.indexOf(state));
+          logger[state === 'open' ? 'error' : 'info']('Claude circuit breaker changed state', { backend: name, from, to: state });
+        },
+      }));
+      metrics.claudeCircuitState.set({ backend: name }, 0);
+    }
+    return this.breakers.get(name);
+  }
+
+  // Breaker and limiter state for heartbeats and the admin dashboard
+  state() {
+    const breakers = Object.fromEntries([...this.breakers].map(([name, breaker]) => [name, breaker.snapshot()]));
+    return { breakers, limiter: this.limiter ? this.limiter.snapshot() : null };
+  }
+
   async execute(query, options = {}) {
-    const { timeout = config.claude.timeout, mcpServers = [] } = options;
-
-    return withRetry(async () => {
-      return new Promise((resolve, reject) => {
-        const args = ['--print', '--output-format', 'json'];
-
-        // Add MCP servers if specified
-        mcpServers.forEach(server => {
-          args.push('--mcp', server);
-        });
-
-        args.push(query);
-
-        const proc = spawn('claude', args, {
-          timeout,
-          env: { ...process.env, CLAUDE_OUTPUT_FORMAT: 'json' },
-        });
-
-        let stdout = '';
-        let stderr = '';
-
-        proc.stdout.on('data', (data) => { stdout += data; });
-        proc.stderr.on('data', (data) => { stderr += data; });
-
-        proc.on('close', (code) => {
-          if (code === 0) {
-            try {
-              const result = JSON.parse(stdout);
-              logger.info('Claude execution complete', { queryLength: query.length });
-              resolve(result);
-            } catch (e) {
-              // Handle non-JSON output
-              resolve({ response: stdout.trim(), format: 'text' });
-            }
-          } else {
-            reject(new Error(`Claude exited with code ${code}: ${stderr}`));
-          }
-        });
-
-        proc.on('error', reject);
-      });
-    }, { maxRetries: config.claude.maxRetries });
+    // Labelled by the caller's query, not the prompts built from it
+    const intent = detectIntent(query);
+    if (options.outputSchema) return this._executeStructured(query, options, intent);
+    return this._run(query, options, intent);
+  }
+
+  _run(query, options, intent) {
+    const name = options.backend || config.claude.backend;
+    const backend = getBackend(name);
+
+    const breaker = config.claude.breaker.enabled ? this._breaker(name) : null;
+
+    // One attempt, with one span and one duration sample; backends pass the
+    // span's traceparent on to the CLI or API. Retryable failures are retried
+    // by the queue, so they are not retried here as well.
+    return tracing.withSpan('claude.execute', {
+      kind: 'client',
+      attributes: { 'claude.backend': name, 'claude.model': options.model, 'claude.query_length': query.length },
+    }, async (span) => {
+      if (this.limiter) await this.limiter.acquire(options.signal);
+      try {
+        if (breaker && !breaker.allow()) {
+          metrics.claudeCircuitRejections.inc({ backend: name });
+          throw circuitOpenError(name, breaker);
+        }
+        return await this._attempt(backend, name, breaker, span, query, options, intent);
+      } finally {
+        if (this.limiter) this.limiter.release();
+      }
+    });
+  }
+
+  async _attempt(backend, name, breaker, span, query, options, intent) {
+    const stopTimer = metrics.claudeExecutionDuration.startTimer({ backend: name, intent });
+    try {
+      const output = await backend.run(query, options);
+      stopTimer({ outcome: 'success' });
+      if (breaker) breaker.recordSuccess();
+      if (this.limiter) this.limiter.onSuccess();
+      return output;
+    } catch (err) {
+      if (options.signal && options.signal.aborted) {
+        stopTimer({ outcome: 'cancelled' });
+        if (breaker) breaker.release();
+        throw err;
+      }
+
+      stopTimer({ outcome: 'error' });
+      const { kind, retryable, trips } = classifyError(err);
+      err.kind = kind;
+      err.retryable = retryable;
+      span.setAttributes({ 'claude.error_kind': kind });
+      metrics.claudeErrors.inc({ backend: name, kind });
+      if (breaker) {
+        if (trips) breaker.recordFailure(err);
+        else breaker.release();
+      }
+      if (kind === 'rate_limited' && this.limiter) this.limiter.onRateLimit();
+      throw err;
+    }
+  }
+
+  // Asks for JSON matching `outputSchema` and re-prompts with the validation
+  // errors until it conforms. The result carries the parsed value as
+  // `structured` and the usage of every attempt.
+  async _executeStructured(query, options, intent) {
+    const { outputSchema } = options;
+    const { validate } = compileSchema(outputSchema);
+    // Replies are only useful once validated, so they are not streamed
+    const runOptions = { ...options, onChunk: undefined };
+    const outputs = [];
+    let prompt = structuredPrompt(query, outputSchema);
+
+    for (let attempt = 0; attempt <= config.claude.schemaRepairAttempts; attempt++) {
+      const output = await this._run(prompt, runOptions, intent);
+      outputs.push(output);
+
+      const reply = getResultText(output);
+      const { value, error } = extractJson(reply);
+      const errors = error ? [error] : schemaErrors(validate, value, 'output');
+      if (!errors) {
+        return { ...output, ...combineUsage(outputs), structured: value, structuredAttempts: outputs.length };
+      }
+
+      if (attempt === config.claude.schemaRepairAttempts) {
+        const failure = createValidationError(errors, outputs.length);
+        failure.output = combineUsage(outputs);
+        throw failure;
+      }
+
+      logger.warn('Output did not match schema, re-prompting', { attempt: attempt + 1, errors });
+      prompt = repairPrompt(query, outputSchema, reply, errors);
+    }
   }
 }
 
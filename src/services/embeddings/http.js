@@ -0,0 +1,34 @@
+const config = require('../../config/config');
+
+// Calls an OpenAI-compatible embeddings endpoint (OpenAI, Voyage, Ollama, ...)
+class HttpEmbedder {
+  constructor() {
+    this.id = `http-${config.semanticCache.embeddingsModel}`;
+  }
+
+  async embed(text) {
+    const { embeddingsUrl, embeddingsApiKey, embeddingsModel } = config.semanticCache;
+    const headers = { 'Content-Type': 'application/json' };
+    if (embeddingsApiKey) headers.Authorization = `Bearer ${embeddingsApiKey}`;
+
+    const response = await fetch(embeddingsUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: embeddingsModel, input: text }),
+      signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embeddings API returned ${response.status}: ${await response.text()}`);
+    }
+
+    const body = await response.json();
+    const embedding = body.data && body.data[0] && body.data[0].embedding;
+    if (!Array.isArray(embedding)) {
+      throw new Error('Embeddings API response has no embedding');
+    }
+    return embedding;
+  }
+}
+
+module.exports = new HttpEmbedder();
@@ -0,0 +1,12 @@
+const embedders = {
+  ngram: require('./ngram'),
+  http: require('./http'),
+};
+
+function getEmbedder(name) {
+  const embedder = embedders[name];
+  if (!embedder) throw new Error(`Unknown embedding provider: ${name}`);
+  return embedder;
+}
+
+module.exports = { getEmbedder, embedderNames: Object.keys(embedders) };
@@ -0,0 +1,50 @@
+const config = require('../../config/config');
+const { contentWords } = require('../../utils/prompt');
+const { normalize } = require('../../utils/vector');
+
+// 32-bit FNV-1a
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Words plus character trigrams, so inflections and small typos still overlap,
+// and word pairs, so prompts with the same words in another order differ
+function features(text) {
+  const result = [];
+  const words = contentWords(text);
+  words.forEach((word, i) => {
+    result.push(`w:${word}`);
+    if (i > 0) result.push(`b:${words[i - 1]} ${word}`);
+    const padded = ` ${word} `;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      result.push(`c:${padded.slice(j, j + 3)}`);
+    }
+  });
+  return result;
+}
+
+// Local embedder that needs no model or network: features are hashed into a
+// fixed-size vector (the "hashing trick"), with a sign bit to offset collisions
+class NgramEmbedder {
+  constructor() {
+    this.dimensions = config.semanticCache.dimensions;
+    this.id = `ngram-${this.dimensions}`;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const feature of features(text)) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign;
+    }
+    return normalize(vector);
+  }
+}
+
+module.exports = new NgramEmbedder();
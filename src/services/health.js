@@ -0,0 +1,246 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const cache = require('./cache');
+const dedup = require('./deduplication');
+const {
+  timedCheck,
+  worstStatus,
+  overallStatus,
+  backlogStatus,
+  diskStatus,
+  partitionHeartbeats,
+  parseVersion,
+} = require('../utils/health');
+
+const execFileAsync = promisify(execFile);
+const MB = 1024 * 1024;
+
+// Where the CLI finds credentials, short of the macOS keychain
+function claudeAuth() {
+  if (process.env.ANTHROPIC_API_KEY) return 'api_key';
+  if (process.env.CLAUDE_CODE_OAUTH_TOKEN) return 'oauth_token';
+  if (process.env.CLAUDE_CODE_USE_BEDROCK || process.env.CLAUDE_CODE_USE_VERTEX) return 'cloud_provider';
+  const configDir = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+  if (fs.existsSync(path.join(configDir, '.credentials.json'))) return 'credentials_file';
+  return null;
+}
+
+// Liveness, readiness and the degraded mode they drive. Readiness checks the
+// Redis clients, the Claude backends, worker heartbeats, the queue backlog and
+// free disk space. A failing Redis check marks the gateway down; any other
+// failure marks it degraded, which refuses new queries while status lookups,
+// streams and history keep working.
+class HealthService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+      lazyConnect: true,
+    });
+    this.workersKey = 'health:workers';
+    this.queue = null;
+    this.report = null;
+    this.pending = null;
+    this.claudeVersion = null;
+    this.checkTimer = null;
+    this.heartbeatTimer = null;
+    this.startedAt = Date.now();
+  }
+
+  // Re-checks readiness in the background so degraded mode follows the
+  // gateway's state even when nothing probes it
+  start(queue) {
+    this.queue = queue;
+    this.check();
+    this.checkTimer = setInterval(() => this.check(), config.health.checkInterval);
+    this.checkTimer.unref();
+  }
+
+  // Called by processes that run jobs; `describe` adds details such as the
+  // number of active jobs to each beat
+  startHeartbeat(describe = () => ({})) {
+    const beat = async () => {
+      const heartbeat = { updatedAt: Date.now(), hostname: os.hostname(), pid: process.pid, ...describe() };
+      try {
+        await this.client.hset(this.workersKey, config.instanceId, JSON.stringify(heartbeat));
+      } catch (err) {
+        logger.warn('Failed to record worker heartbeat', { error: err.message });
+      }
+    };
+    beat();
+    this.heartbeatTimer = setInterval(beat, config.health.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  async stop() {
+    if (this.checkTimer) clearInterval(this.checkTimer);
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      await this.client.hdel(this.workersKey, config.instanceId);
+    }
+  }
+
+  liveness() {
+    return { status: 'ok', uptime: Math.round((Date.now() - this.startedAt) / 1000), timestamp: Date.now() };
+  }
+
+  // Runs every check; concurrent probes share one run
+  check() {
+    if (!this.pending) {
+      this.pending = this._check().finally(() => { this.pending = null; });
+    }
+    return this.pending;
+  }
+
+  async _check() {
+    const timeout = config.health.checkTimeout;
+    const definitions = [
+      { name: 'redisCache', run: () => this._checkRedis(cache.client), critical: true },
+      { name: 'redisDedup', run: () => this._checkRedis(dedup.client), critical: true },
+      { name: 'redisQueue', run: () => this._checkRedis(this.queue.client), critical: true },
+      // API-only processes never run Claude; the workers report on it
+      ...(config.role !== 'api' ? [{ name: 'claude', run: () => this._checkClaude() }] : []),
+      { name: 'workers', run: () => this._checkWorkers() },
+      { name: 'backlog', run: () => this._checkBacklog() },
+      { name: 'disk', run: () => this._checkDisk() },
+    ];
+    const results = await Promise.all(definitions.map(({ run }) => timedCheck(run, timeout)));
+
+    const checks = Object.fromEntries(definitions.map(({ name, critical }, i) => (
+      [name, critical ? { ...results[i], critical } : results[i]]
+    )));
+    const status = overallStatus(checks);
+    const previous = this.report && this.report.status;
+    if (previous && previous !== status) {
+      const failing = Object.keys(checks).filter(name => checks[name].status === 'fail');
+      logger.warn('Health status changed', { from: previous, to: status, failing });
+    }
+
+    this.report = {
+      status,
+      acceptingQueries: this._accepts(status),
+      instanceId: config.instanceId,
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      timestamp: Date.now(),
+      checks,
+    };
+    return this.report;
+  }
+
+  _accepts(status) {
+    if (status === 'down') return false;
+    return status === 'ok' || !config.health.rejectWhenDegraded;
+  }
+
+  // Whether new queries are accepted, from the latest report. Before the
+  // first check completes the gateway is assumed healthy.
+  availability() {
+    if (!this.report) return { accepting: true };
+    const failing = Object.keys(this.report.checks).filter(name => this.report.checks[name].status === 'fail');
+    return { accepting: this.report.acceptingQueries, status: this.report.status, failing };
+  }
+
+  async _checkRedis(client) {
+    // A disconnected client queues commands instead of failing them
+    if (client.status !== 'ready') {
+      return { status: 'fail', error: `Connection is ${client.status}` };
+    }
+    await client.ping();
+    return { status: 'pass' };
+  }
+
+  async _checkClaude() {
+    const backends = {};
+    for (const name of config.claude.allowedBackends) {
+      backends[name] = await this._checkBackend(name);
+    }
+    return { status: worstStatus(Object.values(backends).map(b => b.status)), backends };
+  }
+
+  async _checkBackend(name) {
+    if (name === 'mock') return { status: 'pass' };
+
+    if (name === 'http') {
+      const { apiKey, baseUrl } = config.anthropic;
+      // A local stand-in may not need a key; the real API always does
+      if (!apiKey && new URL(baseUrl).hostname === 'api.anthropic.com') {
+        return { status: 'fail', error: 'ANTHROPIC_API_KEY is not set' };
+      }
+      return { status: 'pass', auth: apiKey ? 'api_key' : 'none' };
+    }
+
+    const auth = claudeAuth();
+    const cached = this.claudeVersion;
+    let version = cached && Date.now() - cached.checkedAt < config.health.claudeCheckTtl ? cached.version : null;
+    if (!version) {
+      try {
+        const { stdout } = await execFileAsync(config.claude.binary, ['--version'], { timeout: config.health.checkTimeout });
+        version = parseVersion(stdout) || stdout.trim();
+        this.claudeVersion = { version, checkedAt: Date.now() };
+      } catch (err) {
+        const error = err.code === 'ENOENT' ? `${config.claude.binary} not found` : err.message;
+        return { status: 'fail', error, auth };
+      }
+    }
+
+    // Keychain logins can't be seen from here, so unknown auth only warns
+    if (!auth) return { status: 'warn', version, auth: 'unknown' };
+    return { status: 'pass', version, auth };
+  }
+
+  async _heartbeats() {
+    const raw = await this.client.hgetall(this.workersKey);
+    const heartbeats = Object.fromEntries(Object.entries(raw).map(([id, value]) => [id, JSON.parse(value)]));
+    return { heartbeats, ...partitionHeartbeats(heartbeats, { maxAge: config.health.heartbeatInterval * 3 }) };
+  }
+
+  // The latest heartbeat of every live worker, for the admin dashboard
+  async workers() {
+    const { heartbeats, live } = await this._heartbeats();
+    return live.map(id => ({ id, ...heartbeats[id] }));
+  }
+
+  async _checkWorkers() {
+    const { heartbeats, live, stale } = await this._heartbeats();
+    // A worker in this process is live even before its first beat lands
+    if (this.heartbeatTimer && !live.includes(config.instanceId)) live.push(config.instanceId);
+
+    // Stale entries belong to workers that died without cleaning up; they are
+    // reported once and then forgotten
+    if (stale.length > 0) await this.client.hdel(this.workersKey, ...stale);
+
+    return {
+      status: live.length > 0 ? 'pass' : 'fail',
+      ...(live.length === 0 && { error: 'No worker heartbeats' }),
+      workers: live.map(id => ({ id, ...heartbeats[id] })),
+      stale,
+    };
+  }
+
+  async _checkBacklog() {
+    const { waiting, delayed, active } = await this.queue.getJobCounts();
+    const { backlogWarn: warn, backlogMax: max } = config.health;
+    return { status: backlogStatus(waiting, { warn, max }), waiting, delayed, active, warn, max };
+  }
+
+  async _checkDisk() {
+    const { bavail, bsize } = await fs.promises.statfs(config.health.diskPath);
+    const freeBytes = bavail * bsize;
+    const minFreeMb = config.health.diskMinFreeMb;
+    return {
+      status: diskStatus(freeBytes, minFreeMb * MB),
+      path: config.health.diskPath,
+      freeMb: Math.floor(freeBytes / MB),
+      minFreeMb,
+    };
+  }
+}
+
+module.exports = new HealthService();
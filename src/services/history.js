@@ -0,0 +1,114 @@
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { matchesFilter } = require('../utils/history');
+
+const PAGE_SIZE = 200;
+
+// Records of finished jobs, kept for HISTORY_RETENTION_DAYS after Bull has
+// removed the jobs themselves. Each record expires on its own; the per-client
+// and gateway-wide indexes are sorted by finish time and trimmed on write.
+class HistoryService {
+  constructor() {
+    this.enabled = config.features.historyEnabled;
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.prefix = 'history:';
+  }
+
+  _key(jobId) {
+    return `${this.prefix}job:${jobId}`;
+  }
+
+  _indexKey(clientId) {
+    return `${this.prefix}index:${clientId}`;
+  }
+
+  // `outcome` is { status, result } or { status, error, failure }
+  async recordJob(job, { status, result, error, failure, cached = false }, now = Date.now()) {
+    if (!this.enabled) return null;
+
+    const { query, context = {}, options = {}, template, priority, sessionId, clientId, tenant } = job.data;
+    const startedAt = job.processedOn || null;
+    const entry = {
+      jobId: job.id,
+      clientId: clientId || 'anonymous',
+      tenant: tenant || null,
+      status,
+      query,
+      context,
+      options,
+      template: template ? `${template.name}@${template.version}` : null,
+      priority: priority ?? null,
+      sessionId: sessionId || null,
+      cached,
+      result: result ?? null,
+      error: error ?? null,
+      errorCode: failure ? failure.code : null,
+      errorDetails: failure ? failure.details : null,
+      submittedAt: job.timestamp,
+      startedAt,
+      finishedAt: now,
+      durationMs: startedAt ? now - startedAt : null,
+    };
+
+    const ttl = config.history.retention;
+    const cutoff = now - ttl * 1000;
+    const tx = this.client.multi().setex(this._key(job.id), ttl, JSON.stringify(entry));
+    [entry.clientId, 'all'].forEach((id) => {
+      tx.zadd(this._indexKey(id), now, job.id)
+        .zremrangebyscore(this._indexKey(id), '-inf', cutoff)
+        .expire(this._indexKey(id), ttl);
+    });
+    await tx.exec();
+
+    logger.debug('Job recorded in history', { jobId: job.id, status });
+    return entry;
+  }
+
+  async get(jobId) {
+    const data = await this.client.get(this._key(jobId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Newest first. Walks the index between `from` and `to`, applying the
+  // status and text filters, until `limit` records match or `scanLimit` have
+  // been read. `cursor` is null once the range is exhausted.
+  async search({ clientId = 'all', status, from, to, text, limit, cursor }) {
+    const index = this._indexKey(clientId);
+    const entries = [];
+    let max = cursor ? cursor.max : to;
+    let skip = cursor ? cursor.skip : 0;
+    let scanned = 0;
+
+    while (entries.length < limit && scanned < config.history.scanLimit) {
+      const page = await this.client.zrevrangebyscore(index, max, from, 'WITHSCORES', 'LIMIT', skip, PAGE_SIZE);
+      if (page.length === 0) return { entries, cursor: null };
+
+      const ids = page.filter((value, i) => i % 2 === 0);
+      const records = await this.client.mget(ids.map(id => this._key(id)));
+
+      for (let i = 0; i < ids.length && entries.length < limit; i++) {
+        const score = parseInt(page[i * 2 + 1], 10);
+        if (score === max) {
+          skip++;
+        } else {
+          max = score;
+          skip = 1;
+        }
+        scanned++;
+
+        // Records expire before the index is next trimmed
+        const entry = records[i] && JSON.parse(records[i]);
+        if (entry && matchesFilter(entry, { status, text })) entries.push(entry);
+      }
+    }
+
+    return { entries, cursor: `${max}:${skip}` };
+  }
+}
+
+module.exports = new HistoryService();
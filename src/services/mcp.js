@@ -1,29 +1,114 @@
+const fs = require('fs');
 const config = require('../config/config');
-const { detectIntent } = require('../utils/prompt');
+const logger = require('../utils/logger');
+const pubsub = require('./pubsub');
+const { parseMcpConfig, matchRules } = require('../utils/mcp');
 
-const MCP_SERVERS = {
-  database: 'sqlite',
-  filesystem: 'filesystem',
-  web: 'fetch',
-  code: 'github',
-};
+const RELOAD_CHANNEL = 'mcp:reload';
 
+// Routes queries to MCP servers using the server definitions and rules in
+// MCP_CONFIG_FILE. The file is read at startup and on reload(); a file that
+// fails to load leaves the previous configuration in place.
 class MCPRouter {
   constructor() {
     this.enabled = config.features.mcpEnabled;
+    this.file = config.mcp.configFile;
+    this.servers = {};
+    this.rules = [];
+    this.loadedAt = null;
+
+    const { error } = this.reload();
+    if (error) logger.error('Failed to load MCP config', { file: this.file, error });
+  }
+
+  // Reads the file again. Returns the server and rule counts, or { error }.
+  reload() {
+    let parsed;
+    try {
+      parsed = parseMcpConfig(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+    } catch (err) {
+      return { error: err.message };
+    }
+    if (parsed.error) return { error: parsed.error };
+
+    this.servers = parsed.servers;
+    this.rules = parsed.rules;
+    this.loadedAt = Date.now();
+    logger.info('MCP config loaded', { file: this.file, servers: Object.keys(this.servers).length });
+    return { servers: Object.keys(this.servers).length, rules: this.rules.length, loadedAt: this.loadedAt };
+  }
+
+  // Reloads this process, then tells every other gateway and worker to do the
+  // same. Returns what reload() returns here; others log their own errors.
+  async reloadAll() {
+    const reloaded = this.reload();
+    if (!reloaded.error) await pubsub.publish(RELOAD_CHANNEL, { origin: config.instanceId });
+    return reloaded;
+  }
+
+  // Reloads whenever another process calls reloadAll()
+  async listen() {
+    return pubsub.subscribe(RELOAD_CHANNEL, ({ origin }) => {
+      if (origin === config.instanceId) return;
+      const { error } = this.reload();
+      if (error) logger.error('Failed to reload MCP config', { file: this.file, origin, error });
+    });
   }
 
-  getServersForQuery(query) {
-    if (!this.enabled) return [];
+  // `allowed` is an API key's allow-list; null allows every server
+  _allows(allowed, name) {
+    return !allowed || allowed.includes(name);
+  }
+
+  // Server definitions without args and env values, which may hold secrets
+  listServers(allowed = null) {
+    return Object.values(this.servers)
+      .filter(server => this._allows(allowed, server.name))
+      .map(({ name, description, command, env }) => ({ name, description, command, env: Object.keys(env) }));
+  }
+
+  // Checks a request's explicit server list. Returns an error message or null.
+  checkRequested(names, allowed = null) {
+    if (!this.enabled) return 'MCP is not enabled';
+    const unknown = names.find(name => !this.servers[name]);
+    if (unknown) return `Unknown MCP server '${unknown}'`;
+    const denied = names.find(name => !this._allows(allowed, name));
+    if (denied) return `MCP server '${denied}' is not allowed for this API key`;
+    return null;
+  }
+
+  // Servers for one query: the request's explicit list when it has one,
+  // otherwise every matching rule's, limited to the key's allow-list.
+  // Returns { servers, rules, source }.
+  route({ query, context = {}, requested, allowed = null }) {
+    if (!this.enabled) return { servers: [], rules: [], source: 'disabled' };
 
-    const intent = detectIntent(query);
-    const server = MCP_SERVERS[intent];
+    if (requested) {
+      // A reload may have removed servers since the job was submitted
+      const servers = requested.filter(name => this.servers[name] && this._allows(allowed, name));
+      return { servers, rules: [], source: 'request' };
+    }
+
+    const matched = matchRules(this.rules, { query, context });
+    return {
+      servers: matched.servers.filter(name => this._allows(allowed, name)),
+      rules: matched.rules,
+      source: 'rules',
+    };
+  }
 
-    return server ? [server] : [];
+  getServersForQuery(query, context = {}) {
+    return this.route({ query, context }).servers;
   }
 
-  getAllServers() {
-    return Object.values(MCP_SERVERS);
+  // The --mcp-config document for the CLI backend, or null for no servers
+  cliConfig(names) {
+    if (names.length === 0) return null;
+    const mcpServers = Object.fromEntries(names.map((name) => {
+      const { command, args, env } = this.servers[name];
+      return [name, { command, args, env }];
+    }));
+    return { mcpServers };
   }
 }
 
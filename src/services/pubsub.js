@@ -0,0 +1,57 @@
+const { EventEmitter } = require('events');
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Relays messages between gateway instances and workers. Subscribers on this
+// process share a single Redis connection; handlers are dispatched locally.
+class PubSubService {
+  constructor() {
+    const options = {
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+      lazyConnect: true,
+    };
+
+    this.publisher = new Redis(options);
+    this.subscriber = new Redis(options);
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+
+    this.subscriber.on('message', (channel, raw) => {
+      try {
+        this.emitter.emit(channel, JSON.parse(raw));
+      } catch (err) {
+        logger.warn('Invalid pubsub message', { channel, error: err.message });
+      }
+    });
+    this.publisher.on('error', (err) => logger.error('Redis publisher error', { error: err.message }));
+    this.subscriber.on('error', (err) => logger.error('Redis subscriber error', { error: err.message }));
+  }
+
+  async publish(channel, message) {
+    await this.publisher.publish(channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    if (this.emitter.listenerCount(channel) === 1) {
+      await this.subscriber.subscribe(channel);
+    }
+
+    return async () => {
+      this.emitter.off(channel, handler);
+      if (this.emitter.listenerCount(channel) === 0) {
+        await this.subscriber.unsubscribe(channel);
+      }
+    };
+  }
+
+  async close() {
+    this.publisher.disconnect();
+    this.subscriber.disconnect();
+  }
+}
+
+module.exports = new PubSubService();
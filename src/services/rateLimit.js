@@ -0,0 +1,82 @@
+const Redis = require('ioredis');
+const config = require('../config/config');
+
+// Refills `refillRate` tokens per second up to `capacity`, then spends `cost`.
+// Returns [allowed, retryAfterSeconds, remainingTokens].
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) / 1000 * rate)
+local allowed = 0
+local retry = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retry = math.ceil((cost - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate * 1000) + 1000)
+return { allowed, retry, math.floor(tokens) }
+`;
+
+function secondsUntilMidnightUTC(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+class RateLimitService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.client.defineCommand('tokenBucket', { numberOfKeys: 1, lua: TOKEN_BUCKET_SCRIPT });
+  }
+
+  async consumeToken(id, { capacity, refillRate }, cost = 1) {
+    const [allowed, retryAfter, remaining] = await this.client.tokenBucket(
+      `ratelimit:${id}`, capacity, refillRate, Date.now(), cost
+    );
+    return { allowed: allowed === 1, retryAfter, remaining };
+  }
+
+  async consumeQuota(id, limit, cost = 1) {
+    const key = `quota:${id}:${today()}`;
+    const [[, used]] = await this.client
+      .multi()
+      .incrby(key, cost)
+      .expire(key, 2 * 24 * 3600)
+      .exec();
+
+    if (used > limit) {
+      await this.client.decrby(key, cost);
+      return { allowed: false, used: used - cost, limit, retryAfter: secondsUntilMidnightUTC() };
+    }
+    return { allowed: true, used, limit };
+  }
+
+  // Gives back queries charged to a request that was then refused. Resolves
+  // with the quota used afterwards.
+  async refundQuota(id, cost = 1) {
+    const used = await this.client.decrby(`quota:${id}:${today()}`, cost);
+    return Math.max(used, 0);
+  }
+
+  async getQuotaUsage(id) {
+    const used = await this.client.get(`quota:${id}:${today()}`);
+    return parseInt(used, 10) || 0;
+  }
+}
+
+module.exports = new RateLimitService();
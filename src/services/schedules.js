@@ -0,0 +1,240 @@
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { nextRuns } = require('../utils/scheduling');
+
+// Counts a run and keeps the newest one as the last run. The counters live in
+// their own hash so that runs finishing never rewrite the schedule itself,
+// which the API may be changing at the same time.
+const SUMMARY_SCRIPT = `
+if redis.call('EXISTS', KEYS[2]) == 0 then
+  return 0
+end
+if ARGV[1] == '1' then
+  redis.call('HINCRBY', KEYS[1], 'runs', 1)
+end
+if ARGV[2] == 'failed' then
+  redis.call('HINCRBY', KEYS[1], 'failures', 1)
+  redis.call('HINCRBY', KEYS[1], 'consecutiveFailures', 1)
+elseif ARGV[2] == 'completed' then
+  redis.call('HSET', KEYS[1], 'consecutiveFailures', 0)
+end
+local last = tonumber(redis.call('HGET', KEYS[1], 'lastRunAt') or '-1')
+if tonumber(ARGV[3]) >= last then
+  redis.call('HSET', KEYS[1], 'lastRunAt', ARGV[3], 'lastRun', ARGV[4])
+end
+return 1
+`;
+
+// Recurring queries. Schedules are stored here; the Bull repeatable jobs that
+// fire them live on the schedule queue (queues/schedules.js). Each firing is a
+// run, which follows its query job and keeps the last result or error.
+class ScheduleService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.prefix = 'schedule:';
+    this.client.defineCommand('updateScheduleSummary', { numberOfKeys: 2, lua: SUMMARY_SCRIPT });
+  }
+
+  _key(id, suffix) {
+    return suffix ? `${this.prefix}${id}:${suffix}` : `${this.prefix}${id}`;
+  }
+
+  _indexKey(owner) {
+    return `schedules:${owner}`;
+  }
+
+  _watchKey(jobId) {
+    return `${this.prefix}watch:${jobId}`;
+  }
+
+  // The run counters and last run are kept in the summary hash
+  async _save(schedule) {
+    schedule.updatedAt = Date.now();
+    const { runs, failures, consecutiveFailures, lastRun, ...stored } = schedule;
+    await this.client
+      .multi()
+      .set(this._key(schedule.id), JSON.stringify(stored))
+      .zadd(this._indexKey(schedule.owner), schedule.createdAt, schedule.id)
+      .zadd(this._indexKey('all'), schedule.createdAt, schedule.id)
+      .exec();
+    return schedule;
+  }
+
+  // Adds the next run time, which follows from the cron expression
+  _present(schedule) {
+    const nextRunAt = schedule.status === 'active'
+      ? nextRuns(schedule.cron, schedule.timezone)[0] || null
+      : null;
+    return { ...schedule, nextRunAt };
+  }
+
+  async count(owner) {
+    return this.client.zcard(this._indexKey(owner));
+  }
+
+  async create({ owner, tenant, name, cron, timezone, query, context, webhookUrl, priority, options, cache }) {
+    const now = Date.now();
+    const schedule = {
+      id: uuidv4(),
+      owner,
+      tenant,
+      name: name || null,
+      cron,
+      timezone,
+      query,
+      context,
+      webhookUrl: webhookUrl || null,
+      priority,
+      options,
+      cache,
+      status: 'active',
+      runs: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastRun: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this._save(schedule);
+    logger.info('Schedule created', { scheduleId: schedule.id, owner, cron });
+    return this._present(schedule);
+  }
+
+  async _get(id) {
+    const [data, summary] = await Promise.all([
+      this.client.get(this._key(id)),
+      this.client.hgetall(this._key(id, 'summary')),
+    ]);
+    if (!data) return null;
+    return {
+      ...JSON.parse(data),
+      runs: parseInt(summary.runs || 0, 10),
+      failures: parseInt(summary.failures || 0, 10),
+      consecutiveFailures: parseInt(summary.consecutiveFailures || 0, 10),
+      lastRun: summary.lastRun ? JSON.parse(summary.lastRun) : null,
+    };
+  }
+
+  async get(id) {
+    const schedule = await this._get(id);
+    return schedule ? this._present(schedule) : null;
+  }
+
+  async list(owner = 'all') {
+    const ids = await this.client.zrange(this._indexKey(owner), 0, -1);
+    const schedules = await Promise.all(ids.map(id => this.get(id)));
+    return schedules.filter(Boolean);
+  }
+
+  async update(id, changes) {
+    const schedule = await this._get(id);
+    if (!schedule) return null;
+
+    Object.assign(schedule, changes);
+    if (changes.status === 'active') {
+      schedule.consecutiveFailures = 0;
+      await this.client.hset(this._key(id, 'summary'), 'consecutiveFailures', 0);
+    }
+    await this._save(schedule);
+    return this._present(schedule);
+  }
+
+  async delete(id) {
+    const schedule = await this._get(id);
+    if (!schedule) return false;
+
+    await this.client
+      .multi()
+      .del(this._key(id), this._key(id, 'summary'), this._key(id, 'runs'), this._key(id, 'runs:order'))
+      .zrem(this._indexKey(schedule.owner), id)
+      .zrem(this._indexKey('all'), id)
+      .exec();
+    logger.info('Schedule deleted', { scheduleId: id });
+    return true;
+  }
+
+  // Newest first
+  async getRuns(id) {
+    const [runIds, runs] = await Promise.all([
+      this.client.zrevrange(this._key(id, 'runs:order'), 0, -1),
+      this.client.hgetall(this._key(id, 'runs')),
+    ]);
+    return runIds.filter(runId => runs[runId]).map(runId => JSON.parse(runs[runId]));
+  }
+
+  // Records a firing. Runs that already have an outcome (cached, skipped,
+  // submission errors) are final; the others wait for their job to finish.
+  async recordRun(schedule, run) {
+    const entry = { id: uuidv4(), triggeredAt: Date.now(), finishedAt: null, ...run };
+    const final = ['completed', 'failed', 'skipped'].includes(entry.status);
+    if (final) entry.finishedAt = entry.triggeredAt;
+
+    const tx = this.client
+      .multi()
+      .hset(this._key(schedule.id, 'runs'), entry.id, JSON.stringify(entry))
+      .zadd(this._key(schedule.id, 'runs:order'), entry.triggeredAt, entry.id);
+    if (!final) {
+      tx.sadd(this._watchKey(entry.jobId), `${schedule.id}:${entry.id}`)
+        .expire(this._watchKey(entry.jobId), config.schedules.watchTtl);
+    }
+    await tx.exec();
+
+    await this._trimRuns(schedule.id);
+    await this._updateSummary(schedule.id, entry, { started: true });
+    return entry;
+  }
+
+  async _trimRuns(id) {
+    const stale = await this.client.zrange(this._key(id, 'runs:order'), 0, -(config.schedules.historySize + 1));
+    if (stale.length === 0) return;
+    await this.client
+      .multi()
+      .hdel(this._key(id, 'runs'), ...stale)
+      .zrem(this._key(id, 'runs:order'), ...stale)
+      .exec();
+  }
+
+  // Keeps the run count, failure counters and last run. Runs can finish out
+  // of order; the newest one stays the last run.
+  async _updateSummary(id, run, { started = false } = {}) {
+    await this.client.updateScheduleSummary(
+      this._key(id, 'summary'),
+      this._key(id),
+      started ? 1 : 0,
+      run.status,
+      run.triggeredAt,
+      JSON.stringify(run),
+    );
+  }
+
+  // Called by the worker whenever a job finishes for good
+  async handleJobFinished(jobId, { result, error }) {
+    const watchers = await this.client.smembers(this._watchKey(jobId));
+    if (watchers.length === 0) return;
+
+    for (const watcher of watchers) {
+      // The worker and the firing can both report a job; only one claims each run
+      if (await this.client.srem(this._watchKey(jobId), watcher) !== 1) continue;
+      const [scheduleId, runId] = watcher.split(':');
+      const raw = await this.client.hget(this._key(scheduleId, 'runs'), runId);
+      if (!raw) continue;
+
+      const run = {
+        ...JSON.parse(raw),
+        status: error ? 'failed' : 'completed',
+        finishedAt: Date.now(),
+        ...(error ? { error } : { result }),
+      };
+      await this.client.hset(this._key(scheduleId, 'runs'), runId, JSON.stringify(run));
+      await this._updateSummary(scheduleId, run);
+    }
+  }
+}
+
+module.exports = new ScheduleService();
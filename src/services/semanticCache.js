@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getEmbedder } = require('./embeddings');
+const { normalizeQuery } = require('../utils/prompt');
+const { cosineSimilarity, encodeVector, decodeVector } = require('../utils/vector');
+
+// Indexes one prompt. The order zset scores entries by when their cached
+// response expires; the keys live as long as their longest-lived entry, so
+// a short-lived entry never cuts the others short.
+const ADD_SCRIPT = `
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+redis.call('ZADD', KEYS[3], ARGV[4], ARGV[1])
+local ttl = tonumber(ARGV[5])
+for _, key in ipairs(KEYS) do
+  if redis.call('TTL', key) < ttl then
+    redis.call('EXPIRE', key, ttl)
+  end
+end
+`;
+
+const NUMBER = /\p{N}+(?:[.,]\p{N}+)*/gu;
+const NEGATION = /\b(?:not|no|never|nor|none|nothing|without)\b|n['’]t\b/u;
+
+// Embeddings score "Is 7 a prime number?" and "Is 9 a prime number?", or a
+// question and its negation, as near-identical, so a semantic hit also needs
+// the same numbers in the same order and the same negation. Everything else
+// is left to the similarity threshold.
+function guard(query) {
+  const normalized = normalizeQuery(query);
+  const numbers = normalized.match(NUMBER) || [];
+  return `${numbers.join(' ')}|${NEGATION.test(normalized) ? 'not' : ''}`;
+}
+
+// Second cache tier: stores an embedding per cached prompt and finds the
+// closest earlier prompt with the same context, options and guard. Entries
+// only point at exact-cache hashes; the responses themselves stay in
+// CacheService.
+class SemanticCacheService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+      lazyConnect: true,
+    });
+    this.client.defineCommand('addSemanticEntry', { numberOfKeys: 3, lua: ADD_SCRIPT });
+    this.prefix = 'semcache:';
+  }
+
+  get embedder() {
+    return getEmbedder(config.semanticCache.provider);
+  }
+
+  // Prompts are only compared within one context/options scope, and vectors
+  // from different embedders never meet
+  _key(context = {}, options = {}) {
+    const scope = crypto.createHash('sha256')
+      .update(JSON.stringify({ context, options }))
+      .digest('hex')
+      .slice(0, 16);
+    return `${this.prefix}${this.embedder.id}:${scope}`;
+  }
+
+  _orderKey(key) {
+    return `${key}:order`;
+  }
+
+  _guardKey(key) {
+    return `${key}:guards`;
+  }
+
+  async add({ query, context, options }, hash, ttl = config.cache.ttl) {
+    const key = this._key(context, options);
+    const vector = await this.embedder.embed(query);
+    const now = Date.now();
+
+    await this.client.addSemanticEntry(
+      key,
+      this._guardKey(key),
+      this._orderKey(key),
+      hash,
+      encodeVector(vector),
+      guard(query),
+      now + ttl * 1000,
+      ttl,
+    );
+
+    await this._trim(key, now);
+  }
+
+  // Drops entries whose cached response has expired and caps the scope size,
+  // dropping the entries that expire soonest
+  async _trim(key, now) {
+    const orderKey = this._orderKey(key);
+    const expired = await this.client.zrangebyscore(orderKey, '-inf', `(${now}`);
+    const overflow = await this.client.zrange(orderKey, 0, -(config.semanticCache.maxEntries + 1));
+    const stale = [...new Set([...expired, ...overflow])];
+    if (stale.length > 0) await this.remove(key, stale);
+  }
+
+  async remove(key, hashes) {
+    await this.client
+      .multi()
+      .hdel(key, ...hashes)
+      .hdel(this._guardKey(key), ...hashes)
+      .zrem(this._orderKey(key), ...hashes)
+      .exec();
+  }
+
+  // Resolves with { key, hash, similarity } for the best match at or above the
+  // threshold, or null
+  async search({ query, context, options }, threshold = config.semanticCache.threshold) {
+    const key = this._key(context, options);
+    const [entries, guards, live] = await Promise.all([
+      this.client.hgetall(key),
+      this.client.hgetall(this._guardKey(key)),
+      this.client.zrangebyscore(this._orderKey(key), Date.now(), '+inf'),
+    ]);
+    const wanted = guard(query);
+    const hashes = live.filter(hash => entries[hash] && guards[hash] === wanted);
+    if (hashes.length === 0) return null;
+
+    const vector = await this.embedder.embed(query);
+    let best = null;
+    for (const hash of hashes) {
+      const similarity = cosineSimilarity(vector, decodeVector(entries[hash]));
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { key, hash, similarity };
+      }
+    }
+
+    if (best) logger.debug('Semantic cache match', { hash: best.hash, similarity: best.similarity });
+    return best;
+  }
+
+  async clear() {
+    let cleared = 0;
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+      cursor = next;
+      if (keys.length > 0) cleared += await this.client.del(...keys);
+    } while (cursor !== '0');
+    return cleared;
+  }
+}
+
+module.exports = new SemanticCacheService();
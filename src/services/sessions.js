@@ -0,0 +1,174 @@
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Resets the turn lock's expiry, only while the given job still holds it
+const HOLD_TURN_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+return 1
+`;
+
+// Conversation sessions. Each session maps to one Claude CLI session id that
+// is created on the first turn (--session-id) and resumed afterwards (--resume).
+class SessionService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.client.defineCommand('holdTurn', { numberOfKeys: 1, lua: HOLD_TURN_SCRIPT });
+    this.prefix = 'session:';
+    this.ttl = config.sessions.ttl;
+  }
+
+  _key(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  _messagesKey(id) {
+    return `${this.prefix}${id}:messages`;
+  }
+
+  _pendingKey(id) {
+    return `${this.prefix}${id}:pending`;
+  }
+
+  _indexKey(owner) {
+    return `sessions:${owner}`;
+  }
+
+  async _save(session) {
+    session.updatedAt = Date.now();
+    await this.client
+      .multi()
+      .setex(this._key(session.id), this.ttl, JSON.stringify(session))
+      .expire(this._messagesKey(session.id), this.ttl)
+      .zadd(this._indexKey(session.owner), session.updatedAt, session.id)
+      .exec();
+    return session;
+  }
+
+  async create({ owner, title, options = {} }) {
+    const now = Date.now();
+    const session = {
+      id: uuidv4(),
+      owner,
+      title: title || null,
+      options,
+      claudeSessionId: uuidv4(),
+      // Set once a turn has run, so later attempts resume the CLI session
+      started: false,
+      turns: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await this._save(session);
+    logger.info('Session created', { sessionId: session.id, owner });
+    return session;
+  }
+
+  async get(id) {
+    const data = await this.client.get(this._key(id));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async list(owner) {
+    const ids = await this.client.zrevrange(this._indexKey(owner), 0, -1);
+    const sessions = await Promise.all(ids.map(id => this.get(id)));
+
+    // Drop index entries whose session has expired
+    const expired = ids.filter((id, i) => !sessions[i]);
+    if (expired.length > 0) await this.client.zrem(this._indexKey(owner), ...expired);
+
+    return sessions.filter(Boolean);
+  }
+
+  async getMessages(id) {
+    const messages = await this.client.lrange(this._messagesKey(id), 0, -1);
+    return messages.map(m => JSON.parse(m));
+  }
+
+  async appendMessage(id, message) {
+    await this.client
+      .multi()
+      .rpush(this._messagesKey(id), JSON.stringify({ ...message, createdAt: Date.now() }))
+      .expire(this._messagesKey(id), this.ttl)
+      .exec();
+  }
+
+  // Only one turn may run at a time, since each resumes the previous one. A
+  // queued turn holds the lock for as long as the session lives, however long
+  // it waits; the turn timeout only starts once it runs (see holdTurn).
+  async acquireTurn(id, jobId) {
+    const acquired = await this.client.set(this._pendingKey(id), jobId, 'EX', this.ttl, 'NX');
+    return acquired === 'OK';
+  }
+
+  // Called when each attempt of the turn starts running
+  async holdTurn(id, jobId) {
+    return (await this.client.holdTurn(this._pendingKey(id), jobId, config.sessions.turnTimeout)) === 1;
+  }
+
+  // Marks the CLI session as created, and reports whether it already was
+  async markStarted(id) {
+    const session = await this.get(id);
+    if (!session) return false;
+    const started = Boolean(session.started || session.turns > 0);
+    if (!session.started) {
+      session.started = true;
+      await this._save(session);
+    }
+    return started;
+  }
+
+  async getPendingJobId(id) {
+    return this.client.get(this._pendingKey(id));
+  }
+
+  async releaseTurn(id) {
+    await this.client.del(this._pendingKey(id));
+  }
+
+  async recordReply(id, { jobId, content }) {
+    const session = await this.get(id);
+    if (!session) return null;
+
+    await this.appendMessage(id, { role: 'assistant', content, jobId });
+    session.turns += 1;
+    session.lastError = null;
+    await this._save(session);
+    await this.releaseTurn(id);
+    return session;
+  }
+
+  async recordFailure(id, { jobId, error }) {
+    const session = await this.get(id);
+    if (!session) return null;
+
+    session.lastError = { jobId, error };
+    await this._save(session);
+    await this.releaseTurn(id);
+    return session;
+  }
+
+  async delete(id) {
+    const session = await this.get(id);
+    if (!session) return false;
+
+    await this.client
+      .multi()
+      .del(this._key(id), this._messagesKey(id), this._pendingKey(id))
+      .zrem(this._indexKey(session.owner), id)
+      .exec();
+    logger.info('Session deleted', { sessionId: id });
+    return true;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,23 @@
+const pubsub = require('./pubsub');
+
+const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled'];
+
+class StreamService {
+  _channel(jobId) {
+    return `stream:${jobId}`;
+  }
+
+  async publish(jobId, event, data) {
+    await pubsub.publish(this._channel(jobId), { event, data });
+  }
+
+  async subscribe(jobId, handler) {
+    return pubsub.subscribe(this._channel(jobId), handler);
+  }
+
+  isTerminal(event) {
+    return TERMINAL_EVENTS.includes(event);
+  }
+}
+
+module.exports = new StreamService();
@@ -0,0 +1,158 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const cache = require('./cache');
+const dedup = require('./deduplication');
+const cancellation = require('./cancellation');
+const scheduler = require('./scheduler');
+const tracing = require('./tracing');
+const history = require('./history');
+const { metrics } = require('../metrics/registry');
+const queue = require('../queues/query');
+const { generateQueryHash } = require('../utils/prompt');
+const { PRIORITY_TIERS, parsePriority } = require('../utils/scheduling');
+
+const TIMEOUT = Symbol('timeout');
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(TIMEOUT), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Shared cache -> dedup -> queue path used by every route that runs a query
+class SubmissionService {
+  // The job carries the enqueue span's traceparent so its worker continues the trace
+  async _enqueue(data, { requestId, tier, tenant, delay }) {
+    return tracing.withSpan('queue.enqueue', { kind: 'producer', attributes: { 'queue.priority': tier } }, async (span) => {
+      const { priority, tag } = await scheduler.assign(tier, tenant);
+      const job = await queue.add(
+        { ...data, priority: tier, tenant: tenant.id, fairTag: tag, trace: tracing.carrier() },
+        { priority, jobId: requestId, delay }
+      );
+      span.setAttributes({ 'job.id': job.id });
+      return job;
+    });
+  }
+
+  async submit({
+    query,
+    webhookUrl,
+    context = {},
+    priority = 'normal',
+    requestId = uuidv4(),
+    sessionId,
+    clientId = 'anonymous',
+    tenant = { id: clientId, weight: 1 },
+    delay = 0,
+    options = {},
+    template,
+    cache: cacheOptions = {},
+  }) {
+    const data = { query, webhookUrl, context, sessionId, clientId, options, template, cache: cacheOptions };
+    const { priority: tier = PRIORITY_TIERS.normal } = parsePriority(priority);
+    const enqueueOptions = { requestId, tier, tenant, delay };
+
+    // Scheduled queries run later, so an answer cached or in flight now is
+    // not what the caller asked for; the worker still checks the cache
+    if (delay > 0) {
+      const job = await this._enqueue(data, enqueueOptions);
+      return { requestId, status: 'scheduled', jobId: job.id, runAt: new Date(job.timestamp + delay).toISOString() };
+    }
+
+    // Session turns depend on the conversation so far and are never cached or
+    // deduplicated; noCache requests always get a fresh execution
+    if (sessionId || cacheOptions.noCache) {
+      const job = await this._enqueue(data, enqueueOptions);
+      return { requestId, status: 'queued', jobId: job.id };
+    }
+
+    const hash = generateQueryHash(query, context, options, template);
+
+    // Check cache
+    const cached = await tracing.withSpan('cache.lookup', {}, async (span) => {
+      const found = await cache.lookup({ query, context, options, template });
+      span.setAttributes({ 'cache.hit': Boolean(found), 'cache.tier': found && found.tier });
+      return found;
+    });
+    if (cached) {
+      return {
+        requestId,
+        status: 'cached',
+        cacheTier: cached.tier,
+        similarity: cached.similarity,
+        result: cached.result,
+      };
+    }
+
+    // Check deduplication
+    if (config.features.dedupEnabled) {
+      const existingJobId = await tracing.withSpan('dedup.check', {}, async (span) => {
+        const jobId = await dedup.getJobId(hash);
+        span.setAttributes({ 'dedup.hit': Boolean(jobId), 'job.id': jobId });
+        return jobId;
+      });
+      if (existingJobId) {
+        metrics.dedupHits.inc();
+        return { requestId, status: 'duplicate', jobId: existingJobId };
+      }
+    }
+
+    // Add to queue
+    const job = await this._enqueue(data, enqueueOptions);
+
+    // Mark as in-flight
+    if (config.features.dedupEnabled) {
+      await dedup.markInFlight(hash, job.id);
+    }
+
+    return { requestId, status: 'queued', jobId: job.id };
+  }
+
+  // Resolves with { state: 'completed' | 'failed' | 'cancelled' | 'timeout' | 'unknown', result, error }
+  async waitForJob(jobId, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const job = await queue.getJob(jobId);
+      if (!job) {
+        return { state: (await cancellation.get(jobId)) ? 'cancelled' : 'unknown' };
+      }
+
+      try {
+        const result = await withTimeout(job.finished(), deadline - Date.now());
+        if (result === TIMEOUT) break;
+        return { state: 'completed', result };
+      } catch (error) {
+        // job.finished() rejects on every failed attempt; only the last one is final
+        const state = await job.getState();
+        if (state === 'failed') {
+          if (cancellation.isCancellation(error) || await cancellation.get(jobId)) return { state: 'cancelled' };
+          // Typed failures (e.g. schema_validation_failed) are recorded on the job
+          const failed = await queue.getJob(jobId);
+          return { state: 'failed', error: error.message, failure: failed && failed.data.failure };
+        }
+      }
+    }
+
+    return { state: 'timeout' };
+  }
+
+  // Resolves with { result } or { error } once a job has finished, or null
+  // while it still runs. Jobs Bull has already removed are read from history.
+  async finishedOutcome(jobId) {
+    const job = await queue.getJob(jobId);
+    if (job) {
+      const state = await job.getState();
+      if (state === 'completed') return { result: job.returnvalue };
+      if (state === 'failed') return { error: job.failedReason };
+      return null;
+    }
+
+    const entry = history.enabled ? await history.get(jobId) : null;
+    if (entry && entry.status === 'completed') return { result: entry.result };
+    if (entry && entry.status === 'failed') return { error: entry.error };
+    return null;
+  }
+}
+
+module.exports = new SubmissionService();
@@ -0,0 +1,183 @@
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const {
+  parseTemplateRef,
+  placeholders,
+  render,
+  defaultSchema,
+  compileSchema,
+  validateVariables,
+} = require('../utils/templates');
+
+// Named prompt templates. Versions are immutable: saving a template adds a
+// version, so `name@version` always renders the same prompt and can key the
+// cache.
+class TemplateService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.prefix = 'template:';
+    // Compiled variable validators by name@version
+    this.validators = new Map();
+  }
+
+  _key(name) {
+    return `${this.prefix}${name}`;
+  }
+
+  _versionsKey(name) {
+    return `${this.prefix}${name}:versions`;
+  }
+
+  _indexKey() {
+    return 'templates';
+  }
+
+  _versionRecord(version, { content, schema, description }, createdBy) {
+    return {
+      version,
+      content,
+      schema,
+      description,
+      variables: placeholders(content),
+      createdBy,
+      createdAt: Date.now(),
+    };
+  }
+
+  // Version numbers come from a counter that outlives the template, so a
+  // re-created template never reuses a number (and a stale cache entry)
+  async _nextVersion(name, definition, createdBy) {
+    const number = await this.client.incr(`${this.prefix}${name}:seq`);
+    const version = this._versionRecord(number, definition, createdBy);
+    await this.client.hset(this._versionsKey(name), number, JSON.stringify(version));
+    return version;
+  }
+
+  // Resolves with the template, or null if the name is taken
+  async create(name, definition, owner) {
+    const now = Date.now();
+    const template = {
+      name,
+      owner,
+      description: definition.description,
+      latestVersion: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const created = await this.client.set(this._key(name), JSON.stringify(template), 'NX');
+    if (created !== 'OK') return null;
+
+    const version = await this._nextVersion(name, definition, owner);
+    template.latestVersion = version.version;
+    await this.client
+      .multi()
+      .set(this._key(name), JSON.stringify(template))
+      .zadd(this._indexKey(), now, name)
+      .exec();
+
+    logger.info('Template created', { name, owner, version: version.version });
+    return { ...template, latest: version };
+  }
+
+  // Saves a new version and resolves with the template, or null if it does not exist
+  async addVersion(name, definition, createdBy) {
+    const template = await this.get(name);
+    if (!template) return null;
+
+    const version = await this._nextVersion(name, definition, createdBy);
+    Object.assign(template, {
+      description: definition.description ?? template.description,
+      latestVersion: Math.max(template.latestVersion, version.version),
+      updatedAt: version.createdAt,
+    });
+    await this.client
+      .multi()
+      .set(this._key(name), JSON.stringify(template))
+      .zadd(this._indexKey(), template.updatedAt, name)
+      .exec();
+
+    logger.info('Template version added', { name, version: version.version });
+    return { ...template, latest: version };
+  }
+
+  async get(name) {
+    const data = await this.client.get(this._key(name));
+    return data ? JSON.parse(data) : null;
+  }
+
+  // The latest version when `version` is null
+  async getVersion(name, version = null) {
+    let number = version;
+    if (number === null) {
+      const template = await this.get(name);
+      if (!template) return null;
+      number = template.latestVersion;
+    }
+
+    const data = await this.client.hget(this._versionsKey(name), number);
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Newest first
+  async listVersions(name) {
+    const versions = await this.client.hvals(this._versionsKey(name));
+    return versions.map(v => JSON.parse(v)).sort((a, b) => b.version - a.version);
+  }
+
+  // Most recently updated first
+  async list() {
+    const names = await this.client.zrevrange(this._indexKey(), 0, -1);
+    const templates = await Promise.all(names.map(name => this.get(name)));
+    return templates.filter(Boolean);
+  }
+
+  async delete(name) {
+    const removed = await this.client.del(this._key(name), this._versionsKey(name));
+    await this.client.zrem(this._indexKey(), name);
+    for (const key of this.validators.keys()) {
+      if (key.startsWith(`${name}@`)) this.validators.delete(key);
+    }
+    if (removed > 0) logger.info('Template deleted', { name });
+    return removed > 0;
+  }
+
+  _validator(name, version) {
+    const key = `${name}@${version.version}`;
+    if (!this.validators.has(key)) {
+      const { validate } = compileSchema(version.schema || defaultSchema(version.content));
+      this.validators.set(key, validate);
+    }
+    return this.validators.get(key);
+  }
+
+  // Renders `name` or `name@version` with the caller's variables. Resolves
+  // with { query, template: { name, version, variables } }, or { error, statusCode }.
+  async resolve(ref, variables = {}) {
+    const { name, version: requested, error } = parseTemplateRef(ref);
+    if (error) return { error, statusCode: 400 };
+    if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+      return { error: 'variables must be an object', statusCode: 400 };
+    }
+
+    const version = await this.getVersion(name, requested);
+    if (!version) {
+      return { error: `Template not found: ${ref}`, statusCode: 404 };
+    }
+
+    const invalid = validateVariables(this._validator(name, version), variables);
+    if (invalid) return { error: invalid, statusCode: 400 };
+
+    return {
+      query: render(version.content, variables),
+      template: { name, version: version.version, variables },
+    };
+  }
+}
+
+module.exports = new TemplateService();
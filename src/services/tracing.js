@@ -0,0 +1,134 @@
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getContext, runWithContext } = require('../utils/context');
+const { toOtlp } = require('../utils/otlp');
+const { randomTraceId, randomSpanId, parseTraceparent, formatTraceparent } = require('../utils/traceContext');
+
+const MAX_BUFFER = 2048;
+
+class Span {
+  constructor(tracer, name, { kind = 'internal', attributes = {}, parent, startTime = Date.now() }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.traceId = parent ? parent.traceId : randomTraceId();
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.spanId = randomSpanId();
+    this.sampled = parent ? parent.sampled !== false : true;
+    this.startTime = startTime;
+    this.endTime = null;
+    this.error = null;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  end({ error, endTime = Date.now() } = {}) {
+    if (this.endTime !== null) return;
+    this.endTime = endTime;
+    if (error) this.error = error.message || String(error);
+    this.tracer._finish(this);
+  }
+
+  // Values for the async context of work done inside this span
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId, sampled: this.sampled };
+  }
+}
+
+// Spans for each stage of a query, linked across the HTTP request, the queue
+// and the webhook queue through W3C traceparent values. Trace and span ids are
+// always tracked so logs and propagated headers carry them; spans are only
+// exported when tracing is enabled, in batches, to TRACING_OTLP_ENDPOINT or
+// as OTLP JSON lines appended to TRACING_FILE.
+class Tracer {
+  constructor() {
+    this.enabled = config.features.tracingEnabled;
+    this.buffer = [];
+    this.timer = null;
+
+    if (this.enabled) {
+      this.timer = setInterval(() => this.flush(), config.tracing.flushInterval);
+      this.timer.unref();
+    }
+  }
+
+  // Parent defaults to the span of the current async context
+  startSpan(name, { parent, ...options } = {}) {
+    const context = getContext();
+    const inherited = context.traceId ? context : null;
+    return new Span(this, name, { ...options, parent: parent === undefined ? inherited : parent });
+  }
+
+  // Runs `fn` inside a new span, ending it when `fn` settles. `context` adds
+  // values such as the job id to the async context (and so to log lines).
+  async withSpan(name, options, fn) {
+    const { context = {}, ...spanOptions } = options;
+    const span = this.startSpan(name, spanOptions);
+    try {
+      const result = await runWithContext({ ...context, ...span.context() }, () => fn(span));
+      span.end();
+      return result;
+    } catch (error) {
+      span.end({ error });
+      throw error;
+    }
+  }
+
+  // The traceparent header for calls made from the current context
+  traceparent() {
+    const context = getContext();
+    return context.traceId ? formatTraceparent(context) : null;
+  }
+
+  // Stored with queued jobs so their worker continues the trace
+  carrier() {
+    const { requestId } = getContext();
+    return { traceparent: this.traceparent(), requestId: requestId || null };
+  }
+
+  // Parent for the worker side of a job
+  fromCarrier(carrier) {
+    return (carrier && parseTraceparent(carrier.traceparent)) || null;
+  }
+
+  _finish(span) {
+    if (!this.enabled || !span.sampled) return;
+    // A collector that is down must not grow memory without bound
+    if (this.buffer.length >= MAX_BUFFER) this.buffer.shift();
+    this.buffer.push(span);
+  }
+
+  async flush() {
+    if (this.buffer.length === 0) return;
+    const spans = this.buffer.splice(0);
+    const body = JSON.stringify(toOtlp(spans, { serviceName: config.tracing.serviceName }));
+
+    try {
+      if (config.tracing.endpoint) {
+        const response = await fetch(config.tracing.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...config.tracing.headers },
+          body,
+          signal: AbortSignal.timeout(config.tracing.exportTimeout),
+        });
+        if (!response.ok) throw new Error(`OTLP endpoint returned ${response.status}`);
+      } else {
+        await fs.promises.appendFile(config.tracing.file, `${body}\n`);
+      }
+    } catch (err) {
+      logger.warn('Failed to export spans', { spans: spans.length, error: err.message });
+    }
+  }
+
+  async shutdown() {
+    if (this.timer) clearInterval(this.timer);
+    await this.flush();
+  }
+}
+
+module.exports = new Tracer();
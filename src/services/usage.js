@@ -0,0 +1,106 @@
+const Redis = require('ioredis');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const FIELDS = ['requests', 'inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'costUsd'];
+
+function day(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function month(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function toTotals(hash = {}) {
+  const totals = {};
+  FIELDS.forEach((field) => {
+    const value = parseFloat(hash[field]) || 0;
+    totals[field] = field === 'costUsd' ? Math.round(value * 1e6) / 1e6 : value;
+  });
+  return totals;
+}
+
+// Aggregates token usage and cost per client (API key) per day and month.
+// The `all` client holds gateway-wide totals.
+class UsageService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+    });
+    this.prefix = 'usage:';
+  }
+
+  _dayKey(clientId, date) {
+    return `${this.prefix}${clientId}:day:${date}`;
+  }
+
+  _monthKey(clientId, period) {
+    return `${this.prefix}${clientId}:month:${period}`;
+  }
+
+  async record(clientId, usage, now = new Date()) {
+    const tx = this.client.multi().sadd(`${this.prefix}clients`, clientId);
+
+    [clientId, 'all'].forEach((id) => {
+      const keys = [
+        [this._dayKey(id, day(now)), config.usage.dayRetention],
+        [this._monthKey(id, month(now)), config.usage.monthRetention],
+      ];
+      keys.forEach(([key, ttl]) => {
+        tx.hincrby(key, 'requests', 1)
+          .hincrby(key, 'inputTokens', usage.inputTokens)
+          .hincrby(key, 'outputTokens', usage.outputTokens)
+          .hincrby(key, 'cacheCreationTokens', usage.cacheCreationTokens)
+          .hincrby(key, 'cacheReadTokens', usage.cacheReadTokens)
+          .hincrbyfloat(key, 'costUsd', usage.costUsd)
+          .expire(key, ttl);
+      });
+    });
+
+    await tx.exec();
+    logger.debug('Usage recorded', { clientId, ...usage });
+  }
+
+  async getDaily(clientId, from, to) {
+    const days = [];
+    for (let d = new Date(`${from}T00:00:00Z`); day(d) <= to; d.setUTCDate(d.getUTCDate() + 1)) {
+      days.push(day(d));
+    }
+
+    const tx = this.client.multi();
+    days.forEach(date => tx.hgetall(this._dayKey(clientId, date)));
+    const results = await tx.exec();
+
+    return days.map((date, i) => ({ date, ...toTotals(results[i][1]) }));
+  }
+
+  async getMonth(clientId, period = month()) {
+    return { month: period, ...toTotals(await this.client.hgetall(this._monthKey(clientId, period))) };
+  }
+
+  async listClients() {
+    return this.client.smembers(`${this.prefix}clients`);
+  }
+
+  // Checks the caller's and the gateway's monthly spend against their caps
+  async checkBudget(clientId, clientBudget) {
+    const caps = [
+      [clientId, clientBudget],
+      ['all', config.usage.globalMonthlyBudget],
+    ];
+
+    for (const [id, budget] of caps) {
+      if (!budget) continue;
+      const { costUsd } = await this.getMonth(id);
+      if (costUsd >= budget) {
+        return { allowed: false, scope: id === 'all' ? 'gateway' : 'key', spent: costUsd, budget };
+      }
+    }
+    return { allowed: true };
+  }
+}
+
+module.exports = new UsageService();
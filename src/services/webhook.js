@@ -1,32 +1,103 @@
+const Redis = require('ioredis');
+const config = require('../config/config');
 const logger = require('../utils/logger');
-const { withRetry } = require('../utils/retry');
+const { signPayload } = require('../utils/signature');
+const tracing = require('./tracing');
 
+// Performs single delivery attempts; retries and backoff are handled by the
+// webhook queue. Deliveries that exhaust their attempts land in a dead-letter
+// hash from which they can be inspected and replayed. It keeps the newest
+// `deadLetterSize` records for at most `deadLetterRetention` seconds.
 class WebhookService {
+  constructor() {
+    this.client = new Redis({
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password,
+      lazyConnect: true,
+    });
+    this.deadKey = 'webhook:dead';
+    this.deadOrderKey = 'webhook:dead:order';
+  }
+
   async deliver(url, payload, options = {}) {
-    const { maxRetries = 3, timeout = 10000 } = options;
-
-    return withRetry(async () => {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      try {
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(payload),
-          signal: controller.signal,
-        });
-
-        if (!response.ok) {
-          throw new Error(`Webhook failed: ${response.status}`);
-        }
-
-        logger.info('Webhook delivered', { url, status: response.status });
-        return { success: true, status: response.status };
-      } finally {
-        clearTimeout(timeoutId);
+    const { timeout = config.webhook.timeout, secret, deliveryId, event } = options;
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const headers = { 'Content-Type': 'application/json', 'X-Webhook-Timestamp': String(timestamp) };
+    if (deliveryId) headers['X-Webhook-Id'] = deliveryId;
+    if (event) headers['X-Webhook-Event'] = event;
+    if (secret) headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+    const traceparent = tracing.traceparent();
+    if (traceparent) headers.traceparent = traceparent;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook failed: ${response.status}`);
       }
-    }, { maxRetries });
+
+      logger.info('Webhook delivered', { url, status: response.status, deliveryId });
+      return { success: true, status: response.status };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async deadLetter(record) {
+    const { deadLetterRetention } = config.webhook;
+    await this.client
+      .multi()
+      .hset(this.deadKey, record.id, JSON.stringify(record))
+      .zadd(this.deadOrderKey, record.failedAt, record.id)
+      .expire(this.deadKey, deadLetterRetention)
+      .expire(this.deadOrderKey, deadLetterRetention)
+      .exec();
+    await this._trimDead(record.failedAt);
+    logger.warn('Webhook dead-lettered', { deliveryId: record.id, url: record.url, error: record.error });
+  }
+
+  // Drops records past the retention, then the oldest beyond the size limit
+  async _trimDead(now = Date.now()) {
+    const { deadLetterSize, deadLetterRetention } = config.webhook;
+    const expired = await this.client.zrangebyscore(this.deadOrderKey, '-inf', `(${now - deadLetterRetention * 1000}`);
+    const overflow = await this.client.zrange(this.deadOrderKey, 0, -(deadLetterSize + 1));
+    const stale = [...new Set([...expired, ...overflow])];
+    if (stale.length === 0) return;
+    await this.client
+      .multi()
+      .hdel(this.deadKey, ...stale)
+      .zrem(this.deadOrderKey, ...stale)
+      .exec();
+  }
+
+  async listDead() {
+    const records = await this.client.hvals(this.deadKey);
+    return records.map(r => JSON.parse(r)).sort((a, b) => b.failedAt - a.failedAt);
+  }
+
+  async getDead(id) {
+    const record = await this.client.hget(this.deadKey, id);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async removeDead(id) {
+    const [[, removed]] = await this.client
+      .multi()
+      .hdel(this.deadKey, id)
+      .zrem(this.deadOrderKey, id)
+      .exec();
+    return removed === 1;
   }
 }
 
@@ -0,0 +1,80 @@
+// Stops calls to a failing dependency. After `failureThreshold` consecutive
+// failures the breaker opens and calls are refused for `resetTimeout` ms;
+// then it turns half-open and lets a single probe through, which closes it
+// on success or reopens it on failure.
+const STATES = ['closed', 'half_open', 'open'];
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeout = 30000, now = Date.now, onStateChange = () => {} } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.now = now;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastError = null;
+  }
+
+  _transition(state) {
+    if (state === this.state) return;
+    const from = this.state;
+    this.state = state;
+    this.onStateChange(state, from);
+  }
+
+  // Whether a call may go ahead. A call that is allowed must end in
+  // recordSuccess, recordFailure or release.
+  allow() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.resetTimeout) return false;
+      this._transition('half_open');
+    }
+    if (this.state === 'half_open') {
+      if (this.probing) return false;
+      this.probing = true;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.probing = false;
+    this.lastError = null;
+    this._transition('closed');
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.probing = false;
+    if (error) this.lastError = error.message || String(error);
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this._transition('open');
+    }
+  }
+
+  // Ends a call that says nothing about the dependency, such as a cancelled one
+  release() {
+    this.probing = false;
+  }
+
+  // Milliseconds until the next probe is let through
+  retryAfter() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.resetTimeout - this.now());
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAfterMs: this.retryAfter(),
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, STATES };
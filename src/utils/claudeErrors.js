@@ -0,0 +1,66 @@
+// Sorts failed Claude executions by cause, from what the backends attach to
+// their errors: `status` and `retryAfterMs` (HTTP), `exitCode` and `stderr`
+// (CLI), `timedOut`, and the message itself.
+//
+// `retryable` says whether running the same query again can succeed;
+// `trips` whether the failure counts against the backend's circuit breaker.
+// A bad request says nothing about the backend, so it never trips it.
+const ERROR_KINDS = {
+  timeout: { retryable: true, trips: true },
+  rate_limited: { retryable: true, trips: true },
+  overloaded: { retryable: true, trips: true },
+  network: { retryable: true, trips: true },
+  auth: { retryable: false, trips: true },
+  not_installed: { retryable: false, trips: true },
+  invalid_request: { retryable: false, trips: false },
+  unknown: { retryable: true, trips: true },
+};
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET'];
+
+const PATTERNS = [
+  ['rate_limited', /rate[ _-]?limit|too many requests|usage limit|quota exceeded/i],
+  ['overloaded', /overloaded|service unavailable|internal server error|bad gateway|gateway timeout/i],
+  ['auth', /invalid[ _-]?api[ _-]?key|authentication|unauthori[sz]ed|permission denied|forbidden|\/login|oauth token|token (has )?expired|credit balance/i],
+  ['invalid_request', /prompt is too long|invalid[ _-]request|context length|not configured/i],
+  ['timeout', /timed out|timeout/i],
+];
+
+function kindOf(err) {
+  if (err.timedOut) return 'timeout';
+
+  const { status } = err;
+  if (status === 429) return 'rate_limited';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 408) return 'timeout';
+  if (status >= 500) return 'overloaded';
+  if (status >= 400) return 'invalid_request';
+
+  // The binary is missing or not executable; 126/127 when run through a shell
+  if (err.code === 'ENOENT' || err.code === 'EACCES' || err.exitCode === 126 || err.exitCode === 127) {
+    return 'not_installed';
+  }
+  if (NETWORK_CODES.includes(err.code) || (err.cause && NETWORK_CODES.includes(err.cause.code))) return 'network';
+
+  const text = `${err.message || ''}\n${err.stderr || ''}`;
+  const match = PATTERNS.find(([, pattern]) => pattern.test(text));
+  if (match) return match[0];
+  if (/fetch failed|socket hang up/i.test(text)) return 'network';
+  return 'unknown';
+}
+
+function classifyError(err) {
+  const kind = kindOf(err || {});
+  return { kind, ...ERROR_KINDS[kind] };
+}
+
+// Retry-After as seconds or an HTTP date, in milliseconds from `now`
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+module.exports = { ERROR_KINDS, classifyError, parseRetryAfter };
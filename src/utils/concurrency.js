@@ -0,0 +1,85 @@
+// Limits concurrent executions with a limit that follows rate limiting
+// (additive increase, multiplicative decrease): a rate-limit signal halves
+// the limit, at most once per `cooldown` ms, and every `limit` successes
+// in a row raise it by one, back up to `max`.
+class AdaptiveLimiter {
+  constructor({ min = 1, max, cooldown = 10000, now = Date.now, onChange = () => {} }) {
+    this.min = Math.min(min, max);
+    this.max = max;
+    this.cooldown = cooldown;
+    this.now = now;
+    this.onChange = onChange;
+    this.limit = max;
+    this.active = 0;
+    this.successes = 0;
+    this.decreasedAt = null;
+    this.waiters = [];
+  }
+
+  // Resolves once a slot is free; rejects with the abort reason if `signal`
+  // fires first. Every acquired slot must be released.
+  acquire(signal) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      const onAbort = () => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(signal.reason);
+      };
+      waiter.resolve = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(waiter);
+    });
+  }
+
+  release() {
+    this.active--;
+    this._wake();
+  }
+
+  _wake() {
+    while (this.active < this.limit && this.waiters.length > 0) {
+      this.active++;
+      this.waiters.shift().resolve();
+    }
+  }
+
+  _setLimit(limit) {
+    if (limit === this.limit) return;
+    const from = this.limit;
+    this.limit = limit;
+    this.onChange(limit, from);
+    this._wake();
+  }
+
+  onRateLimit() {
+    const now = this.now();
+    if (this.decreasedAt !== null && now - this.decreasedAt < this.cooldown) return;
+    this.decreasedAt = now;
+    this.successes = 0;
+    this._setLimit(Math.max(this.min, Math.floor(this.limit / 2)));
+  }
+
+  onSuccess() {
+    if (this.limit >= this.max) return;
+    this.successes++;
+    if (this.successes >= this.limit) {
+      this.successes = 0;
+      this._setLimit(this.limit + 1);
+    }
+  }
+
+  snapshot() {
+    return { limit: this.limit, min: this.min, max: this.max, active: this.active, waiting: this.waiters.length };
+  }
+}
+
+module.exports = { AdaptiveLimiter };
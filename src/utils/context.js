@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request (or per-job) values that follow the work through async calls:
+// requestId, jobId and the current trace and span ids
+const storage = new AsyncLocalStorage();
+
+function getContext() {
+  return storage.getStore() || {};
+}
+
+// Runs `fn` with the current context extended by `values`
+function runWithContext(values, fn) {
+  return storage.run({ ...getContext(), ...values }, fn);
+}
+
+module.exports = { getContext, runWithContext };
@@ -0,0 +1,74 @@
+// Building blocks of the readiness report. Every check resolves to
+// { status: 'pass' | 'warn' | 'fail', latencyMs, ...details }.
+
+const CHECK_STATUSES = ['pass', 'warn', 'fail'];
+
+// Runs a check, timing it and turning errors and timeouts into failures
+async function timedCheck(fn, timeoutMs) {
+  const startedAt = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([fn(), timeout]);
+    return { ...result, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return { status: 'fail', error: err.message, latencyMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (
+    CHECK_STATUSES.indexOf(status) > CHECK_STATUSES.indexOf(worst) ? status : worst
+  ), 'pass');
+}
+
+// 'down' when a critical check fails (nothing can be served), 'degraded'
+// when any other check fails (new queries are refused), 'ok' otherwise
+function overallStatus(checks) {
+  const failing = Object.values(checks).filter(check => check.status === 'fail');
+  if (failing.some(check => check.critical)) return 'down';
+  return failing.length > 0 ? 'degraded' : 'ok';
+}
+
+function backlogStatus(waiting, { warn, max }) {
+  if (waiting >= max) return 'fail';
+  return waiting >= warn ? 'warn' : 'pass';
+}
+
+// Warns at twice the minimum so operators hear about it before queries stop
+function diskStatus(freeBytes, minFreeBytes) {
+  if (freeBytes < minFreeBytes) return 'fail';
+  return freeBytes < minFreeBytes * 2 ? 'warn' : 'pass';
+}
+
+// Splits worker heartbeats ({ id: { updatedAt, ... } }) into live and stale ids
+function partitionHeartbeats(heartbeats, { now = Date.now(), maxAge }) {
+  const live = [];
+  const stale = [];
+  for (const [id, heartbeat] of Object.entries(heartbeats)) {
+    (now - heartbeat.updatedAt <= maxAge ? live : stale).push(id);
+  }
+  return { live, stale };
+}
+
+// "2.0.14 (Claude Code)" -> "2.0.14"
+function parseVersion(output) {
+  const match = /\d+\.\d+\.\d+/.exec(output || '');
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  CHECK_STATUSES,
+  timedCheck,
+  worstStatus,
+  overallStatus,
+  backlogStatus,
+  diskStatus,
+  partitionHeartbeats,
+  parseVersion,
+};
@@ -0,0 +1,74 @@
+const { getResultText } = require('./result');
+
+const STATUSES = ['completed', 'failed', 'cancelled'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 3600 * 1000;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 500;
+
+// Epoch milliseconds, an ISO 8601 time, or a YYYY-MM-DD date. A date as the
+// end of a range includes the whole day.
+function parseTime(value, { endOfDay = false } = {}) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (DATE.test(value)) {
+    const start = Date.parse(`${value}T00:00:00Z`);
+    return endOfDay ? start + DAY_MS - 1 : start;
+  }
+  return Date.parse(value);
+}
+
+// `finishedAt:skip`: where a search stopped, counting the records already
+// seen that finished in the same millisecond
+function parseCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(cursor);
+  return match ? { max: parseInt(match[1], 10), skip: parseInt(match[2], 10) } : null;
+}
+
+// Validates GET /history query parameters. Returns { filter } or { error }.
+function parseHistoryFilter({ status, from, to, q, limit, cursor } = {}) {
+  if (status !== undefined && !STATUSES.includes(status)) {
+    return { error: `status must be one of: ${STATUSES.join(', ')}` };
+  }
+
+  const range = { from: 0, to: Date.now() };
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    range[name] = parseTime(value, { endOfDay: name === 'to' });
+    if (Number.isNaN(range[name])) return { error: `${name} must be a date, an ISO 8601 time or epoch milliseconds` };
+  }
+  if (range.from > range.to) return { error: 'from must not be after to' };
+
+  if (q !== undefined && q.length > MAX_SEARCH_LENGTH) {
+    return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+
+  const size = limit === undefined ? 20 : parseInt(limit, 10);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  const position = cursor === undefined ? null : parseCursor(cursor);
+  if (cursor !== undefined && !position) return { error: 'Invalid cursor' };
+
+  return {
+    filter: {
+      status: status || null,
+      from: range.from,
+      to: range.to,
+      text: q ? q.toLowerCase() : null,
+      limit: size,
+      cursor: position,
+    },
+  };
+}
+
+// Text search looks at the prompt, the answer and the error, ignoring case
+function matchesFilter(entry, { status, text }) {
+  if (status && entry.status !== status) return false;
+  if (!text) return true;
+
+  const haystack = [entry.query, getResultText(entry.result), entry.error];
+  return haystack.some(value => typeof value === 'string' && value.toLowerCase().includes(text));
+}
+
+module.exports = { HISTORY_STATUSES: STATUSES, parseHistoryFilter, matchesFilter };
@@ -1,13 +1,21 @@
 const config = require('../config/config');
+const { getContext } = require('./context');
 
 const levels = { error: 0, warn: 1, info: 2, debug: 3 };
 const currentLevel = levels[process.env.LOG_LEVEL] || levels.info;
 
+// Ids of the request or job being handled, so its log lines can be correlated
+function correlationIds() {
+  const { requestId, jobId, traceId, spanId } = getContext();
+  return { requestId, jobId, traceId, spanId };
+}
+
 function formatMessage(level, message, meta = {}) {
   return JSON.stringify({
     timestamp: new Date().toISOString(),
     level,
     message,
+    ...correlationIds(),
     ...meta,
     env: config.env,
   });
@@ -0,0 +1,146 @@
+const SERVER_NAME = /^[\w.-]{1,64}$/;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+// Replaces ${VAR} with the gateway's environment, so secrets stay out of the file
+function expandEnv(value, env = process.env) {
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] ?? '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match for any keyword. Keywords that start or
+// end with punctuation (".csv") only need a boundary on their word side.
+function keywordPattern(keywords) {
+  const alternatives = keywords.map((keyword) => {
+    const before = /^\w/.test(keyword) ? '(?<!\\w)' : '';
+    const after = /\w$/.test(keyword) ? '(?!\\w)' : '';
+    return `${before}${escapeRegExp(keyword)}${after}`;
+  });
+  return new RegExp(alternatives.join('|'), 'i');
+}
+
+function lookup(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// `true` only requires the field to be set; an array accepts any of its values
+function contextMatches(expected, context) {
+  return Object.entries(expected).every(([path, want]) => {
+    const value = lookup(context, path);
+    if (want === true) return value !== undefined && value !== null;
+    return Array.isArray(want) ? want.includes(value) : value === want;
+  });
+}
+
+function parseServer(name, server) {
+  if (!SERVER_NAME.test(name)) return { error: `Invalid MCP server name: ${name}` };
+  if (!isObject(server) || typeof server.command !== 'string' || !server.command) {
+    return { error: `MCP server '${name}' needs a command` };
+  }
+  if (server.args !== undefined && !isStringArray(server.args)) {
+    return { error: `MCP server '${name}': args must be an array of strings` };
+  }
+  if (server.env !== undefined && !(isObject(server.env) && Object.values(server.env).every(v => typeof v === 'string'))) {
+    return { error: `MCP server '${name}': env must map names to strings` };
+  }
+
+  return {
+    server: {
+      name,
+      description: typeof server.description === 'string' ? server.description : null,
+      command: server.command,
+      args: (server.args || []).map(arg => expandEnv(arg)),
+      env: Object.fromEntries(Object.entries(server.env || {}).map(([key, value]) => [key, expandEnv(value)])),
+    },
+  };
+}
+
+function parseRule(rule, index, servers) {
+  const label = isObject(rule) && typeof rule.name === 'string' ? rule.name : `#${index + 1}`;
+  if (!isObject(rule)) return { error: `Rule ${label} must be an object` };
+  if (!isStringArray(rule.servers) || rule.servers.length === 0) {
+    return { error: `Rule ${label} needs a list of servers` };
+  }
+  const unknown = rule.servers.find(name => !servers[name]);
+  if (unknown) return { error: `Rule ${label} uses unknown MCP server '${unknown}'` };
+
+  const matchers = [];
+  if (rule.pattern !== undefined) {
+    try {
+      // Global and sticky regexes keep state between tests
+      const flags = (rule.flags ?? 'i').replace(/[gy]/g, '');
+      matchers.push({ type: 'pattern', regex: new RegExp(rule.pattern, flags) });
+    } catch (err) {
+      return { error: `Rule ${label}: ${err.message}` };
+    }
+  }
+  if (rule.keywords !== undefined) {
+    if (!isStringArray(rule.keywords) || rule.keywords.length === 0) {
+      return { error: `Rule ${label}: keywords must be a non-empty array of strings` };
+    }
+    matchers.push({ type: 'keywords', regex: keywordPattern(rule.keywords) });
+  }
+  if (rule.context !== undefined) {
+    if (!isObject(rule.context)) return { error: `Rule ${label}: context must map fields to values` };
+    matchers.push({ type: 'context', expected: rule.context });
+  }
+  if (matchers.length === 0) {
+    return { error: `Rule ${label} needs a pattern, keywords or context matcher` };
+  }
+
+  return { rule: { name: label, servers: rule.servers, matchers } };
+}
+
+// Validates the contents of the MCP config file:
+// { servers: { name: { command, args, env, description } }, rules: [...] }.
+// Returns { servers, rules } or { error }.
+function parseMcpConfig(input) {
+  if (!isObject(input)) return { error: 'MCP config must be a JSON object' };
+  if (input.servers !== undefined && !isObject(input.servers)) return { error: 'servers must be an object' };
+  if (input.rules !== undefined && !Array.isArray(input.rules)) return { error: 'rules must be an array' };
+
+  const servers = {};
+  for (const [name, definition] of Object.entries(input.servers || {})) {
+    const { server, error } = parseServer(name, definition);
+    if (error) return { error };
+    servers[name] = server;
+  }
+
+  const rules = [];
+  for (const [index, definition] of (input.rules || []).entries()) {
+    const { rule, error } = parseRule(definition, index, servers);
+    if (error) return { error };
+    rules.push(rule);
+  }
+
+  return { servers, rules };
+}
+
+// Every rule whose matchers all hold contributes its servers, in rule order
+function matchRules(rules, { query, context = {} }) {
+  const servers = new Set();
+  const matched = [];
+
+  for (const rule of rules) {
+    const hit = rule.matchers.every(matcher => (
+      matcher.type === 'context' ? contextMatches(matcher.expected, context) : matcher.regex.test(query)
+    ));
+    if (hit) {
+      matched.push(rule.name);
+      rule.servers.forEach(server => servers.add(server));
+    }
+  }
+
+  return { servers: [...servers], rules: matched };
+}
+
+module.exports = { SERVER_NAME, expandEnv, parseMcpConfig, matchRules };
@@ -0,0 +1,203 @@
+const config = require('../config/config');
+const mcp = require('../services/mcp');
+const { compileSchema } = require('./schema');
+
+const MODEL = /^[\w.:@-]{1,100}$/;
+// Read, mcp__github__create_issue, Bash(git diff:*)
+const TOOL = /^[\w-]{1,100}(\([^()]{1,200}\))?$/;
+
+// What a key may ask of the CLI: its own policy over the deployment limits.
+// `models: null` allows any model.
+function executionPolicy(apiKey) {
+  return {
+    models: config.claude.allowedModels.length > 0 ? config.claude.allowedModels : null,
+    tools: config.claude.allowedTools,
+    maxTurns: config.claude.maxTurns,
+    workspaces: Object.keys(config.claude.workspaces),
+    ...(apiKey && apiKey.policy),
+  };
+}
+
+// `Bash` in a policy allows `Bash(git diff:*)` as well
+function toolAllowed(policy, tool) {
+  return policy.tools.includes(tool) || policy.tools.includes(tool.split('(')[0]);
+}
+
+function parseTools(field, tools) {
+  if (!Array.isArray(tools) || !tools.every(t => typeof t === 'string' && TOOL.test(t))) {
+    return { error: `${field} must be an array of tool names such as "Read" or "Bash(git diff:*)"` };
+  }
+  // Order does not change what runs, so it must not change the cache key
+  return { tools: [...new Set(tools)].sort() };
+}
+
+// Adds the CLI options (model, system prompt, tools, turns, workspace) to
+// `options`. Returns an error message, or null.
+function parseCliOptions(input, policy, options) {
+  if (input.model !== undefined) {
+    if (typeof input.model !== 'string' || !MODEL.test(input.model)) return 'model must be a model name';
+    if (policy.models && !policy.models.includes(input.model)) return `Model '${input.model}' is not allowed`;
+    options.model = input.model;
+  }
+
+  if (input.systemPrompt !== undefined) {
+    const prompt = input.systemPrompt;
+    if (typeof prompt !== 'string' || prompt.length > config.claude.systemPromptMaxLength) {
+      return `systemPrompt must be a string of at most ${config.claude.systemPromptMaxLength} characters`;
+    }
+    if (prompt) options.systemPrompt = prompt;
+  }
+
+  if (input.allowedTools !== undefined) {
+    const { tools, error } = parseTools('allowedTools', input.allowedTools);
+    if (error) return error;
+    const denied = tools.find(tool => !toolAllowed(policy, tool));
+    if (denied) return `Tool '${denied}' is not allowed`;
+    if (tools.length > 0) options.allowedTools = tools;
+  }
+
+  // Disallowing only narrows what runs, so any tool may be listed
+  if (input.disallowedTools !== undefined) {
+    const { tools, error } = parseTools('disallowedTools', input.disallowedTools);
+    if (error) return error;
+    if (tools.length > 0) options.disallowedTools = tools;
+  }
+
+  if (input.maxTurns !== undefined) {
+    if (!Number.isInteger(input.maxTurns) || input.maxTurns < 1 || input.maxTurns > policy.maxTurns) {
+      return `maxTurns must be an integer between 1 and ${policy.maxTurns}`;
+    }
+    options.maxTurns = input.maxTurns;
+  }
+
+  if (input.workspace !== undefined) {
+    const name = input.workspace;
+    if (typeof name !== 'string' || !config.claude.workspaces[name] || !policy.workspaces.includes(name)) {
+      return `Workspace '${name}' is not available`;
+    }
+    options.workspace = name;
+  }
+
+  return null;
+}
+
+// Validates the per-request execution options. Values equal to the deployment
+// default are dropped so they share cache entries with requests that omit them.
+// `apiKey` is the caller's key, whose policy and MCP allow-list limit them.
+function parseExecutionOptions(input = {}, apiKey = null) {
+  const options = {};
+
+  if (input.backend !== undefined) {
+    if (!config.claude.allowedBackends.includes(input.backend)) {
+      return { error: `Backend '${input.backend}' is not available` };
+    }
+    if (input.backend !== config.claude.backend) options.backend = input.backend;
+  }
+
+  if (input.outputSchema !== undefined) {
+    const schema = input.outputSchema;
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return { error: 'outputSchema must be a JSON Schema object' };
+    }
+    const { error } = compileSchema(schema);
+    if (error) return { error: `Invalid outputSchema: ${error}` };
+    options.outputSchema = schema;
+  }
+
+  // An explicit list replaces the routing rules; [] runs without MCP
+  if (input.mcpServers !== undefined) {
+    const names = input.mcpServers;
+    if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+      return { error: 'mcpServers must be an array of server names' };
+    }
+    const error = mcp.checkRequested(names, apiKey && apiKey.mcpServers);
+    if (error) return { error };
+    options.mcpServers = [...new Set(names)];
+  }
+
+  const error = parseCliOptions(input, executionPolicy(apiKey), options);
+  if (error) return { error };
+
+  return { options };
+}
+
+// Validates the execution policy given to an API key. Omitted fields fall
+// back to the deployment limits.
+function parseKeyPolicy(input) {
+  if (input === undefined || input === null) return { policy: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'policy must be an object' };
+
+  const policy = {};
+  const isList = value => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+  if (input.models !== undefined) {
+    if (input.models !== null && !isList(input.models)) return { error: 'policy.models must be an array or null' };
+    policy.models = input.models;
+  }
+  if (input.tools !== undefined) {
+    if (!isList(input.tools)) return { error: 'policy.tools must be an array of tool names' };
+    policy.tools = input.tools;
+  }
+  if (input.maxTurns !== undefined) {
+    if (!Number.isInteger(input.maxTurns) || input.maxTurns < 1) {
+      return { error: 'policy.maxTurns must be a positive integer' };
+    }
+    policy.maxTurns = input.maxTurns;
+  }
+  if (input.workspaces !== undefined) {
+    if (!isList(input.workspaces)) return { error: 'policy.workspaces must be an array of workspace names' };
+    const unknown = input.workspaces.find(name => !config.claude.workspaces[name]);
+    if (unknown) return { error: `Unknown workspace '${unknown}'` };
+    policy.workspaces = input.workspaces;
+  }
+
+  return { policy };
+}
+
+// Rendered templates can outgrow the request schema, so routes check the
+// final prompt. Returns an error message, or null.
+function promptSizeError(query, context = {}) {
+  if (query.length > config.limits.queryMaxLength) {
+    return `Query must be at most ${config.limits.queryMaxLength} characters`;
+  }
+  if (Buffer.byteLength(JSON.stringify(context || {})) > config.limits.contextMaxBytes) {
+    return `context must be at most ${config.limits.contextMaxBytes} bytes as JSON`;
+  }
+  return null;
+}
+
+const TAG = /^[\w.:-]{1,64}$/;
+const MAX_TAGS = 10;
+
+// Validates per-request cache controls. These decide where a response is
+// stored, not what it says, so they never enter the cache key.
+function parseCacheOptions(input = {}) {
+  const cache = {};
+
+  if (input.noCache !== undefined) {
+    if (typeof input.noCache !== 'boolean') return { error: 'noCache must be a boolean' };
+    if (input.noCache) cache.noCache = true;
+  }
+
+  if (input.cacheTtl !== undefined) {
+    const ttl = input.cacheTtl;
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > config.cache.maxTtl) {
+      return { error: `cacheTtl must be an integer between 1 and ${config.cache.maxTtl} seconds` };
+    }
+    cache.ttl = ttl;
+  }
+
+  if (input.cacheTags !== undefined) {
+    const tags = input.cacheTags;
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every(t => typeof t === 'string' && TAG.test(t))) {
+      return {
+        error: `cacheTags must be an array of up to ${MAX_TAGS} tags of at most 64 letters, digits, '.', ':', '_' or '-'`,
+      };
+    }
+    if (tags.length > 0) cache.tags = [...new Set(tags)];
+  }
+
+  return { cache };
+}
+
+module.exports = { parseExecutionOptions, parseKeyPolicy, parseCacheOptions, promptSizeError };
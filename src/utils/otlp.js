@@ -0,0 +1,49 @@
+// Encodes finished spans as an OTLP/HTTP JSON ExportTraceServiceRequest
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+// Milliseconds (fractions allowed) to the nanosecond strings OTLP expects
+function toUnixNano(ms) {
+  return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+    name: span.name,
+    kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime),
+    attributes: toAttributes(span.attributes),
+    status: span.error ? { code: STATUS_ERROR, message: span.error } : { code: STATUS_OK },
+  };
+}
+
+function toOtlp(spans, { serviceName, scope = 'claude-api-gateway' }) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toAttributes({ 'service.name': serviceName }) },
+      scopeSpans: [{ scope: { name: scope }, spans: spans.map(toOtlpSpan) }],
+    }],
+  };
+}
+
+module.exports = { SPAN_KINDS, toOtlp };
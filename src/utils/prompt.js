@@ -4,9 +4,41 @@ function normalizeQuery(query) {
   return query.trim().toLowerCase().replace(/\s+/g, ' ');
 }
 
-function generateQueryHash(query, context = {}) {
-  const normalized = normalizeQuery(query);
-  const payload = JSON.stringify({ query: normalized, ...context });
+// Articles and politeness that never change what a prompt asks for.
+// Pronouns and modal verbs are kept: "what you owe me" is not "what I owe you".
+const FILLER_WORDS = new Set(['a', 'an', 'the', 'please', 'kindly', 'just']);
+
+// The prompt's words and numbers in order, without case, punctuation or filler
+function contentWords(query) {
+  return normalizeQuery(query)
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.has(word));
+}
+
+// Serializes with sorted object keys, so equal values always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// `options` holds execution options that change the answer (e.g. backend);
+// they only enter the hash when set, so plain queries keep their old keys.
+// Template queries are keyed by template version and variables instead of
+// the rendered text.
+function generateQueryHash(query, context = {}, options = {}, template = null) {
+  const prompt = template
+    ? { template: `${template.name}@${template.version}`, variables: canonicalJson(template.variables) }
+    : { query: normalizeQuery(query) };
+  const payload = JSON.stringify({
+    ...prompt,
+    ...context,
+    ...(Object.keys(options).length > 0 && { options }),
+  });
   return crypto.createHash('sha256').update(payload).digest('hex').slice(0, 16);
 }
 
@@ -25,4 +57,50 @@ function detectIntent(query) {
   return 'general';
 }
 
-module.exports = { normalizeQuery, generateQueryHash, detectIntent };
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+// Checks the shape formatMessages relies on; returns an error message or null
+function messagesError(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return "'messages' must be a non-empty array";
+  for (const [i, message] of messages.entries()) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return `messages[${i}] must be an object`;
+    }
+    if (typeof message.role !== 'string') return `messages[${i}].role must be a string`;
+    const { content } = message;
+    if (content != null && typeof content !== 'string' && !Array.isArray(content)) {
+      return `messages[${i}].content must be a string or an array of content parts`;
+    }
+  }
+  return null;
+}
+
+// Flattens chat-style messages into a single CLI prompt
+function formatMessages(messages = []) {
+  const system = messages
+    .filter(m => m.role === 'system' || m.role === 'developer')
+    .map(m => messageText(m.content));
+  const turns = messages.filter(m => m.role === 'user' || m.role === 'assistant');
+
+  let conversation;
+  if (turns.length === 1 && turns[0].role === 'user') {
+    conversation = messageText(turns[0].content);
+  } else {
+    conversation = turns
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${messageText(m.content)}`)
+      .join('\n\n');
+  }
+
+  return [...system, conversation].filter(Boolean).join('\n\n');
+}
+
+module.exports = { normalizeQuery, contentWords, canonicalJson, generateQueryHash, detectIntent, messagesError, formatMessages };
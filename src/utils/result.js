@@ -0,0 +1,44 @@
+// Helpers for reading Claude CLI results, which arrive either as the CLI's
+// JSON output or as the `{ response, format: 'text' }` fallback.
+
+function getResultText(result) {
+  if (!result) return '';
+  if (typeof result.result === 'string') return result.result;
+  if (typeof result.response === 'string') return result.response;
+  return '';
+}
+
+function getResultUsage(result) {
+  const usage = (result && result.usage) || {};
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+  };
+}
+
+// The CLI reports `total_cost_usd` (older versions `cost_usd`)
+function getResultCost(result) {
+  if (!result) return 0;
+  return result.total_cost_usd || result.cost_usd || 0;
+}
+
+function summarizeUsage(result) {
+  return { ...getResultUsage(result), costUsd: getResultCost(result) };
+}
+
+const USAGE_FIELDS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+
+// Usage and cost of several executions (e.g. structured output repairs), in
+// the CLI's result shape
+function combineUsage(results) {
+  const usage = {};
+  USAGE_FIELDS.forEach((field) => {
+    usage[field] = results.reduce((sum, result) => sum + ((result.usage && result.usage[field]) || 0), 0);
+  });
+  const cost = results.reduce((sum, result) => sum + getResultCost(result), 0);
+  return { usage, total_cost_usd: cost };
+}
+
+module.exports = { getResultText, getResultUsage, getResultCost, summarizeUsage, combineUsage };
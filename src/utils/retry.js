@@ -1,15 +1,17 @@
 const logger = require('./logger');
 
 async function withRetry(fn, options = {}) {
-  const { maxRetries = 3, baseDelay = 1000, maxDelay = 30000 } = options;
+  const { maxRetries = 3, baseDelay = 1000, maxDelay = 30000, shouldRetry = () => true } = options;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       return await fn();
     } catch (error) {
-      if (attempt === maxRetries) throw error;
+      if (attempt === maxRetries || !shouldRetry(error)) throw error;
 
-      const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+      // A rate-limited caller may be told how long to wait
+      const backoff = Math.max(baseDelay * Math.pow(2, attempt - 1), error.retryAfterMs || 0);
+      const delay = Math.min(backoff, maxDelay);
       logger.warn(`Retry attempt ${attempt}/${maxRetries}`, { delay, error: error.message });
       await new Promise(resolve => setTimeout(resolve, delay));
     }
@@ -0,0 +1,98 @@
+const cronParser = require('cron-parser');
+const config = require('../config/config');
+
+// Bull runs lower numbers first
+const PRIORITY_TIERS = {
+  critical: 1,
+  high: 3,
+  normal: 5,
+  low: 8,
+};
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 10;
+
+// Accepts a tier name or an integer from 1 (most urgent) to 10
+function parsePriority(value = 'normal') {
+  if (typeof value === 'string' && PRIORITY_TIERS[value] !== undefined) {
+    return { priority: PRIORITY_TIERS[value] };
+  }
+  if (Number.isInteger(value) && value >= MIN_PRIORITY && value <= MAX_PRIORITY) {
+    return { priority: value };
+  }
+  return {
+    error: `priority must be one of ${Object.keys(PRIORITY_TIERS).join(', ')} or an integer from ${MIN_PRIORITY} to ${MAX_PRIORITY}`,
+  };
+}
+
+// `runAt` is an ISO 8601 timestamp or epoch milliseconds; `delay` is seconds.
+// Resolves to the Bull delay in milliseconds (0 to run now).
+function parseSchedule({ runAt, delay } = {}, now = Date.now()) {
+  if (runAt !== undefined && delay !== undefined) {
+    return { error: 'Specify runAt or delay, not both' };
+  }
+
+  let ms = 0;
+  if (runAt !== undefined) {
+    const time = typeof runAt === 'number' ? runAt : Date.parse(runAt);
+    if (!Number.isFinite(time)) return { error: 'runAt must be an ISO 8601 timestamp or epoch milliseconds' };
+    ms = Math.max(0, time - now);
+  } else if (delay !== undefined) {
+    if (typeof delay !== 'number' || !Number.isFinite(delay) || delay < 0) {
+      return { error: 'delay must be a non-negative number of seconds' };
+    }
+    ms = Math.round(delay * 1000);
+  }
+
+  if (ms > config.queue.maxDelay * 1000) {
+    return { error: `Queries can be scheduled at most ${config.queue.maxDelay} seconds ahead` };
+  }
+  return { delay: ms };
+}
+
+function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Next `count` run times of a cron expression, as epoch milliseconds
+function nextRuns(cron, timezone, count = 1, from = Date.now()) {
+  const interval = cronParser.parseExpression(cron, { tz: timezone, currentDate: new Date(from) });
+  const runs = [];
+  for (let i = 0; i < count && interval.hasNext(); i++) {
+    runs.push(interval.next().getTime());
+  }
+  return runs;
+}
+
+// Checks a recurring schedule's cron expression and IANA timezone. Runs may
+// not come closer together than `schedules.minInterval` seconds.
+function parseCron(cron, timezone = 'UTC', now = Date.now()) {
+  if (typeof cron !== 'string' || cron.trim().split(/\s+/).length < 5) {
+    return { error: 'cron must be a cron expression such as "0 7 * * 1-5"' };
+  }
+  if (typeof timezone !== 'string' || !isTimezone(timezone)) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+
+  let runs;
+  try {
+    runs = nextRuns(cron, timezone, 10, now);
+  } catch (err) {
+    return { error: `Invalid cron expression: ${err.message}` };
+  }
+  if (runs.length === 0) {
+    return { error: 'cron expression never runs' };
+  }
+
+  const gaps = runs.slice(1).map((run, i) => run - runs[i]);
+  if (gaps.some(gap => gap < config.schedules.minInterval * 1000)) {
+    return { error: `Runs must be at least ${config.schedules.minInterval} seconds apart` };
+  }
+  return { cron: cron.trim(), timezone, nextRunAt: runs[0] };
+}
+
+module.exports = { PRIORITY_TIERS, parsePriority, parseSchedule, nextRuns, parseCron };
@@ -0,0 +1,22 @@
+const Ajv = require('ajv');
+
+const AJV_OPTIONS = { allErrors: true, validateFormats: false };
+const ajv = new Ajv(AJV_OPTIONS);
+
+// Returns { validate }, or { error } for an invalid JSON schema. Each schema
+// gets its own instance so schemas reusing an $id don't collide.
+function compileSchema(schema) {
+  try {
+    return { validate: new Ajv(AJV_OPTIONS).compile(schema) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Returns the validation errors as readable messages, or null when `data` is valid
+function schemaErrors(validate, data, dataVar = 'data') {
+  if (validate(data)) return null;
+  return validate.errors.map(error => ajv.errorsText([error], { dataVar }));
+}
+
+module.exports = { compileSchema, schemaErrors };
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Webhook signatures cover the timestamp and the raw body, so a captured
+// delivery cannot be replayed later with a fresh timestamp.
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function verifySignature(secret, timestamp, body, signature, toleranceSeconds = 300) {
+  if (!signature || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { signPayload, verifySignature };
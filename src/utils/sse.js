@@ -0,0 +1,41 @@
+// Incremental parser for Server-Sent Events responses
+function createSseParser(onEvent) {
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  const dispatch = () => {
+    if (data.length > 0) onEvent(event, data.join('\n'));
+    event = 'message';
+    data = [];
+  };
+
+  const handleLine = (line) => {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return undefined;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+    return undefined;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    },
+    flush() {
+      if (buffer) handleLine(buffer);
+      buffer = '';
+      dispatch();
+    },
+  };
+}
+
+module.exports = { createSseParser };
@@ -0,0 +1,49 @@
+// Parses the newline-delimited JSON emitted by `claude --output-format stream-json`.
+function createLineParser(onMessage) {
+  let buffer = '';
+
+  const emit = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    try {
+      onMessage(JSON.parse(trimmed));
+    } catch (e) {
+      // Ignore non-JSON lines (warnings, banners)
+    }
+  };
+
+  return {
+    push(data) {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(emit);
+    },
+    flush() {
+      emit(buffer);
+      buffer = '';
+    },
+  };
+}
+
+// Returns the text carried by a partial-message delta, or null
+function extractDelta(message) {
+  if (message.type !== 'stream_event' || !message.event) return null;
+  const { delta } = message.event;
+  if (message.event.type === 'content_block_delta' && delta && delta.type === 'text_delta') {
+    return delta.text;
+  }
+  return null;
+}
+
+// Returns the text blocks of a complete assistant message, or null
+function extractAssistantText(message) {
+  if (message.type !== 'assistant' || !message.message) return null;
+  const text = (message.message.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  return text || null;
+}
+
+module.exports = { createLineParser, extractDelta, extractAssistantText };
@@ -0,0 +1,91 @@
+const SCHEMA_VALIDATION_FAILED = 'schema_validation_failed';
+
+function schemaBlock(schema) {
+  return JSON.stringify(schema, null, 2);
+}
+
+// Asks for a bare JSON value matching the schema
+function structuredPrompt(query, schema) {
+  return [
+    query,
+    'Respond with only a JSON value that conforms to this JSON Schema. Do not add any text before or after it.',
+    schemaBlock(schema),
+  ].join('\n\n');
+}
+
+// Re-asks with the previous reply and what was wrong with it
+function repairPrompt(query, schema, reply, errors) {
+  return [
+    structuredPrompt(query, schema),
+    `Your previous reply was:\n\n${reply}`,
+    `It did not conform to the schema:\n${errors.map(e => `- ${e}`).join('\n')}`,
+    'Reply again with only the corrected JSON value.',
+  ].join('\n\n');
+}
+
+// Index just past the JSON object or array starting at `start`, or -1
+function matchingBracket(text, start) {
+  const closing = { '{': '}', '[': ']' };
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (closing[char]) {
+      stack.push(closing[char]);
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+function tryParse(text) {
+  try {
+    return { value: JSON.parse(text) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Finds the JSON in a model reply: the whole reply, a fenced ```json block,
+// or the first complete object or array. Returns { value } or { error }.
+function extractJson(text) {
+  const whole = tryParse(text.trim());
+  if (whole) return whole;
+
+  for (const match of text.matchAll(/```(?:json)?\s*\n([\s\S]*?)```/g)) {
+    const fenced = tryParse(match[1].trim());
+    if (fenced) return fenced;
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '{' && text[i] !== '[') continue;
+    const end = matchingBracket(text, i);
+    const candidate = end > 0 && tryParse(text.slice(i, end));
+    if (candidate) return candidate;
+  }
+
+  return { error: 'reply does not contain valid JSON' };
+}
+
+function createValidationError(errors, attempts) {
+  const error = new Error(`Output did not match outputSchema after ${attempts} attempts: ${errors.join('; ')}`);
+  error.code = SCHEMA_VALIDATION_FAILED;
+  error.details = { errors, attempts };
+  return error;
+}
+
+module.exports = {
+  SCHEMA_VALIDATION_FAILED,
+  structuredPrompt,
+  repairPrompt,
+  extractJson,
+  createValidationError,
+};
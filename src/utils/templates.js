@@ -0,0 +1,136 @@
+const config = require('../config/config');
+const { compileSchema: compile, schemaErrors } = require('./schema');
+
+const NAME = /^[a-z0-9][a-z0-9_.-]{0,63}$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+
+// `summarize` (latest version) or `summarize@3`
+function parseTemplateRef(ref) {
+  if (typeof ref !== 'string') return { error: 'template must be a string such as "summarize@3"' };
+
+  const [name, version, ...rest] = ref.split('@');
+  if (rest.length > 0 || !NAME.test(name)) return { error: `Invalid template reference: ${ref}` };
+  if (version === undefined) return { name, version: null };
+  if (!/^[1-9]\d*$/.test(version)) return { error: `Invalid template version: ${version}` };
+  return { name, version: parseInt(version, 10) };
+}
+
+// Variable names used by a template, in order of first use
+function placeholders(content) {
+  const names = [...content.matchAll(PLACEHOLDER)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+function lookup(variables, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+// Replaces {{name}} and {{nested.name}} with their values. Missing values
+// render as empty strings; the variable schema decides what is required.
+function render(content, variables = {}) {
+  return content.replace(PLACEHOLDER, (match, path) => {
+    const value = lookup(variables, path);
+    if (value == null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  });
+}
+
+// Templates without a schema require every placeholder's top-level variable
+function defaultSchema(content) {
+  const required = [...new Set(placeholders(content).map(path => path.split('.')[0]))];
+  return { type: 'object', required };
+}
+
+// Returns { validate }, or { error } for an invalid variables schema
+function compileSchema(schema) {
+  const { validate, error } = compile(schema);
+  return error ? { error: `Invalid variables schema: ${error}` } : { validate };
+}
+
+// Returns an error message, or null when the variables are valid
+function validateVariables(validate, variables) {
+  const errors = schemaErrors(validate, variables, 'variables');
+  return errors && errors.join(', ');
+}
+
+// Validates the content, variables schema and description of a new version
+function parseTemplateDefinition({ content, schema, description } = {}) {
+  if (typeof content !== 'string' || !content.trim()) return { error: 'content is required' };
+  if (content.length > config.templates.maxLength) {
+    return { error: `content must be at most ${config.templates.maxLength} characters` };
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return { error: 'description must be a string' };
+  }
+
+  if (schema !== undefined && schema !== null) {
+    if (typeof schema !== 'object' || Array.isArray(schema)) return { error: 'schema must be a JSON schema object' };
+    const { error } = compileSchema(schema);
+    if (error) return { error };
+  }
+
+  return { definition: { content, schema: schema || null, description: description || null } };
+}
+
+// The LCS table is (a+1)×(b+1), so changes longer than this are refused
+const DIFF_MAX_LINES = 2000;
+
+// Line diff between two versions (longest common subsequence), as
+// [{ type: 'same' | 'added' | 'removed', line }]. Lines shared at the start
+// and end are set aside first; returns null when what remains of either
+// version is longer than DIFF_MAX_LINES.
+function diffLines(before, after) {
+  const oldLines = before.split('\n');
+  const newLines = after.split('\n');
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let end = 0;
+  while (
+    end < oldLines.length - start && end < newLines.length - start
+    && oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]
+  ) end++;
+
+  const a = oldLines.slice(start, oldLines.length - end);
+  const b = newLines.slice(start, newLines.length - end);
+  if (a.length > DIFF_MAX_LINES || b.length > DIFF_MAX_LINES) return null;
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = oldLines.slice(0, start).map(line => ({ type: 'same', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', line: a[i++] });
+    } else {
+      diff.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', line: b[j++] });
+  oldLines.slice(oldLines.length - end).forEach(line => diff.push({ type: 'same', line }));
+  return diff;
+}
+
+module.exports = {
+  TEMPLATE_NAME: NAME,
+  parseTemplateRef,
+  placeholders,
+  render,
+  defaultSchema,
+  compileSchema,
+  validateVariables,
+  parseTemplateDefinition,
+  DIFF_MAX_LINES,
+  diffLines,
+};
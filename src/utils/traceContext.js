@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// W3C Trace Context: version-traceid-parentid-flags
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const SAMPLED = 0x01;
+
+function randomTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function randomSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Returns { traceId, spanId, sampled }, or null for a missing or invalid header
+function parseTraceparent(header) {
+  if (typeof header !== 'string') return null;
+
+  const match = TRACEPARENT.exec(header.trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & SAMPLED) === SAMPLED };
+}
+
+function formatTraceparent({ traceId, spanId, sampled = true }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+module.exports = { randomTraceId, randomSpanId, parseTraceparent, formatTraceparent };
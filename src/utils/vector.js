@@ -0,0 +1,36 @@
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+  return vector.map(v => v / norm);
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+// Vectors are stored in Redis as base64 float32, a quarter the size of JSON
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  // Copy out of Node's shared pool, whose offsets need not be 4-byte aligned
+  const bytes = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+  return Array.from(new Float32Array(bytes));
+}
+
+module.exports = { normalize, cosineSimilarity, encodeVector, decodeVector };
@@ -0,0 +1,181 @@
+/**
+ * Authentication Tests
+ * Validates API key management, key extraction, rate limits, daily quotas
+ * and log redaction. Needs a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const Fastify = require('fastify');
+const config = require('../src/config/config');
+const apiKeys = require('../src/services/apiKeys');
+const rateLimit = require('../src/services/rateLimit');
+const { setupApiKeyAuth, clientId } = require('../src/middleware/auth');
+const { redactUrl } = require('../src/middleware/tracing');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+describe('Key Management', () => {
+  test('returns the plaintext key only at creation', async () => {
+    const created = await apiKeys.create({ name: 'ci', dailyQuota: 10 });
+
+    expect(created.key).toMatch(/^cgw_[0-9a-f]{48}$/);
+    expect(created.prefix).toBe(created.key.slice(0, 12));
+    expect(created.rateLimit).toEqual(config.auth.rateLimit);
+
+    const stored = await apiKeys.get(created.id);
+    expect(stored.key).toBeUndefined();
+    expect(JSON.stringify(stored)).not.toContain(created.key);
+    expect((await apiKeys.list()).map(k => k.id)).toContain(created.id);
+  });
+
+  test('authenticates active keys only', async () => {
+    const { key, id } = await apiKeys.create({ name: 'revoked' });
+
+    expect((await apiKeys.authenticate(key)).id).toBe(id);
+    expect(await apiKeys.authenticate(`${key}x`)).toBeNull();
+    expect(await apiKeys.authenticate(undefined)).toBeNull();
+
+    const revoked = await apiKeys.revoke(id);
+    expect(revoked.revokedAt).toEqual(expect.any(Number));
+    expect(await apiKeys.authenticate(key)).toBeNull();
+  });
+
+  test('rotates the webhook secret', async () => {
+    const { id, webhookSecret } = await apiKeys.create({ name: 'rotate' });
+    const rotated = await apiKeys.rotateWebhookSecret(id);
+
+    expect(rotated.webhookSecret).toMatch(/^whsec_/);
+    expect(rotated.webhookSecret).not.toBe(webhookSecret);
+    expect(await apiKeys.rotateWebhookSecret('missing')).toBeNull();
+  });
+});
+
+describe('Rate Limits and Quotas', () => {
+  test('spends tokens up to the bucket capacity', async () => {
+    const id = `bucket-${Date.now()}`;
+    const limits = { capacity: 2, refillRate: 0.01 };
+
+    expect(await rateLimit.consumeToken(id, limits)).toEqual({ allowed: true, retryAfter: 0, remaining: 1 });
+    expect((await rateLimit.consumeToken(id, limits)).allowed).toBe(true);
+    const refused = await rateLimit.consumeToken(id, limits);
+    expect(refused.allowed).toBe(false);
+    expect(refused.retryAfter).toBeGreaterThan(0);
+  });
+
+  test('counts the daily quota and does not charge refused requests', async () => {
+    const id = `quota-${Date.now()}`;
+
+    expect(await rateLimit.consumeQuota(id, 3, 2)).toEqual({ allowed: true, used: 2, limit: 3 });
+    const refused = await rateLimit.consumeQuota(id, 3, 2);
+    expect(refused).toMatchObject({ allowed: false, used: 2, limit: 3 });
+    expect(refused.retryAfter).toBeGreaterThan(0);
+    expect(await rateLimit.getQuotaUsage(id)).toBe(2);
+  });
+});
+
+describe('API Key Middleware', () => {
+  const originalAuth = config.features.authEnabled;
+  let app;
+  let key;
+
+  beforeAll(async () => {
+    config.features.authEnabled = true;
+    key = await apiKeys.create({ name: 'middleware', rateLimit: { capacity: 50, refillRate: 1 }, dailyQuota: 1 });
+
+    app = Fastify();
+    app.decorateRequest('apiKey', null);
+    setupApiKeyAuth(app);
+    app.get('/whoami', async request => ({ clientId: clientId(request) }));
+    app.get('/stream', { config: { queryKey: true } }, async request => ({ clientId: clientId(request) }));
+    app.post('/charged', { config: { quota: true } }, async () => ({ ok: true }));
+    app.post('/checked', {
+      config: { quota: true },
+      schema: { body: { type: 'object', required: ['query'], properties: { query: { type: 'string' } } } },
+    }, async (request, reply) => (
+      request.body.query === 'too long' ? reply.code(400).send({ error: 'Query too long' }) : { ok: true }
+    ));
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    config.features.authEnabled = originalAuth;
+    await app.close();
+  });
+
+  test('rejects requests without a valid key', async () => {
+    const missing = await app.inject({ url: '/whoami' });
+    expect(missing.statusCode).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+    expect((await app.inject({ url: '/whoami', headers: { authorization: 'Bearer nope' } })).statusCode).toBe(401);
+  });
+
+  test('accepts the key as a bearer token or X-API-Key header', async () => {
+    const bearer = await app.inject({ url: '/whoami', headers: { authorization: `Bearer ${key.key}` } });
+    expect(bearer.json()).toEqual({ clientId: key.id });
+    expect(bearer.headers['x-ratelimit-limit']).toBe('50');
+
+    const header = await app.inject({ url: '/whoami', headers: { 'x-api-key': key.key } });
+    expect(header.json()).toEqual({ clientId: key.id });
+  });
+
+  test('takes the key from the URL only on routes that opt in', async () => {
+    expect((await app.inject({ url: `/whoami?apiKey=${key.key}` })).statusCode).toBe(401);
+    expect((await app.inject({ url: `/stream?apiKey=${key.key}` })).json()).toEqual({ clientId: key.id });
+  });
+
+  test('charges the daily quota on routes that opt in', async () => {
+    const headers = { 'x-api-key': key.key };
+
+    const first = await app.inject({ method: 'POST', url: '/charged', headers });
+    expect(first.statusCode).toBe(200);
+    expect(first.headers['x-quota-used']).toBe('1');
+
+    const second = await app.inject({ method: 'POST', url: '/charged', headers });
+    expect(second.statusCode).toBe(429);
+    expect(second.json()).toMatchObject({ code: 'quota_exceeded' });
+    expect(Number(second.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('gives back the quota of requests refused with a 400', async () => {
+    const checked = await apiKeys.create({ name: 'checked', dailyQuota: 5 });
+    const post = payload => app.inject({
+      method: 'POST',
+      url: '/checked',
+      headers: { 'x-api-key': checked.key, 'content-type': 'application/json' },
+      payload,
+    });
+
+    expect((await post({ query: 'ok' })).headers['x-quota-used']).toBe('1');
+
+    // Rejected by the body schema before anything is charged
+    expect((await post('{bad json')).statusCode).toBe(400);
+    expect((await post({})).statusCode).toBe(400);
+    // Rejected by the handler after charging, then refunded
+    const refused = await post({ query: 'too long' });
+    expect(refused.statusCode).toBe(400);
+    expect(refused.headers['x-quota-used']).toBe('1');
+
+    expect(await rateLimit.getQuotaUsage(checked.id)).toBe(1);
+    expect((await post({ query: 'ok' })).headers['x-quota-used']).toBe('2');
+  });
+
+  test('answers 429 once the rate limit is spent', async () => {
+    const limited = await apiKeys.create({ name: 'limited', rateLimit: { capacity: 1, refillRate: 0.01 } });
+    const headers = { 'x-api-key': limited.key };
+
+    expect((await app.inject({ url: '/whoami', headers })).statusCode).toBe(200);
+    const refused = await app.inject({ url: '/whoami', headers });
+    expect(refused.statusCode).toBe(429);
+    expect(refused.headers['x-ratelimit-remaining']).toBe('0');
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
+
+describe('Log Redaction', () => {
+  test('hides API keys in logged URLs', () => {
+    expect(redactUrl('/api/query/1/stream?apiKey=cgw_secret&x=1')).toBe('/api/query/1/stream?apiKey=[REDACTED]&x=1');
+    expect(redactUrl('/api/query/1?wait=true')).toBe('/api/query/1?wait=true');
+  });
+});
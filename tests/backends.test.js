@@ -0,0 +1,153 @@
+/**
+ * Execution Backend Tests
+ * Validates the mock backend, the HTTP backend against a local stand-in,
+ * cancellation and usage accounting
+ */
+
+const http = require('http');
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const config = require('../src/config/config');
+const { getBackend } = require('../src/services/backends');
+const { generateQueryHash } = require('../src/utils/prompt');
+const { summarizeUsage } = require('../src/utils/result');
+
+describe('Backend Registry', () => {
+  test('rejects unknown backends', () => {
+    expect(() => getBackend('carrier-pigeon')).toThrow('Unknown backend');
+  });
+
+  test('keeps existing cache keys when no options are set', () => {
+    const plain = generateQueryHash('What is 2+2?', {});
+
+    expect(generateQueryHash('What is 2+2?', {}, {})).toBe(plain);
+    expect(generateQueryHash('What is 2+2?', {}, { backend: 'http' })).not.toBe(plain);
+  });
+});
+
+describe('Mock Backend', () => {
+  test('echoes the prompt and streams it in chunks', async () => {
+    const chunks = [];
+    const result = await getBackend('mock').run('hello there', { onChunk: c => chunks.push(c) });
+
+    expect(result.result).toBe('Echo: hello there');
+    expect(chunks.join('')).toBe('Echo: hello there');
+    expect(result.usage.input_tokens).toBe(2);
+  });
+
+  test('stops streaming and rejects with the abort reason when cancelled', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Job cancelled');
+    const chunks = [];
+    const run = getBackend('mock').run('one two three four', {
+      signal: controller.signal,
+      onChunk: (c) => {
+        chunks.push(c);
+        controller.abort(reason);
+      },
+    });
+
+    await expect(run).rejects.toBe(reason);
+    expect(chunks).toHaveLength(1);
+  });
+});
+
+describe('HTTP Backend', () => {
+  let server;
+  let requests;
+  const originalBaseUrl = config.anthropic.baseUrl;
+
+  beforeAll(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (d) => { body += d; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        requests.push({ url: req.url, headers: req.headers, payload });
+
+        if (!payload.stream) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            id: 'msg_1',
+            model: payload.model,
+            content: [{ type: 'text', text: 'Four.' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 12, output_tokens: 3 },
+          }));
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const events = [
+          ['message_start', { message: { id: 'msg_2', model: payload.model, usage: { input_tokens: 12 } } }],
+          ['content_block_delta', { delta: { type: 'text_delta', text: 'Fo' } }],
+          ['content_block_delta', { delta: { type: 'text_delta', text: 'ur.' } }],
+          ['message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }],
+          ['message_stop', {}],
+        ];
+        res.end(events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join(''));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    config.anthropic.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    config.anthropic.baseUrl = originalBaseUrl;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('maps a Messages API response to the CLI result shape', async () => {
+    const result = await getBackend('http').run('What is 2+2?', {
+      history: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }],
+    });
+
+    expect(result.result).toBe('Four.');
+    expect(result.usage).toEqual({ input_tokens: 12, output_tokens: 3 });
+    expect(requests[0].url).toBe('/v1/messages');
+    expect(requests[0].headers['anthropic-version']).toBe(config.anthropic.version);
+    expect(requests[0].payload.messages).toHaveLength(3);
+    expect(result.total_cost_usd).toBeCloseTo((12 * config.anthropic.pricing.input + 3 * config.anthropic.pricing.output) / 1e6, 9);
+  });
+
+  test('streams text deltas', async () => {
+    const chunks = [];
+    const result = await getBackend('http').run('What is 2+2?', { onChunk: c => chunks.push(c) });
+
+    expect(chunks).toEqual(['Fo', 'ur.']);
+    expect(result.result).toBe('Four.');
+    expect(result.usage).toEqual({ input_tokens: 12, output_tokens: 3 });
+    expect(result.stop_reason).toBe('end_turn');
+  });
+
+  test('does not call the API once cancelled', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Job cancelled');
+    controller.abort(reason);
+    const before = requests.length;
+
+    await expect(getBackend('http').run('What is 2+2?', { signal: controller.signal })).rejects.toBe(reason);
+    expect(requests).toHaveLength(before);
+  });
+});
+
+describe('Usage Accounting', () => {
+  test('summarizes tokens and cost from a CLI result', () => {
+    const summary = summarizeUsage({
+      usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 100 },
+      total_cost_usd: 0.0042,
+    });
+
+    expect(summary).toEqual({
+      inputTokens: 10,
+      outputTokens: 5,
+      cacheCreationTokens: 0,
+      cacheReadTokens: 100,
+      costUsd: 0.0042,
+    });
+  });
+
+  test('treats results without usage as free', () => {
+    expect(summarizeUsage({ response: 'hi', format: 'text' }).costUsd).toBe(0);
+  });
+});
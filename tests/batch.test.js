@@ -0,0 +1,211 @@
+/**
+ * Batch Tests
+ * Validates batch creation, per-item aggregation, completion and quota
+ * charging. Needs a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const Fastify = require('fastify');
+const config = require('../src/config/config');
+const queue = require('../src/queues/query');
+const batches = require('../src/services/batch');
+const submission = require('../src/services/submission');
+const history = require('../src/services/history');
+const apiKeys = require('../src/services/apiKeys');
+const { apiKeyAuth } = require('../src/middleware/auth');
+const { setupErrorHandling } = require('../src/middleware/errors');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Batch Service', () => {
+  test('aggregates item outcomes and completes once every item finished', async () => {
+    const batch = await batches.create({ owner: 'alice', total: 3 });
+    await batches.addItems(batch.id, [
+      { index: 0, query: 'a', jobId: 'job-a' },
+      { index: 1, query: 'b', jobId: 'job-b' },
+      { index: 2, query: 'a', jobId: 'job-a' },
+    ]);
+    await batches.watch('job-a', batch.id, 0);
+    await batches.watch('job-a', batch.id, 2);
+    await batches.watch('job-b', batch.id, 1);
+
+    // One job answers every item that shares it
+    await batches.handleJobFinished('job-a', { result: { result: 'A' } });
+    let status = await batches.getStatus(batch.id);
+    expect(status).toMatchObject({ status: 'processing', counts: { completed: 2, failed: 0, pending: 1 } });
+
+    await batches.handleJobFinished('job-b', { error: 'boom' });
+    status = await batches.getStatus(batch.id);
+    expect(status).toMatchObject({ status: 'completed', counts: { completed: 2, failed: 1, pending: 0 } });
+    expect(status.completedAt).toEqual(expect.any(Number));
+    expect(status.items).toEqual([
+      { index: 0, query: 'a', jobId: 'job-a', status: 'completed', result: { result: 'A' } },
+      { index: 1, query: 'b', jobId: 'job-b', status: 'failed', error: 'boom' },
+      { index: 2, query: 'a', jobId: 'job-a', status: 'completed', result: { result: 'A' } },
+    ]);
+  });
+
+  test('counts an item once when its job is reported twice', async () => {
+    const batch = await batches.create({ owner: 'alice', total: 2 });
+    await batches.addItems(batch.id, [{ index: 0, query: 'a', jobId: 'job-x' }, { index: 1, query: 'b', jobId: 'job-y' }]);
+
+    await batches.recordItem(batch.id, 0, { result: 'first' });
+    await batches.recordItem(batch.id, 0, { error: 'late retry' });
+
+    const status = await batches.getStatus(batch.id, { includeResults: false });
+    expect(status.counts).toEqual({ completed: 1, failed: 0, pending: 1 });
+    expect(status.items[0]).toEqual({ index: 0, query: 'a', jobId: 'job-x', status: 'completed' });
+  });
+
+  test('waits for every item to be registered before completing', async () => {
+    const batch = await batches.create({ owner: 'alice', total: 1 });
+
+    await batches.recordItem(batch.id, 0, { result: 'early' });
+    expect((await batches.get(batch.id)).status).toBe('processing');
+
+    await batches.addItems(batch.id, [{ index: 0, query: 'a' }]);
+    await batches.checkComplete(batch.id);
+    expect((await batches.get(batch.id)).status).toBe('completed');
+  });
+});
+
+describe('Batch Routes', () => {
+  const originalAuth = config.features.authEnabled;
+  let app;
+  let key;
+
+  beforeAll(async () => {
+    config.features.authEnabled = true;
+    key = await apiKeys.create({ name: 'batch', rateLimit: { capacity: 100, refillRate: 1 }, dailyQuota: 5 });
+
+    app = Fastify();
+    setupErrorHandling(app);
+    app.decorateRequest('apiKey', null);
+    app.addHook('onRequest', apiKeyAuth);
+    app.register(require('../src/routes/batch'), { prefix: '/api' });
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    config.features.authEnabled = originalAuth;
+    await app.close();
+  });
+
+  // Queued items get their query as the job id; `cachedQueries` are answered from cache
+  function stubSubmit(cachedQueries = []) {
+    jest.spyOn(queue, 'getJob').mockResolvedValue(null);
+    return jest.spyOn(submission, 'submit').mockImplementation(async ({ query }) => (
+      cachedQueries.includes(query)
+        ? { requestId: 'r', status: 'cached', result: { result: `cached ${query}` } }
+        : { requestId: 'r', status: 'queued', jobId: `job-${query}` }
+    ));
+  }
+
+  function post(payload, apiKey = key.key) {
+    return app.inject({ method: 'POST', url: '/api/batch', headers: { 'x-api-key': apiKey }, payload });
+  }
+
+  test('creates a batch and records cached items at once', async () => {
+    const submit = stubSubmit(['two']);
+
+    const response = await post({ queries: ['one', { query: 'two', context: { a: 1 } }] });
+    expect(response.statusCode).toBe(202);
+    const { batchId, total, counts } = response.json();
+    expect(total).toBe(2);
+    expect(counts).toEqual({ completed: 1, failed: 0, pending: 1 });
+    expect(submit).toHaveBeenCalledWith(expect.objectContaining({ query: 'two', context: { a: 1 }, clientId: key.id }));
+
+    const status = await app.inject({ url: `/api/batch/${batchId}`, headers: { 'x-api-key': key.key } });
+    expect(status.json().items.map(i => [i.jobId, i.status])).toEqual([['job-one', 'pending'], [null, 'completed']]);
+
+    // The queued item finishes through the worker
+    await batches.handleJobFinished('job-one', { result: { result: 'done' } });
+    const results = await app.inject({ url: `/api/batch/${batchId}/results.jsonl`, headers: { 'x-api-key': key.key } });
+    expect(results.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(results.body.trim().split('\n').map(line => JSON.parse(line).status)).toEqual(['completed', 'completed']);
+  });
+
+  test('submits items concurrently and repeated queries once', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    jest.spyOn(queue, 'getJob').mockResolvedValue(null);
+    const submit = jest.spyOn(submission, 'submit').mockImplementation(async ({ query }) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return { requestId: 'r', status: 'queued', jobId: `job-${query}` };
+    });
+
+    const response = await post({ queries: ['a', 'b', 'a'] });
+    expect(response.statusCode).toBe(202);
+    expect(submit).toHaveBeenCalledTimes(2);
+    expect(maxInFlight).toBe(2);
+
+    const { batchId } = response.json();
+    await batches.handleJobFinished('job-a', { result: 'A' });
+    expect((await batches.getStatus(batchId)).counts).toEqual({ completed: 2, failed: 0, pending: 1 });
+  });
+
+  test('records items whose jobs finished and were removed before they were watched', async () => {
+    stubSubmit();
+    jest.replaceProperty(history, 'enabled', true);
+    jest.spyOn(history, 'get').mockImplementation(async (jobId) => (
+      jobId === 'job-early'
+        ? { jobId, status: 'completed', result: { result: 'early' } }
+        : { jobId, status: 'failed', error: 'boom' }
+    ));
+    const fresh = await apiKeys.create({ name: 'batch-early' });
+
+    const response = await post({ queries: ['early', 'broken'] }, fresh.key);
+    expect(response.statusCode).toBe(202);
+    expect(response.json().status).toBe('completed');
+    expect(response.json().counts).toEqual({ completed: 1, failed: 1, pending: 0 });
+
+    const { items } = await batches.getStatus(response.json().batchId);
+    expect(items.map(i => [i.status, i.result, i.error])).toEqual([
+      ['completed', { result: 'early' }, undefined],
+      ['failed', undefined, 'boom'],
+    ]);
+  });
+
+  test('charges the daily quota per item and refuses batches over it', async () => {
+    stubSubmit();
+    const limited = await apiKeys.create({ name: 'batch-quota', dailyQuota: 3 });
+
+    const first = await post({ queries: ['x', 'y'] }, limited.key);
+    expect(first.statusCode).toBe(202);
+    expect(first.headers['x-quota-used']).toBe('2');
+
+    const second = await post({ queries: ['x', 'y'] }, limited.key);
+    expect(second.statusCode).toBe(429);
+    expect(second.json().error.code).toBe('quota_exceeded');
+    expect(submission.submit).toHaveBeenCalledTimes(2);
+  });
+
+  test('validates the items before charging anything', async () => {
+    const submit = stubSubmit();
+
+    expect((await post({ queries: [] })).statusCode).toBe(400);
+    const missing = await post({ queries: ['ok', { context: {} }] });
+    expect(missing.statusCode).toBe(400);
+    expect(missing.json().error.message).toMatch(/item 1/);
+    const tooMany = await post({ queries: Array.from({ length: config.batch.maxItems + 1 }, (_, i) => `q${i}`) });
+    expect(tooMany.statusCode).toBe(400);
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  test('hides batches from other keys', async () => {
+    stubSubmit();
+    const other = await apiKeys.create({ name: 'other' });
+    const { batchId } = (await post({ queries: ['secret'] })).json();
+
+    const response = await app.inject({ url: `/api/batch/${batchId}`, headers: { 'x-api-key': other.key } });
+    expect(response.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Cache Option Tests
+ * Validates the per-request cache controls accepted by POST /api/query
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const config = require('../src/config/config');
+const { parseCacheOptions } = require('../src/utils/options');
+
+describe('Cache Options', () => {
+  test('returns no options when none are given', () => {
+    expect(parseCacheOptions({ query: 'hi' })).toEqual({ cache: {} });
+  });
+
+  test('accepts ttl, tags and noCache', () => {
+    const { cache } = parseCacheOptions({ cacheTtl: 600, cacheTags: ['docs-v2', 'docs-v2', 'team:search'], noCache: true });
+    expect(cache).toEqual({ ttl: 600, tags: ['docs-v2', 'team:search'], noCache: true });
+  });
+
+  test('drops noCache: false', () => {
+    expect(parseCacheOptions({ noCache: false })).toEqual({ cache: {} });
+  });
+
+  test('rejects out-of-range or fractional TTLs', () => {
+    expect(parseCacheOptions({ cacheTtl: 0 }).error).toMatch(/cacheTtl/);
+    expect(parseCacheOptions({ cacheTtl: 1.5 }).error).toMatch(/cacheTtl/);
+    expect(parseCacheOptions({ cacheTtl: config.cache.maxTtl + 1 }).error).toMatch(/cacheTtl/);
+  });
+
+  test('rejects malformed tags', () => {
+    expect(parseCacheOptions({ cacheTags: 'docs' }).error).toMatch(/cacheTags/);
+    expect(parseCacheOptions({ cacheTags: ['has space'] }).error).toMatch(/cacheTags/);
+    expect(parseCacheOptions({ cacheTags: Array.from({ length: 11 }, (_, i) => `t${i}`) }).error).toMatch(/cacheTags/);
+  });
+
+  test('rejects a non-boolean noCache', () => {
+    expect(parseCacheOptions({ noCache: 'yes' }).error).toMatch(/noCache/);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Cancellation Tests
+ * Validates cancelling waiting and running jobs, refusing finished ones and
+ * counting every cancellation once, by intent too. Needs a running Redis.
+ */
+
+const { describe, test, expect, beforeEach, afterAll, afterEach } = require('@jest/globals');
+const cancellation = require('../src/services/cancellation');
+const pubsub = require('../src/services/pubsub');
+const { metrics } = require('../src/metrics/registry');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+let sequence = 0;
+
+// A queue job that reads each of `states` in turn, repeating the last one
+function fakeJob(...states) {
+  return {
+    id: `cancel-${Date.now()}-${sequence++}`,
+    data: { query: 'What is 2+2?', clientId: 'alice', cache: { noCache: true } },
+    getState: jest.fn(async () => (states.length > 1 ? states.shift() : states[0])),
+    remove: jest.fn(async () => {}),
+  };
+}
+
+async function cancelledCount() {
+  const { values } = await metrics.jobsCancelled.get();
+  return values.length > 0 ? values[0].value : 0;
+}
+
+async function cancelledByIntent() {
+  const { values } = await metrics.jobsByIntent.get();
+  const found = values.find(v => v.labels.outcome === 'cancelled');
+  return found ? found.value : 0;
+}
+
+describe('Cancellation', () => {
+  let publish;
+
+  beforeEach(() => {
+    publish = jest.spyOn(pubsub, 'publish').mockResolvedValue();
+  });
+
+  test('removes a waiting job and counts it', async () => {
+    const job = fakeJob('waiting');
+    const before = await cancelledCount();
+    const byIntent = await cancelledByIntent();
+
+    expect(await cancellation.cancel(job)).toEqual({ cancelled: true, state: 'cancelled' });
+    expect(job.remove).toHaveBeenCalled();
+    expect(publish).not.toHaveBeenCalled();
+    expect(await cancellation.get(job.id)).toMatchObject({ jobId: job.id, clientId: 'alice', by: 'client' });
+    expect(await cancelledCount()).toBe(before + 1);
+    expect(await cancelledByIntent()).toBe(byIntent + 1);
+  });
+
+  test('signals the worker of a running job, which counts it once it stops', async () => {
+    const job = fakeJob('active');
+    const before = await cancelledCount();
+    const byIntent = await cancelledByIntent();
+
+    expect(await cancellation.cancel(job, { by: 'admin' })).toEqual({ cancelled: true, state: 'cancelling' });
+    expect(publish).toHaveBeenCalledWith('jobs:cancel', { jobId: job.id });
+    expect(await cancelledCount()).toBe(before);
+
+    await cancellation.finalize(job);
+    expect(await cancelledCount()).toBe(before + 1);
+    expect(await cancelledByIntent()).toBe(byIntent + 1);
+  });
+
+  test('refuses jobs that already finished', async () => {
+    for (const state of ['completed', 'failed']) {
+      const job = fakeJob(state);
+      expect(await cancellation.cancel(job)).toEqual({ cancelled: false, state });
+      expect(await cancellation.get(job.id)).toBeNull();
+    }
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  test('leaves a job that completed during the request completed', async () => {
+    const job = fakeJob('active', 'completed');
+    const before = await cancelledCount();
+
+    expect(await cancellation.cancel(job)).toEqual({ cancelled: false, state: 'completed' });
+    expect(await cancellation.get(job.id)).toBeNull();
+    expect(await cancelledCount()).toBe(before);
+  });
+
+  test('clears a marker left behind', async () => {
+    const job = fakeJob('active');
+    await cancellation.cancel(job);
+    expect(await cancellation.get(job.id)).not.toBeNull();
+
+    await cancellation.clear(job.id);
+    expect(await cancellation.get(job.id)).toBeNull();
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Circuit Breaker Tests
+ * Validates error classification, breaker state transitions, adaptive
+ * concurrency and fail-fast execution against a local Messages API stand-in
+ */
+
+const http = require('http');
+const { describe, test, expect, beforeAll, afterAll, beforeEach } = require('@jest/globals');
+const config = require('../src/config/config');
+const { classifyError, parseRetryAfter } = require('../src/utils/claudeErrors');
+const { CircuitBreaker } = require('../src/utils/circuitBreaker');
+const { AdaptiveLimiter } = require('../src/utils/concurrency');
+
+function failure(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+describe('Error Classification', () => {
+  test('classifies HTTP statuses', () => {
+    expect(classifyError(failure('x', { status: 429 }))).toEqual({ kind: 'rate_limited', retryable: true, trips: true });
+    expect(classifyError(failure('x', { status: 529 })).kind).toBe('overloaded');
+    expect(classifyError(failure('x', { status: 401 }))).toMatchObject({ kind: 'auth', retryable: false });
+    expect(classifyError(failure('x', { status: 400 }))).toEqual({ kind: 'invalid_request', retryable: false, trips: false });
+  });
+
+  test('classifies CLI exits from their output', () => {
+    const cli = (stderr, exitCode = 1) => failure(`Claude exited with code ${exitCode}: ${stderr}`, { exitCode, stderr });
+
+    expect(classifyError(cli('API Error: 429 {"type":"rate_limit_error"}')).kind).toBe('rate_limited');
+    expect(classifyError(cli('Claude AI usage limit reached|1760000000')).kind).toBe('rate_limited');
+    expect(classifyError(cli('API Error: Overloaded')).kind).toBe('overloaded');
+    expect(classifyError(cli('Invalid API key · Please run /login')).kind).toBe('auth');
+    expect(classifyError(cli('Prompt is too long')).kind).toBe('invalid_request');
+    expect(classifyError(cli('', 127)).kind).toBe('not_installed');
+    expect(classifyError(cli('something odd'))).toEqual({ kind: 'unknown', retryable: true, trips: true });
+  });
+
+  test('classifies timeouts, missing binaries and network errors', () => {
+    expect(classifyError(failure('Claude timed out after 10ms', { timedOut: true })).kind).toBe('timeout');
+    expect(classifyError(failure('spawn claude ENOENT', { code: 'ENOENT' }))).toMatchObject({ kind: 'not_installed', retryable: false });
+    expect(classifyError(failure('fetch failed', { cause: { code: 'ECONNREFUSED' } })).kind).toBe('network');
+  });
+
+  test('parses Retry-After as seconds or a date', () => {
+    expect(parseRetryAfter('30')).toBe(30000);
+    expect(parseRetryAfter(new Date(61000).toUTCString(), 1000)).toBe(60000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('Circuit Breaker', () => {
+  let now;
+  let changes;
+  let breaker;
+
+  beforeEach(() => {
+    now = 0;
+    changes = [];
+    breaker = new CircuitBreaker({
+      failureThreshold: 3,
+      resetTimeout: 1000,
+      now: () => now,
+      onStateChange: (to, from) => changes.push(`${from}->${to}`),
+    });
+  });
+
+  test('opens after consecutive failures and refuses calls', () => {
+    breaker.recordFailure(new Error('one'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('one'));
+    breaker.recordFailure(new Error('two'));
+    expect(breaker.allow()).toBe(true);
+
+    breaker.recordFailure(new Error('three'));
+    now = 400;
+    expect(breaker.allow()).toBe(false);
+    expect(breaker.snapshot()).toMatchObject({ state: 'open', failures: 3, retryAfterMs: 600, lastError: 'three' });
+  });
+
+  test('lets one probe through when half-open', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(new Error('down')));
+    now = 1000;
+
+    expect(breaker.allow()).toBe(true);
+    expect(breaker.allow()).toBe(false);
+    expect(breaker.state).toBe('half_open');
+
+    breaker.recordSuccess();
+    expect(breaker.allow()).toBe(true);
+    expect(changes).toEqual(['closed->open', 'open->half_open', 'half_open->closed']);
+  });
+
+  test('reopens when the probe fails, and frees the probe on release', () => {
+    [1, 2, 3].forEach(() => breaker.recordFailure(new Error('down')));
+    now = 1000;
+    breaker.allow();
+    breaker.recordFailure(new Error('still down'));
+    expect(breaker.snapshot()).toMatchObject({ state: 'open', retryAfterMs: 1000 });
+
+    now = 2000;
+    expect(breaker.allow()).toBe(true);
+    breaker.release();
+    expect(breaker.allow()).toBe(true);
+  });
+});
+
+describe('Adaptive Concurrency', () => {
+  test('queues callers beyond the limit', async () => {
+    const limiter = new AdaptiveLimiter({ min: 1, max: 2 });
+    await limiter.acquire();
+    await limiter.acquire();
+
+    let acquired = false;
+    const waiting = limiter.acquire().then(() => { acquired = true; });
+    await Promise.resolve();
+    expect(acquired).toBe(false);
+    expect(limiter.snapshot()).toMatchObject({ active: 2, waiting: 1 });
+
+    limiter.release();
+    await waiting;
+    expect(acquired).toBe(true);
+  });
+
+  test('rejects waiting callers that are cancelled', async () => {
+    const limiter = new AdaptiveLimiter({ min: 1, max: 1 });
+    await limiter.acquire();
+    const controller = new AbortController();
+    const reason = new Error('Job cancelled');
+    const waiting = limiter.acquire(controller.signal);
+
+    controller.abort(reason);
+    await expect(waiting).rejects.toBe(reason);
+    expect(limiter.snapshot().waiting).toBe(0);
+  });
+
+  test('halves the limit on rate limits and grows it back on successes', () => {
+    let now = 0;
+    const limiter = new AdaptiveLimiter({ min: 2, max: 8, cooldown: 1000, now: () => now });
+
+    limiter.onRateLimit();
+    expect(limiter.limit).toBe(4);
+    limiter.onRateLimit();
+    expect(limiter.limit).toBe(4);
+
+    now = 1000;
+    limiter.onRateLimit();
+    limiter.onRateLimit();
+    expect(limiter.limit).toBe(2);
+
+    [1, 2].forEach(() => limiter.onSuccess());
+    expect(limiter.limit).toBe(3);
+    [1, 2, 3].forEach(() => limiter.onSuccess());
+    expect(limiter.limit).toBe(4);
+  });
+});
+
+describe('Execution', () => {
+  const originals = {
+    baseUrl: config.anthropic.baseUrl,
+    threshold: config.claude.breaker.threshold,
+  };
+  let server;
+  let statuses;
+  let requests;
+  let ClaudeService;
+  let claude;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requests++;
+        const status = statuses.shift() || 200;
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Retry-After': '7' });
+        res.end(JSON.stringify(status === 200
+          ? { id: 'msg_1', content: [{ type: 'text', text: 'Four.' }], usage: { input_tokens: 1, output_tokens: 1 } }
+          : { type: 'error', error: { message: 'nope' } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    config.anthropic.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    config.claude.breaker.threshold = 2;
+    ClaudeService = require('../src/services/claude').constructor;
+  });
+
+  afterAll(async () => {
+    config.anthropic.baseUrl = originals.baseUrl;
+    config.claude.breaker.threshold = originals.threshold;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Every test starts with closed breakers and a full concurrency limit
+  beforeEach(() => {
+    requests = 0;
+    claude = new ClaudeService();
+  });
+
+  test('marks fatal errors as not retryable', async () => {
+    statuses = [401];
+    const error = await claude.execute('What is 2+2?', { backend: 'http' }).catch(err => err);
+
+    expect(error).toMatchObject({ status: 401, kind: 'auth', retryable: false });
+  });
+
+  test('runs one attempt and leaves retryable failures to the queue', async () => {
+    statuses = [529];
+    const error = await claude.execute('What is 2+2?', { backend: 'http' }).catch(err => err);
+
+    expect(error).toMatchObject({ kind: 'overloaded', retryable: true });
+    expect(requests).toBe(1);
+  });
+
+  test('fails fast once the circuit is open', async () => {
+    statuses = [401, 429];
+    await claude.execute('What is 2+2?', { backend: 'http' }).catch(err => err);
+    const limited = await claude.execute('What is 2+2?', { backend: 'http' }).catch(err => err);
+    expect(limited).toMatchObject({ kind: 'rate_limited', retryAfterMs: 7000 });
+
+    const error = await claude.execute('What is 2+2?', { backend: 'http' }).catch(err => err);
+    expect(error.code).toBe('CIRCUIT_OPEN');
+    expect(error.message).toMatch(/backend 'http' is unavailable after 2 consecutive failures/);
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+    expect(requests).toBe(2);
+    expect(claude.state().breakers.http.state).toBe('open');
+    expect(claude.state().limiter.limit).toBeLessThan(config.queue.concurrency);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * CLI Options Tests
+ * Validates per-request CLI options against key policies, their effect on the
+ * cache key, and the arguments passed to a stand-in claude binary
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const config = require('../src/config/config');
+const cli = require('../src/services/backends/cli');
+const { parseExecutionOptions, parseKeyPolicy } = require('../src/utils/options');
+const { generateQueryHash } = require('../src/utils/prompt');
+
+const original = { ...config.claude };
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-options-'));
+  // Replies with the arguments and working directory it was started with,
+  // and the contents and permissions of its MCP config file
+  const binary = path.join(dir, 'claude');
+  fs.writeFileSync(binary, [
+    '#!/usr/bin/env node',
+    'const fs = require("fs");',
+    'const args = process.argv.slice(2);',
+    'const file = args[args.indexOf("--mcp-config") + 1];',
+    'const mcp = args.includes("--mcp-config")',
+    '  ? { config: JSON.parse(fs.readFileSync(file, "utf8")), mode: fs.statSync(file).mode & 0o777 }',
+    '  : undefined;',
+    'console.log(JSON.stringify({ result: "ok", args, cwd: process.cwd(), mcp }));',
+  ].join('\n'), { mode: 0o755 });
+
+  Object.assign(config.claude, {
+    binary,
+    allowedModels: ['sonnet', 'opus'],
+    allowedTools: ['Read', 'Bash'],
+    maxTurns: 10,
+    workspaces: { docs: dir },
+  });
+});
+
+afterAll(() => {
+  Object.assign(config.claude, original);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('Option Validation', () => {
+  test('accepts options within the deployment limits', () => {
+    const { options } = parseExecutionOptions({
+      model: 'opus',
+      systemPrompt: 'Answer in French.',
+      allowedTools: ['Read', 'Bash(git diff:*)', 'Read'],
+      disallowedTools: ['WebFetch'],
+      maxTurns: 3,
+      workspace: 'docs',
+    });
+    expect(options).toEqual({
+      model: 'opus',
+      systemPrompt: 'Answer in French.',
+      allowedTools: ['Bash(git diff:*)', 'Read'],
+      disallowedTools: ['WebFetch'],
+      maxTurns: 3,
+      workspace: 'docs',
+    });
+  });
+
+  test('rejects options outside the limits', () => {
+    expect(parseExecutionOptions({ model: 'haiku' }).error).toMatch(/not allowed/);
+    expect(parseExecutionOptions({ allowedTools: ['Write'] }).error).toMatch(/Tool 'Write'/);
+    expect(parseExecutionOptions({ maxTurns: 11 }).error).toMatch(/between 1 and 10/);
+    expect(parseExecutionOptions({ workspace: '/etc' }).error).toMatch(/not available/);
+    expect(parseExecutionOptions({ allowedTools: 'Read' }).error).toMatch(/array of tool names/);
+  });
+
+  test('applies the key policy over the deployment limits', () => {
+    const { policy } = parseKeyPolicy({ models: null, tools: ['Read'], maxTurns: 2, workspaces: [] });
+    const apiKey = { policy };
+
+    expect(parseExecutionOptions({ model: 'haiku' }, apiKey).options).toEqual({ model: 'haiku' });
+    expect(parseExecutionOptions({ allowedTools: ['Bash'] }, apiKey).error).toMatch(/not allowed/);
+    expect(parseExecutionOptions({ maxTurns: 3 }, apiKey).error).toMatch(/between 1 and 2/);
+    expect(parseExecutionOptions({ workspace: 'docs' }, apiKey).error).toMatch(/not available/);
+    expect(parseKeyPolicy({ workspaces: ['nope'] }).error).toMatch(/Unknown workspace/);
+  });
+
+  test('keys the cache by model and tools', () => {
+    const sonnet = parseExecutionOptions({ model: 'sonnet' }).options;
+    const opus = parseExecutionOptions({ model: 'opus' }).options;
+    expect(generateQueryHash('q', {}, sonnet)).not.toBe(generateQueryHash('q', {}, opus));
+
+    const ab = parseExecutionOptions({ allowedTools: ['Read', 'Bash'] }).options;
+    const ba = parseExecutionOptions({ allowedTools: ['Bash', 'Read'] }).options;
+    expect(generateQueryHash('q', {}, ab)).toBe(generateQueryHash('q', {}, ba));
+  });
+});
+
+describe('CLI Arguments', () => {
+  test('passes the options as flags and runs in the workspace', async () => {
+    const { options } = parseExecutionOptions({
+      model: 'opus',
+      systemPrompt: 'Be brief.',
+      allowedTools: ['Read', 'Bash(git log:*)'],
+      maxTurns: 4,
+      workspace: 'docs',
+    });
+    const output = await cli.run('--help me', options);
+
+    expect(output.args).toEqual([
+      '--print', '--output-format', 'json',
+      '--model', 'opus',
+      '--append-system-prompt', 'Be brief.',
+      '--allowedTools', 'Bash(git log:*),Read',
+      '--max-turns', '4',
+      '--', '--help me',
+    ]);
+    expect(fs.realpathSync(output.cwd)).toBe(fs.realpathSync(dir));
+  });
+
+  test('passes MCP servers in a private file that is removed afterwards', async () => {
+    const mcpConfig = { mcpServers: { github: { command: 'gh-mcp', args: [], env: { GITHUB_TOKEN: 'ghp_secret' } } } };
+    const output = await cli.run('hi', { mcpConfig });
+
+    const file = output.args[output.args.indexOf('--mcp-config') + 1];
+    expect(output.args.join(' ')).not.toContain('ghp_secret');
+    expect(output.mcp).toEqual({ config: mcpConfig, mode: 0o600 });
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test('fails when the workspace is no longer configured', async () => {
+    await expect(cli.run('hi', { workspace: 'gone' })).rejects.toThrow(/not configured/);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Error Envelope Tests
+ * Validates that route errors, schema failures, thrown errors and unknown
+ * routes share one response shape
+ */
+
+const Fastify = require('fastify');
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const config = require('../src/config/config');
+const { requestIdOptions, setupErrorHandling } = require('../src/middleware/errors');
+const { response, object } = require('../src/schemas/common');
+const { promptSizeError } = require('../src/utils/options');
+
+describe('Error Envelope', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = Fastify({ ...requestIdOptions, ajv: { customOptions: { coerceTypes: false } } });
+    setupErrorHandling(app);
+
+    app.post('/items', {
+      schema: {
+        body: object({ name: { type: 'string' } }, { required: ['name'] }),
+        response: response({ 201: object({ name: { type: 'string' } }) }),
+      },
+    }, async (request, reply) => reply.code(201).send({ name: request.body.name }));
+    app.get('/quota', async (request, reply) => reply.code(429).send({
+      error: 'Daily quota exceeded',
+      code: 'quota_exceeded',
+      retryAfter: 60,
+    }));
+    app.get('/missing', async (request, reply) => reply.code(404).send({ error: 'Item not found' }));
+    app.get('/boom', async () => {
+      throw new Error('connection string with secrets');
+    });
+    await app.ready();
+  });
+
+  afterAll(() => app.close());
+
+  test('wraps route errors and keeps their extra fields as details', async () => {
+    const res = await app.inject({ url: '/quota', headers: { 'x-request-id': 'req-42' } });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['x-request-id']).toBe('req-42');
+    expect(res.json()).toEqual({
+      error: { code: 'quota_exceeded', message: 'Daily quota exceeded', details: { retryAfter: 60 }, requestId: 'req-42' },
+    });
+  });
+
+  test('derives the code from the status', async () => {
+    const { error } = (await app.inject({ url: '/missing' })).json();
+    expect(error).toMatchObject({ code: 'not_found', message: 'Item not found', details: null });
+    expect(error.requestId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('reports schema failures with their paths', async () => {
+    const missing = await app.inject({ method: 'POST', url: '/items' });
+    expect(missing.statusCode).toBe(400);
+    expect(missing.json().error.code).toBe('validation_failed');
+
+    const wrongType = await app.inject({ method: 'POST', url: '/items', payload: { name: 5 } });
+    expect(wrongType.json().error.details.errors).toEqual([{ path: 'body/name', message: 'must be string' }]);
+  });
+
+  test('hides the message of unexpected errors', async () => {
+    const res = await app.inject({ url: '/boom' });
+    expect(res.statusCode).toBe(500);
+    expect(res.json().error).toMatchObject({ code: 'internal_error', message: 'Internal server error' });
+  });
+
+  test('answers unknown routes in the same shape', async () => {
+    const res = await app.inject({ method: 'DELETE', url: '/nope?x=1' });
+    expect(res.statusCode).toBe(404);
+    expect(res.json().error.message).toBe('Route DELETE /nope not found');
+  });
+});
+
+describe('Prompt Size Limits', () => {
+  test('rejects prompts and contexts over the limits', () => {
+    expect(promptSizeError('hi', { a: 1 })).toBeNull();
+    expect(promptSizeError('x'.repeat(config.limits.queryMaxLength + 1))).toMatch(/Query must be at most/);
+    expect(promptSizeError('hi', { a: 'x'.repeat(config.limits.contextMaxBytes) })).toMatch(/context must be at most/);
+  });
+});
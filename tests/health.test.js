@@ -0,0 +1,78 @@
+/**
+ * Health Check Tests
+ * Validates check timing, status thresholds, heartbeat expiry and the overall status
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const {
+  timedCheck,
+  worstStatus,
+  overallStatus,
+  backlogStatus,
+  diskStatus,
+  partitionHeartbeats,
+  parseVersion,
+} = require('../src/utils/health');
+
+describe('Timed checks', () => {
+  test('adds latency to the check result', async () => {
+    const result = await timedCheck(async () => ({ status: 'pass', version: '1.0.0' }), 1000);
+    expect(result).toMatchObject({ status: 'pass', version: '1.0.0' });
+    expect(typeof result.latencyMs).toBe('number');
+  });
+
+  test('turns errors into failures', async () => {
+    const result = await timedCheck(async () => { throw new Error('boom'); }, 1000);
+    expect(result).toMatchObject({ status: 'fail', error: 'boom' });
+  });
+
+  test('fails checks that take too long', async () => {
+    const result = await timedCheck(() => new Promise(() => {}), 20);
+    expect(result).toMatchObject({ status: 'fail', error: 'Timed out after 20ms' });
+  });
+});
+
+describe('Statuses', () => {
+  test('picks the worst check status', () => {
+    expect(worstStatus([])).toBe('pass');
+    expect(worstStatus(['pass', 'warn'])).toBe('warn');
+    expect(worstStatus(['warn', 'fail', 'pass'])).toBe('fail');
+  });
+
+  test('is down when a critical check fails and degraded for any other failure', () => {
+    expect(overallStatus({ redis: { status: 'pass', critical: true }, disk: { status: 'warn' } })).toBe('ok');
+    expect(overallStatus({ redis: { status: 'pass', critical: true }, claude: { status: 'fail' } })).toBe('degraded');
+    expect(overallStatus({ redis: { status: 'fail', critical: true }, claude: { status: 'fail' } })).toBe('down');
+  });
+
+  test('compares the backlog with its thresholds', () => {
+    const limits = { warn: 10, max: 100 };
+    expect(backlogStatus(0, limits)).toBe('pass');
+    expect(backlogStatus(10, limits)).toBe('warn');
+    expect(backlogStatus(100, limits)).toBe('fail');
+  });
+
+  test('warns before free disk space drops below the minimum', () => {
+    expect(diskStatus(500, 100)).toBe('pass');
+    expect(diskStatus(150, 100)).toBe('warn');
+    expect(diskStatus(99, 100)).toBe('fail');
+  });
+});
+
+describe('Worker heartbeats', () => {
+  test('separates live workers from stale ones', () => {
+    const now = 100000;
+    const heartbeats = {
+      'a:1': { updatedAt: now - 5000 },
+      'b:2': { updatedAt: now - 31000 },
+    };
+    expect(partitionHeartbeats(heartbeats, { now, maxAge: 30000 })).toEqual({ live: ['a:1'], stale: ['b:2'] });
+  });
+});
+
+describe('Claude version', () => {
+  test('extracts the version number', () => {
+    expect(parseVersion('2.0.14 (Claude Code)\n')).toBe('2.0.14');
+    expect(parseVersion('unexpected')).toBeNull();
+  });
+});
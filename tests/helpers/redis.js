@@ -0,0 +1,18 @@
+// Services and queues each hold their own Redis connections. Suites that
+// load them against a live Redis close them all afterwards so Jest can exit.
+const SERVICES = [
+  'apiKeys', 'batch', 'cache', 'cancellation', 'deduplication', 'health', 'history', 'pubsub',
+  'rateLimit', 'schedules', 'scheduler', 'semanticCache', 'sessions', 'templates', 'usage', 'webhook',
+];
+
+async function closeConnections() {
+  for (const name of SERVICES) {
+    const service = require(`../../src/services/${name}`);
+    [service.client, service.publisher, service.subscriber].filter(Boolean).forEach(client => client.disconnect());
+  }
+  await require('../../src/queues/query').close();
+  await require('../../src/queues/webhooks').webhookQueue.close();
+  await require('../../src/queues/schedules').scheduleQueue.close();
+}
+
+module.exports = { closeConnections };
@@ -0,0 +1,124 @@
+/**
+ * Job History Tests
+ * Validates history search parameters, record matching and job status read
+ * from history. The route tests need a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const Fastify = require('fastify');
+const queue = require('../src/queues/query');
+const history = require('../src/services/history');
+const cancellation = require('../src/services/cancellation');
+const { parseHistoryFilter, matchesFilter } = require('../src/utils/history');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('History Filters', () => {
+  test('defaults to everything up to now, 20 at a time', () => {
+    const { filter } = parseHistoryFilter({});
+    expect(filter).toMatchObject({ status: null, from: 0, text: null, limit: 20, cursor: null });
+    expect(Math.abs(filter.to - Date.now())).toBeLessThan(1000);
+  });
+
+  test('accepts dates, ISO times and epoch milliseconds', () => {
+    const { filter } = parseHistoryFilter({ from: '2026-10-01', to: '2026-10-02' });
+    expect(filter.from).toBe(Date.parse('2026-10-01T00:00:00Z'));
+    // A date as the end of the range includes that whole day
+    expect(filter.to).toBe(Date.parse('2026-10-03T00:00:00Z') - 1);
+
+    expect(parseHistoryFilter({ from: '2026-10-01T12:00:00Z' }).filter.from).toBe(Date.parse('2026-10-01T12:00:00Z'));
+    expect(parseHistoryFilter({ to: '1790000000000' }).filter.to).toBe(1790000000000);
+  });
+
+  test('rejects bad statuses, ranges, limits and cursors', () => {
+    expect(parseHistoryFilter({ status: 'waiting' }).error).toMatch(/status/);
+    expect(parseHistoryFilter({ from: 'yesterday' }).error).toMatch(/from/);
+    expect(parseHistoryFilter({ from: '2026-10-02', to: '2026-10-01' }).error).toMatch(/after/);
+    expect(parseHistoryFilter({ limit: '0' }).error).toMatch(/limit/);
+    expect(parseHistoryFilter({ limit: '101' }).error).toMatch(/limit/);
+    expect(parseHistoryFilter({ cursor: 'abc' }).error).toMatch(/cursor/);
+  });
+
+  test('reads the cursor of the previous page', () => {
+    expect(parseHistoryFilter({ cursor: '1790000000000:3' }).filter.cursor).toEqual({ max: 1790000000000, skip: 3 });
+  });
+});
+
+describe('History Matching', () => {
+  const completed = { status: 'completed', query: 'Summarize the Q3 report', result: { result: 'Revenue grew 12%' }, error: null };
+  const failed = { status: 'failed', query: 'Translate this', result: null, error: 'Claude CLI timed out' };
+
+  test('filters by status', () => {
+    expect(matchesFilter(completed, { status: 'completed' })).toBe(true);
+    expect(matchesFilter(failed, { status: 'completed' })).toBe(false);
+  });
+
+  test('searches the query, the answer and the error', () => {
+    const search = text => [completed, failed].filter(entry => matchesFilter(entry, { text }));
+    expect(search('q3 report')).toEqual([completed]);
+    expect(search('revenue')).toEqual([completed]);
+    expect(search('timed out')).toEqual([failed]);
+    expect(search('invoice')).toEqual([]);
+  });
+});
+
+describe('Job Status From History', () => {
+  const originalEnabled = history.enabled;
+  let app;
+
+  beforeAll(async () => {
+    history.enabled = true;
+
+    app = Fastify();
+    app.decorateRequest('apiKey', null);
+    app.addHook('onRequest', async (request) => {
+      const id = request.headers['x-client'];
+      request.apiKey = id ? { id } : null;
+    });
+    app.register(require('../src/routes/query'), { prefix: '/api' });
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    history.enabled = originalEnabled;
+    await app.close();
+  });
+
+  // A job Bull has removed, recorded in history for `owner`
+  function stubEntry(owner) {
+    jest.spyOn(queue, 'getJob').mockResolvedValue(null);
+    jest.spyOn(cancellation, 'get').mockResolvedValue(null);
+    jest.spyOn(history, 'get').mockResolvedValue({
+      jobId: 'job-1',
+      clientId: owner,
+      status: 'completed',
+      result: { result: 'secret' },
+      error: null,
+      finishedAt: 1790000000000,
+    });
+  }
+
+  function getStatus(client) {
+    return app.inject({ url: '/api/query/job-1', headers: client ? { 'x-client': client } : {} });
+  }
+
+  test('returns a removed job to the client that submitted it', async () => {
+    stubEntry('alice');
+
+    const response = await getStatus('alice');
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ jobId: 'job-1', state: 'completed', result: { result: 'secret' } });
+  });
+
+  test('hides a removed job from other clients', async () => {
+    stubEntry('alice');
+
+    expect((await getStatus('mallory')).statusCode).toBe(404);
+    expect((await getStatus()).statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * MCP Routing Tests
+ * Validates config parsing, rule matching, allow-lists, explicit server lists
+ * and reloads across processes
+ */
+
+const path = require('path');
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const config = require('../src/config/config');
+const mcp = require('../src/services/mcp');
+const pubsub = require('../src/services/pubsub');
+const { parseMcpConfig, matchRules, expandEnv } = require('../src/utils/mcp');
+const { parseExecutionOptions } = require('../src/utils/options');
+
+const servers = {
+  sqlite: { command: 'uvx', args: ['mcp-server-sqlite'] },
+  fetch: { command: 'uvx', args: ['mcp-server-fetch'] },
+  github: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-github'], env: { TOKEN: '${GH}' } },
+};
+
+describe('MCP Config', () => {
+  test('rejects rules that are incomplete or use unknown servers', () => {
+    expect(parseMcpConfig({ servers: { bad: {} } }).error).toMatch(/needs a command/);
+    expect(parseMcpConfig({ servers, rules: [{ servers: ['nope'], keywords: ['x'] }] }).error)
+      .toMatch(/unknown MCP server 'nope'/);
+    expect(parseMcpConfig({ servers, rules: [{ name: 'empty', servers: ['sqlite'] }] }).error)
+      .toMatch(/needs a pattern, keywords or context/);
+    expect(parseMcpConfig({ servers, rules: [{ servers: ['sqlite'], pattern: '(' }] }).error).toMatch(/#1/);
+  });
+
+  test('expands environment variables in args and env', () => {
+    expect(expandEnv('--db ${DB}/x', { DB: '/data' })).toBe('--db /data/x');
+    expect(expandEnv('${MISSING}', {})).toBe('');
+  });
+});
+
+describe('Rule Matching', () => {
+  const { rules } = parseMcpConfig({
+    servers,
+    rules: [
+      { name: 'database', servers: ['sqlite'], keywords: ['sql', '.csv'] },
+      { name: 'web', servers: ['fetch'], pattern: '\\bhttps?://', flags: 'gi' },
+      { name: 'prod-code', servers: ['github', 'fetch'], keywords: ['refactor'], context: { env: ['prod', 'staging'] } },
+    ],
+  });
+
+  test('collects the servers of every matching rule', () => {
+    expect(matchRules(rules, { query: 'Load data.csv with SQL from https://x.io' })).toEqual({
+      servers: ['sqlite', 'fetch'],
+      rules: ['database', 'web'],
+    });
+    // Repeated tests must not depend on regex state
+    expect(matchRules(rules, { query: 'see https://x.io' }).servers).toEqual(['fetch']);
+  });
+
+  test('matches keywords as whole words', () => {
+    expect(matchRules(rules, { query: 'mysqld is down' }).servers).toEqual([]);
+  });
+
+  test('requires every matcher of a rule, including context fields', () => {
+    expect(matchRules(rules, { query: 'refactor this', context: { env: 'dev' } }).servers).toEqual([]);
+    expect(matchRules(rules, { query: 'refactor this', context: { env: 'prod' } }).servers).toEqual(['github', 'fetch']);
+  });
+});
+
+describe('MCP Router', () => {
+  const originalEnabled = mcp.enabled;
+  const originalFile = mcp.file;
+
+  beforeAll(() => {
+    mcp.enabled = true;
+  });
+
+  afterAll(() => {
+    mcp.enabled = originalEnabled;
+    mcp.file = originalFile;
+    mcp.reload();
+  });
+
+  test('limits routed servers to the key allow-list', () => {
+    const query = 'Refactor the function behind this API endpoint';
+    expect(mcp.route({ query }).servers).toEqual(['fetch', 'github']);
+    expect(mcp.route({ query, allowed: ['github'] })).toEqual({ servers: ['github'], rules: ['web', 'code'], source: 'rules' });
+  });
+
+  test('validates explicit server lists against the config and allow-list', () => {
+    expect(parseExecutionOptions({ mcpServers: ['sqlite', 'sqlite'] })).toEqual({ options: { mcpServers: ['sqlite'] } });
+    expect(parseExecutionOptions({ mcpServers: ['nope'] }).error).toMatch(/Unknown MCP server/);
+    expect(parseExecutionOptions({ mcpServers: ['sqlite'] }, { mcpServers: ['fetch'] }).error).toMatch(/not allowed/);
+    expect(mcp.route({ query: 'SELECT 1', requested: [] }).servers).toEqual([]);
+  });
+
+  test('keeps the current config when a reload fails', () => {
+    mcp.file = path.join(__dirname, 'does-not-exist.json');
+    expect(mcp.reload().error).toMatch(/ENOENT/);
+    expect(mcp.getServersForQuery('SELECT * FROM users')).toEqual(['sqlite']);
+  });
+
+  test('tells the other processes to reload once the file loads here', async () => {
+    const publish = jest.spyOn(pubsub, 'publish').mockResolvedValue();
+
+    mcp.file = path.join(__dirname, 'does-not-exist.json');
+    expect((await mcp.reloadAll()).error).toMatch(/ENOENT/);
+    expect(publish).not.toHaveBeenCalled();
+
+    mcp.file = originalFile;
+    expect(await mcp.reloadAll()).toMatchObject({ servers: expect.any(Number) });
+    expect(publish).toHaveBeenCalledWith('mcp:reload', { origin: config.instanceId });
+    publish.mockRestore();
+  });
+
+  test('reloads when another process asks', async () => {
+    let handler;
+    const subscribe = jest.spyOn(pubsub, 'subscribe').mockImplementation(async (channel, fn) => { handler = fn; });
+    const reload = jest.spyOn(mcp, 'reload');
+
+    await mcp.listen();
+    expect(subscribe).toHaveBeenCalledWith('mcp:reload', expect.any(Function));
+
+    handler({ origin: config.instanceId });
+    expect(reload).not.toHaveBeenCalled();
+    handler({ origin: 'worker-2' });
+    expect(reload).toHaveBeenCalledTimes(1);
+
+    subscribe.mockRestore();
+    reload.mockRestore();
+  });
+
+  test('builds the CLI config document without exposing env in listings', () => {
+    expect(mcp.cliConfig([])).toBeNull();
+    expect(Object.keys(mcp.cliConfig(['github', 'fetch']).mcpServers)).toEqual(['github', 'fetch']);
+    expect(mcp.listServers(['github'])).toEqual([
+      expect.objectContaining({ name: 'github', env: ['GITHUB_PERSONAL_ACCESS_TOKEN'] }),
+    ]);
+  });
+});
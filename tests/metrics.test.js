@@ -0,0 +1,69 @@
+/**
+ * Metrics Tests
+ * Validates HTTP request labels and merging metrics across replicas
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const Fastify = require('fastify');
+const { Registry, Counter, Gauge } = require('prom-client');
+const { registry } = require('../src/metrics/registry');
+const { setupHttpMetrics } = require('../src/metrics/http');
+const { aggregateSnapshots } = require('../src/metrics/aggregator');
+
+async function snapshot(jobs, queued) {
+  const replica = new Registry();
+  new Counter({ name: 'jobs_total', help: 'jobs', registers: [replica] }).inc(jobs);
+  new Gauge({ name: 'queue_size', help: 'queue', aggregator: 'first', registers: [replica] }).set(queued);
+  return replica.getMetricsAsJSON();
+}
+
+describe('HTTP metrics', () => {
+  test('labels requests by route pattern and status', async () => {
+    const fastify = Fastify();
+    setupHttpMetrics(fastify);
+    fastify.get('/items/:id', async () => ({ ok: true }));
+
+    await fastify.inject({ method: 'GET', url: '/items/abc' });
+    await fastify.inject({ method: 'GET', url: '/missing/xyz' });
+    await fastify.close();
+
+    const { values } = await registry.getSingleMetric('http_requests_total').get();
+    const labels = values.map(value => value.labels);
+    expect(labels).toContainEqual({ method: 'GET', route: '/items/:id', status: 200 });
+    expect(labels).toContainEqual({ method: 'GET', route: 'unmatched', status: 404 });
+    expect(labels.some(label => label.route.includes('abc'))).toBe(false);
+  });
+});
+
+describe('Replica aggregation', () => {
+  test('sums counters and keeps one value for shared gauges', async () => {
+    const now = Date.now();
+    const merged = aggregateSnapshots([
+      { updatedAt: now, metrics: await snapshot(3, 7) },
+      { updatedAt: now - 1000, metrics: await snapshot(4, 7) },
+    ], { now, maxAge: 45000 });
+
+    expect((await merged.getSingleMetric('jobs_total').get()).values[0].value).toBe(7);
+    expect((await merged.getSingleMetric('queue_size').get()).values[0].value).toBe(7);
+  });
+
+  test('drops replicas that stopped publishing', async () => {
+    const now = Date.now();
+    const merged = aggregateSnapshots([
+      { updatedAt: now, metrics: await snapshot(3, 0) },
+      { updatedAt: now - 60000, metrics: await snapshot(100, 0) },
+    ], { now, maxAge: 45000 });
+
+    expect((await merged.getSingleMetric('jobs_total').get()).values[0].value).toBe(3);
+  });
+
+  test('keeps the counter totals of departed replicas, but not their gauges', async () => {
+    const now = Date.now();
+    const merged = aggregateSnapshots([
+      { updatedAt: now, metrics: await snapshot(3, 0) },
+    ], { now, maxAge: 45000, retired: [await snapshot(100, 9)] });
+
+    expect((await merged.getSingleMetric('jobs_total').get()).values[0].value).toBe(103);
+    expect((await merged.getSingleMetric('queue_size').get()).values[0].value).toBe(0);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * OpenAI Facade Tests
+ * Validates message flattening, model selection and result mapping for
+ * /v1/chat/completions. The route tests need a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const Fastify = require('fastify');
+const config = require('../src/config/config');
+const queue = require('../src/queues/query');
+const stream = require('../src/services/stream');
+const submission = require('../src/services/submission');
+const { messagesError, formatMessages } = require('../src/utils/prompt');
+const { getResultText, getResultUsage } = require('../src/utils/result');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Message Formatting', () => {
+  test('passes a single user message through unchanged', () => {
+    expect(formatMessages([{ role: 'user', content: 'What is 2+2?' }])).toBe('What is 2+2?');
+  });
+
+  test('prepends system messages and labels conversation turns', () => {
+    const prompt = formatMessages([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: [{ type: 'text', text: 'How are you?' }, { type: 'image_url' }] },
+    ]);
+
+    expect(prompt).toBe('Be brief.\n\nUser: Hi\n\nAssistant: Hello!\n\nUser: How are you?');
+  });
+});
+
+describe('Message Validation', () => {
+  test('accepts chat messages with string or part-list content', () => {
+    expect(messagesError([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: [{ type: 'text', text: 'Hi' }] }])).toBeNull();
+    expect(messagesError([{ role: 'assistant', content: null }, { role: 'user', content: 'Hi' }])).toBeNull();
+  });
+
+  test('rejects anything formatMessages cannot read', () => {
+    expect(messagesError(undefined)).toBe("'messages' must be a non-empty array");
+    expect(messagesError([])).toBe("'messages' must be a non-empty array");
+    expect(messagesError([null])).toBe('messages[0] must be an object');
+    expect(messagesError([{ role: 'user', content: 'Hi' }, 'Hi'])).toBe('messages[1] must be an object');
+    expect(messagesError([{ content: 'Hi' }])).toBe('messages[0].role must be a string');
+    expect(messagesError([{ role: 'user', content: 42 }])).toMatch(/messages\[0\]\.content must be/);
+  });
+
+  test('skips content parts without text', () => {
+    expect(formatMessages([{ role: 'user', content: [null, { type: 'text', text: { x: 1 } }, { type: 'text', text: 'Hi' }] }])).toBe('Hi');
+  });
+});
+
+describe('Result Mapping', () => {
+  test('reads text from CLI JSON and text fallback results', () => {
+    expect(getResultText({ type: 'result', result: '4' })).toBe('4');
+    expect(getResultText({ response: '4', format: 'text' })).toBe('4');
+    expect(getResultText(null)).toBe('');
+  });
+
+  test('reads token usage with missing fields as zero', () => {
+    const usage = getResultUsage({ usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 2 } });
+
+    expect(usage).toEqual({ inputTokens: 10, outputTokens: 5, cacheCreationTokens: 0, cacheReadTokens: 2 });
+    expect(getResultUsage({ response: 'x' }).inputTokens).toBe(0);
+  });
+});
+
+describe('Model Selection', () => {
+  const originalModels = config.openai.models;
+  const originalAllowed = config.claude.allowedModels;
+  let app;
+
+  beforeAll(async () => {
+    config.openai.models = ['claude-code', 'sonnet', 'opus'];
+    config.claude.allowedModels = [];
+
+    app = Fastify();
+    app.decorateRequest('apiKey', null);
+    app.addHook('onRequest', async (request) => {
+      request.apiKey = { id: 'alice', policy: { models: ['sonnet'] } };
+    });
+    app.register(require('../src/routes/openai'), { prefix: '/v1' });
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    config.openai.models = originalModels;
+    config.claude.allowedModels = originalAllowed;
+    await app.close();
+  });
+
+  function stubSubmit() {
+    return jest.spyOn(submission, 'submit')
+      .mockResolvedValue({ requestId: 'r', status: 'cached', cacheTier: 'exact', result: { result: '4' } });
+  }
+
+  function complete(payload) {
+    return app.inject({
+      method: 'POST',
+      url: '/v1/chat/completions',
+      payload: { messages: [{ role: 'user', content: 'What is 2+2?' }], ...payload },
+    });
+  }
+
+  test('runs the default model for claude-code or no model', async () => {
+    const submit = stubSubmit();
+
+    const response = await complete({ model: 'claude-code' });
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ model: 'claude-code', choices: [{ message: { content: '4' } }] });
+    expect(submit).toHaveBeenLastCalledWith(expect.objectContaining({ options: {} }));
+
+    expect((await complete({})).json().model).toBe('claude-code');
+    expect(submit).toHaveBeenLastCalledWith(expect.objectContaining({ options: {} }));
+  });
+
+  test('passes other listed models to the execution', async () => {
+    const submit = stubSubmit();
+
+    expect((await complete({ model: 'sonnet' })).statusCode).toBe(200);
+    expect(submit).toHaveBeenLastCalledWith(expect.objectContaining({ options: { model: 'sonnet' } }));
+
+    await complete({ model: 'sonnet', stream: true });
+    expect(submit).toHaveBeenLastCalledWith(expect.objectContaining({ options: { model: 'sonnet' } }));
+  });
+
+  test('rejects models that are not listed', async () => {
+    const submit = stubSubmit();
+
+    for (const model of ['gpt-4', 42]) {
+      const response = await complete({ model });
+      expect(response.statusCode).toBe(404);
+      expect(response.json().error).toMatchObject({ param: 'model', code: 'model_not_found' });
+    }
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  test("applies the key's model policy", async () => {
+    const submit = stubSubmit();
+
+    const response = await complete({ model: 'opus' });
+    expect(response.statusCode).toBe(400);
+    expect(response.json().error).toMatchObject({ param: 'model', message: "Model 'opus' is not allowed" });
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  test('ends a stream with an error when an attempt fails after sending text', async () => {
+    const originalStreaming = config.features.streamingEnabled;
+    config.features.streamingEnabled = true;
+    let onEvent;
+    jest.spyOn(stream, 'subscribe').mockImplementation(async (id, handler) => {
+      onEvent = handler;
+      return async () => {};
+    });
+    jest.spyOn(queue, 'getJob').mockResolvedValue(null);
+    const submit = jest.spyOn(submission, 'submit')
+      .mockImplementation(async ({ requestId }) => ({ requestId, status: 'queued', jobId: requestId }));
+
+    const pending = complete({ stream: true });
+    while (!submit.mock.calls.length) await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+
+    onEvent({ event: 'retry', data: { attempt: 1, error: 'Claude timed out' } });
+    onEvent({ event: 'chunk', data: { text: 'Fo' } });
+    onEvent({ event: 'retry', data: { attempt: 2, error: 'Claude timed out' } });
+    onEvent({ event: 'chunk', data: { text: 'Four.' } });
+
+    const events = (await pending).body.split('\n\n').filter(Boolean).map(line => line.slice('data: '.length));
+    config.features.streamingEnabled = originalStreaming;
+
+    // A retry before any text is harmless; one after it ends the stream
+    expect(events.slice(1, -2).map(e => JSON.parse(e).choices[0].delta.content)).toEqual(['Fo']);
+    expect(JSON.parse(events[events.length - 2]).error.message).toMatch(/partial output \(Claude timed out\)/);
+    expect(events[events.length - 1]).toBe('[DONE]');
+  });
+});
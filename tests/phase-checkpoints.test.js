@@ -189,7 +189,7 @@ describe('Phase 3: Queue Processing', () => {
   let queue;
 
   beforeAll(() => {
-    queue = require('../src/queues/processor');
+    queue = require('../src/queues/query');
   });
 
   afterAll(async () => {
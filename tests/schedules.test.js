@@ -0,0 +1,116 @@
+/**
+ * Schedule Tests
+ * Validates scheduled runs following their jobs and the counters kept on
+ * the schedule. Needs a running Redis.
+ */
+
+const { describe, test, expect, afterAll, afterEach } = require('@jest/globals');
+const queue = require('../src/queues/query');
+const schedules = require('../src/services/schedules');
+const submission = require('../src/services/submission');
+const { fire } = require('../src/queues/schedules');
+const { closeConnections } = require('./helpers/redis');
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(closeConnections);
+
+function createSchedule() {
+  return schedules.create({
+    owner: 'anonymous',
+    tenant: 'anonymous',
+    cron: '0 9 * * *',
+    timezone: 'UTC',
+    query: 'Daily report',
+    context: {},
+    priority: 5,
+    options: {},
+  });
+}
+
+function finishedJob(state, fields) {
+  return { getState: async () => state, ...fields };
+}
+
+describe('Scheduled runs', () => {
+  test('resolves a run whose job finished before it was watched', async () => {
+    const schedule = await createSchedule();
+    jest.spyOn(submission, 'submit').mockResolvedValue({ requestId: 'r', status: 'queued', jobId: 'sched-done' });
+    jest.spyOn(queue, 'getJob').mockResolvedValue(finishedJob('completed', { returnvalue: { result: 'report' } }));
+
+    await fire({ data: { scheduleId: schedule.id } });
+
+    const [run] = await schedules.getRuns(schedule.id);
+    expect(run).toMatchObject({ jobId: 'sched-done', status: 'completed', result: { result: 'report' } });
+    expect((await schedules.get(schedule.id)).lastRun.status).toBe('completed');
+  });
+
+  test('counts failures of jobs that finished first, once each', async () => {
+    const schedule = await createSchedule();
+    jest.spyOn(submission, 'submit').mockResolvedValue({ requestId: 'r', status: 'queued', jobId: 'sched-failed' });
+    jest.spyOn(queue, 'getJob').mockResolvedValue(finishedJob('failed', { failedReason: 'boom' }));
+
+    await fire({ data: { scheduleId: schedule.id } });
+    // The worker reports the same job afterwards
+    await schedules.handleJobFinished('sched-failed', { error: 'boom' });
+
+    const updated = await schedules.get(schedule.id);
+    expect(updated).toMatchObject({ runs: 1, failures: 1, consecutiveFailures: 1 });
+    expect(updated.lastRun).toMatchObject({ status: 'failed', error: 'boom' });
+  });
+
+  test('leaves runs of running jobs to the worker', async () => {
+    const schedule = await createSchedule();
+    jest.spyOn(submission, 'submit').mockResolvedValue({ requestId: 'r', status: 'queued', jobId: 'sched-running' });
+    jest.spyOn(queue, 'getJob').mockResolvedValue(finishedJob('active', {}));
+
+    await fire({ data: { scheduleId: schedule.id } });
+    expect((await schedules.getRuns(schedule.id))[0].status).toBe('queued');
+
+    await schedules.handleJobFinished('sched-running', { result: 'later' });
+    expect((await schedules.getRuns(schedule.id))[0]).toMatchObject({ status: 'completed', result: 'later' });
+  });
+});
+
+describe('Schedule summary', () => {
+  test('counts finished runs without rewriting the schedule', async () => {
+    const schedule = await createSchedule();
+    jest.spyOn(queue, 'getJob').mockResolvedValue(finishedJob('active', {}));
+    jest.spyOn(submission, 'submit').mockResolvedValue({ requestId: 'r', status: 'queued', jobId: 'sched-paused' });
+    await fire({ data: { scheduleId: schedule.id } });
+
+    // A pause lands while the run is still going
+    const paused = await schedules.update(schedule.id, { status: 'paused', name: 'Renamed' });
+    await schedules.handleJobFinished('sched-paused', { error: 'boom' });
+
+    const updated = await schedules.get(schedule.id);
+    expect(updated).toMatchObject({ status: 'paused', name: 'Renamed', runs: 1, failures: 1, consecutiveFailures: 1 });
+    expect(updated.updatedAt).toBe(paused.updatedAt);
+    expect(updated.lastRun).toMatchObject({ jobId: 'sched-paused', status: 'failed' });
+  });
+
+  test('keeps the newest run as the last run and resets failures on resume', async () => {
+    const schedule = await createSchedule();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValueOnce(now - 1000);
+    await schedules.recordRun(schedule, { jobId: 'sched-older', status: 'queued' });
+    await schedules.recordRun(schedule, { jobId: null, status: 'failed', error: 'newer' });
+    await schedules.handleJobFinished('sched-older', { error: 'older' });
+
+    const failing = await schedules.get(schedule.id);
+    expect(failing).toMatchObject({ runs: 2, failures: 2, consecutiveFailures: 2 });
+    expect(failing.lastRun.error).toBe('newer');
+
+    const resumed = await schedules.update(schedule.id, { status: 'active' });
+    expect(resumed.consecutiveFailures).toBe(0);
+    expect((await schedules.get(schedule.id)).consecutiveFailures).toBe(0);
+  });
+
+  test('ignores runs of deleted schedules', async () => {
+    const schedule = await createSchedule();
+    await schedules.recordRun(schedule, { jobId: 'sched-deleted', status: 'queued' });
+    await schedules.delete(schedule.id);
+
+    await schedules.handleJobFinished('sched-deleted', { result: 'late' });
+    expect(await schedules.client.exists(schedules._key(schedule.id, 'summary'))).toBe(0);
+  });
+});
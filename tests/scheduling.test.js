@@ -0,0 +1,169 @@
+/**
+ * Scheduling Tests
+ * Validates priority tiers, runAt/delay parsing, recurring schedules and fair
+ * queueing across tenants. Fair queueing needs a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, beforeEach, afterAll } = require('@jest/globals');
+const config = require('../src/config/config');
+const scheduler = require('../src/services/scheduler');
+const { PRIORITY_TIERS, parsePriority, parseSchedule, parseCron } = require('../src/utils/scheduling');
+
+describe('Priorities', () => {
+  test('defaults to the normal tier', () => {
+    expect(parsePriority()).toEqual({ priority: PRIORITY_TIERS.normal });
+  });
+
+  test('orders named tiers from critical to low', () => {
+    const order = ['critical', 'high', 'normal', 'low'].map(name => parsePriority(name).priority);
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+  });
+
+  test('accepts integers from 1 to 10', () => {
+    expect(parsePriority(1)).toEqual({ priority: 1 });
+    expect(parsePriority(10)).toEqual({ priority: 10 });
+  });
+
+  test('rejects unknown names and out-of-range numbers', () => {
+    expect(parsePriority('urgent').error).toMatch(/priority/);
+    expect(parsePriority(0).error).toMatch(/priority/);
+    expect(parsePriority(2.5).error).toMatch(/priority/);
+    expect(parsePriority('3').error).toMatch(/priority/);
+  });
+});
+
+describe('Scheduling', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  test('runs immediately when nothing is set', () => {
+    expect(parseSchedule({}, now)).toEqual({ delay: 0 });
+  });
+
+  test('converts delay seconds to milliseconds', () => {
+    expect(parseSchedule({ delay: 90 }, now)).toEqual({ delay: 90000 });
+  });
+
+  test('accepts runAt as ISO 8601 or epoch milliseconds', () => {
+    expect(parseSchedule({ runAt: '2026-01-01T01:00:00Z' }, now)).toEqual({ delay: 3600000 });
+    expect(parseSchedule({ runAt: now + 5000 }, now)).toEqual({ delay: 5000 });
+  });
+
+  test('runs past runAt times immediately', () => {
+    expect(parseSchedule({ runAt: '2025-12-31T00:00:00Z' }, now)).toEqual({ delay: 0 });
+  });
+
+  test('rejects invalid or conflicting values', () => {
+    expect(parseSchedule({ runAt: 'tomorrow' }, now).error).toMatch(/runAt/);
+    expect(parseSchedule({ delay: -1 }, now).error).toMatch(/delay/);
+    expect(parseSchedule({ delay: 10, runAt: now }, now).error).toMatch(/not both/);
+    expect(parseSchedule({ delay: config.queue.maxDelay + 1 }, now).error).toMatch(/at most/);
+  });
+});
+
+describe('Recurring schedules', () => {
+  const now = Date.parse('2026-01-05T12:00:00Z'); // a Monday
+
+  test('computes the next run in the schedule timezone', () => {
+    const parsed = parseCron('0 7 * * 1-5', 'Europe/Berlin', now);
+    expect(parsed.cron).toBe('0 7 * * 1-5');
+    expect(new Date(parsed.nextRunAt).toISOString()).toBe('2026-01-06T06:00:00.000Z');
+  });
+
+  test('defaults to UTC', () => {
+    expect(parseCron('30 6 * * *', undefined, now)).toEqual({
+      cron: '30 6 * * *',
+      timezone: 'UTC',
+      nextRunAt: Date.parse('2026-01-06T06:30:00Z'),
+    });
+  });
+
+  test('rejects malformed expressions and unknown timezones', () => {
+    expect(parseCron('0 7 * *', 'UTC', now).error).toMatch(/cron/);
+    expect(parseCron('61 * * * *', 'UTC', now).error).toMatch(/Invalid cron/);
+    expect(parseCron('0 7 * * *', 'Mars/Olympus', now).error).toMatch(/timezone/);
+  });
+
+  test('rejects runs closer together than the minimum interval', () => {
+    expect(parseCron('*/10 * * * * *', 'UTC', now).error).toMatch(/apart/);
+    expect(parseCron('* * * * *', 'UTC', now).error).toBeUndefined();
+  });
+});
+
+describe('Fair Scheduling', () => {
+  const originalEnabled = config.features.fairSchedulingEnabled;
+  const run = Date.now();
+  const normal = PRIORITY_TIERS.normal;
+
+  beforeAll(() => {
+    config.features.fairSchedulingEnabled = true;
+  });
+
+  afterAll(() => {
+    config.features.fairSchedulingEnabled = originalEnabled;
+    scheduler.client.disconnect();
+  });
+
+  beforeEach(async () => {
+    await scheduler.client.del('fair:vt');
+  });
+
+  // Enqueues the jobs in order and returns their tenant ids in the order Bull
+  // would run them (lowest priority first)
+  async function runOrder(jobs) {
+    const assigned = [];
+    for (const [tenant, weight = 1, tier = normal] of jobs) {
+      const { priority } = await scheduler.assign(tier, { id: `${tenant}-${run}`, weight });
+      assigned.push({ tenant, priority });
+    }
+    return assigned.sort((a, b) => a.priority - b.priority).map(job => job.tenant);
+  }
+
+  test('interleaves a tenant that arrives behind a large batch', async () => {
+    const batch = Array.from({ length: 4 }, () => ['batch']);
+    expect(await runOrder([...batch, ['single']])).toEqual(['batch', 'single', 'batch', 'batch', 'batch']);
+  });
+
+  test('gives tenants turns in proportion to their weights', async () => {
+    const jobs = [
+      ...Array.from({ length: 4 }, () => ['light', 1]),
+      ...Array.from({ length: 4 }, () => ['heavy', 2]),
+    ];
+    const order = await runOrder(jobs);
+
+    // heavy's tags are 0.5, 1, 1.5, 2; light's 1, 2, 3, 4 (ties go to the first enqueued)
+    expect(order).toEqual(['heavy', 'light', 'heavy', 'heavy', 'light', 'heavy', 'light', 'light']);
+  });
+
+  test('starts a newcomer at the virtual time of the last job started', async () => {
+    const early = await scheduler.assign(normal, { id: `early-${run}` });
+    await scheduler.assign(normal, { id: `early-${run}` });
+    const started = await scheduler.assign(normal, { id: `early-${run}` });
+    await scheduler.markStarted({ id: 'job-3', data: { fairTag: started.tag } });
+
+    // Idle time earns no credit: the newcomer queues after the job just started
+    const late = await scheduler.assign(normal, { id: `late-${run}` });
+    expect(early.tag).toBe(1000);
+    expect(late.tag).toBe(started.tag + 1000);
+
+    // Starting an older job never moves the clock back
+    await scheduler.markStarted({ id: 'job-1', data: { fairTag: early.tag } });
+    expect(Number(await scheduler.client.get('fair:vt'))).toBe(started.tag);
+  });
+
+  test('never lets a tag push a job past a more urgent tier', async () => {
+    const order = await runOrder([
+      ...Array.from({ length: 50 }, () => ['busy', 1, PRIORITY_TIERS.critical]),
+      ['idle', 1, PRIORITY_TIERS.high],
+    ]);
+    expect(order[order.length - 1]).toBe('idle');
+  });
+
+  test('uses the tier alone when fair scheduling is off', async () => {
+    config.features.fairSchedulingEnabled = false;
+    try {
+      expect(await scheduler.assign(normal, { id: `off-${run}`, weight: 3 })).toEqual({ priority: normal, tag: null });
+    } finally {
+      config.features.fairSchedulingEnabled = true;
+    }
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Semantic Cache Tests
+ * Validates the local n-gram embedder, vector helpers and which prompts may
+ * share a semantic hit. The lookups need a running Redis.
+ */
+
+const { describe, test, expect, afterAll, afterEach } = require('@jest/globals');
+const { getEmbedder } = require('../src/services/embeddings');
+const semanticCache = require('../src/services/semanticCache');
+const { cosineSimilarity, encodeVector, decodeVector } = require('../src/utils/vector');
+
+const ngram = getEmbedder('ngram');
+
+async function similarity(a, b) {
+  return cosineSimilarity(await ngram.embed(a), await ngram.embed(b));
+}
+
+describe('N-gram Embedder', () => {
+  test('produces unit vectors of the configured size', async () => {
+    const vector = await ngram.embed('What is the capital of France?');
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+
+    expect(vector).toHaveLength(ngram.dimensions);
+    expect(norm).toBeCloseTo(1, 6);
+  });
+
+  test('ignores case and punctuation', async () => {
+    expect(await similarity('Explain TCP handshakes', 'explain tcp handshakes!!')).toBeCloseTo(1, 6);
+  });
+
+  test('scores reworded prompts above unrelated ones', async () => {
+    const reworded = await similarity(
+      'Write a function that reverses a string in JavaScript',
+      'Write a JavaScript function that reverses a string',
+    );
+    const unrelated = await similarity('Write a function that reverses a string in JavaScript', 'Write a poem about cats');
+
+    expect(reworded).toBeGreaterThan(0.9);
+    expect(unrelated).toBeLessThan(0.5);
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => getEmbedder('nope')).toThrow('Unknown embedding provider: nope');
+  });
+});
+
+describe('Vector Helpers', () => {
+  test('round-trips vectors through the stored encoding', () => {
+    const vector = [0.5, -0.25, 0.125, 0];
+    expect(decodeVector(encodeVector(vector))).toEqual(vector);
+  });
+
+  test('treats empty and mismatched vectors as dissimilar', () => {
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+  });
+});
+
+describe('Semantic Lookup', () => {
+  const context = { suite: `semantic-${Date.now()}` };
+
+  afterAll(async () => {
+    await semanticCache.clear();
+    semanticCache.client.disconnect();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function hitFor(cached, query) {
+    const scope = { context: { ...context, cached }, options: {} };
+    await semanticCache.add({ query: cached, ...scope }, 'hash-1');
+    return semanticCache.search({ query, ...scope });
+  }
+
+  test('matches prompts that differ in case, punctuation or filler words', async () => {
+    const hit = await hitFor('Explain TCP handshakes', 'Please explain the TCP handshakes!');
+    expect(hit.hash).toBe('hash-1');
+    expect(hit.similarity).toBeCloseTo(1, 5);
+  });
+
+  test('matches a reworded prompt at the default threshold', async () => {
+    const hit = await hitFor(
+      'Write a function that reverses a string in JavaScript',
+      'Write a JavaScript function that reverses a string',
+    );
+    expect(hit).toMatchObject({ hash: 'hash-1' });
+    expect(hit.similarity).toBeLessThan(1);
+  });
+
+  test('tells prompts with swapped pronouns apart', async () => {
+    expect(await hitFor('Tell me what you owe', 'Tell you what me owe')).toBeNull();
+    expect(await hitFor('Can you help me?', 'Can I help you?')).toBeNull();
+  });
+
+  test('never matches prompts with other numbers', async () => {
+    expect(await hitFor('Is 7 a prime number?', 'Is 9 a prime number?')).toBeNull();
+    expect(await hitFor('Is 7 a prime number?', 'Is 7 a prime number, or 9?')).toBeNull();
+  });
+
+  test('never matches a negated prompt', async () => {
+    expect(await hitFor('Why is the sky blue?', 'Why is the sky not blue?')).toBeNull();
+    expect(await hitFor('Should I use tabs?', "Shouldn't I use tabs?")).toBeNull();
+  });
+
+  test('leaves the hit to the similarity threshold', async () => {
+    const scope = { context: { ...context, threshold: true }, options: {} };
+    await semanticCache.add({ query: 'Summarise the report', ...scope }, 'hash-2');
+
+    expect(await semanticCache.search({ query: 'Summarize the report', ...scope }, 0.5)).toMatchObject({ hash: 'hash-2' });
+    expect(await semanticCache.search({ query: 'Summarize the report', ...scope }, 0.99)).toBeNull();
+  });
+
+  test('expires each entry with its own response', async () => {
+    const scope = { context: { ...context, ttl: true }, options: {} };
+    const key = semanticCache._key(scope.context, scope.options);
+    await semanticCache.add({ query: 'Explain TCP handshakes', ...scope }, 'long', 3600);
+    await semanticCache.add({ query: 'Explain UDP datagrams', ...scope }, 'short', 5);
+
+    // The short entry neither shortens nor drops the long one
+    expect(await semanticCache.client.ttl(key)).toBeGreaterThan(3500);
+    expect(await semanticCache.client.ttl(semanticCache._orderKey(key))).toBeGreaterThan(3500);
+
+    const later = Date.now() + 10000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    expect(await semanticCache.search({ query: 'Explain UDP datagrams', ...scope })).toBeNull();
+    expect(await semanticCache.search({ query: 'Explain TCP handshakes', ...scope })).toMatchObject({ hash: 'long' });
+
+    await semanticCache.add({ query: 'Explain ICMP', ...scope }, 'other', 3600);
+    expect(await semanticCache.client.hkeys(key)).toEqual(expect.arrayContaining(['long', 'other']));
+    expect(await semanticCache.client.hkeys(key)).not.toContain('short');
+  });
+});
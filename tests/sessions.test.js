@@ -0,0 +1,202 @@
+/**
+ * Session Tests
+ * Validates session storage, the one-turn-at-a-time lock, CLI session resume
+ * across attempts and the session routes. Needs a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const Fastify = require('fastify');
+const config = require('../src/config/config');
+const sessions = require('../src/services/sessions');
+const submission = require('../src/services/submission');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+describe('Session Service', () => {
+  test('creates, lists and deletes sessions per owner', async () => {
+    const owner = `owner-${Date.now()}`;
+    const session = await sessions.create({ owner, title: 'Trip', options: { model: 'sonnet' } });
+
+    expect(session).toMatchObject({ owner, title: 'Trip', turns: 0, started: false, options: { model: 'sonnet' } });
+    expect(session.claudeSessionId).not.toBe(session.id);
+    expect((await sessions.list(owner)).map(s => s.id)).toEqual([session.id]);
+    expect(await sessions.list('someone-else')).toEqual([]);
+
+    expect(await sessions.delete(session.id)).toBe(true);
+    expect(await sessions.get(session.id)).toBeNull();
+    expect(await sessions.list(owner)).toEqual([]);
+    expect(await sessions.delete(session.id)).toBe(false);
+  });
+
+  test('records replies and failures in the transcript', async () => {
+    const session = await sessions.create({ owner: 'transcript' });
+    await sessions.acquireTurn(session.id, 'job-1');
+    await sessions.appendMessage(session.id, { role: 'user', content: 'Hi', jobId: 'job-1' });
+
+    const replied = await sessions.recordReply(session.id, { jobId: 'job-1', content: 'Hello!' });
+    expect(replied).toMatchObject({ turns: 1, lastError: null });
+    expect((await sessions.getMessages(session.id)).map(m => [m.role, m.content])).toEqual([
+      ['user', 'Hi'],
+      ['assistant', 'Hello!'],
+    ]);
+    expect(await sessions.getPendingJobId(session.id)).toBeNull();
+
+    await sessions.acquireTurn(session.id, 'job-2');
+    const failed = await sessions.recordFailure(session.id, { jobId: 'job-2', error: 'boom' });
+    expect(failed).toMatchObject({ turns: 1, lastError: { jobId: 'job-2', error: 'boom' } });
+    expect(await sessions.getPendingJobId(session.id)).toBeNull();
+  });
+
+  test('lets one turn hold the session at a time', async () => {
+    const session = await sessions.create({ owner: 'lock' });
+
+    expect(await sessions.acquireTurn(session.id, 'job-1')).toBe(true);
+    expect(await sessions.acquireTurn(session.id, 'job-2')).toBe(false);
+    expect(await sessions.getPendingJobId(session.id)).toBe('job-1');
+
+    await sessions.releaseTurn(session.id);
+    expect(await sessions.acquireTurn(session.id, 'job-2')).toBe(true);
+  });
+
+  test('keeps the lock for a queued turn and starts the turn timeout when it runs', async () => {
+    const session = await sessions.create({ owner: 'timeout' });
+    const key = sessions._pendingKey(session.id);
+    await sessions.acquireTurn(session.id, 'job-1');
+
+    // Waiting in the queue: held as long as the session lives
+    expect(await sessions.client.ttl(key)).toBeGreaterThan(config.sessions.turnTimeout);
+
+    expect(await sessions.holdTurn(session.id, 'job-1')).toBe(true);
+    expect(await sessions.client.ttl(key)).toBeLessThanOrEqual(config.sessions.turnTimeout);
+
+    // Another job's lock is left alone
+    expect(await sessions.holdTurn(session.id, 'job-2')).toBe(false);
+    expect(await sessions.getPendingJobId(session.id)).toBe('job-1');
+  });
+
+  test('resumes the CLI session on every attempt after the first', async () => {
+    const session = await sessions.create({ owner: 'resume' });
+
+    // First attempt of the first turn creates it with --session-id
+    expect(await sessions.markStarted(session.id)).toBe(false);
+    // A retry of that turn, or any later turn, resumes it
+    expect(await sessions.markStarted(session.id)).toBe(true);
+    expect((await sessions.get(session.id)).started).toBe(true);
+    expect(await sessions.markStarted('missing')).toBe(false);
+  });
+});
+
+describe('Session Routes', () => {
+  let app;
+  let submit;
+
+  beforeAll(async () => {
+    app = Fastify();
+    app.decorateRequest('apiKey', null);
+    app.addHook('onRequest', async (request) => {
+      const id = request.headers['x-client'];
+      request.apiKey = id ? { id } : null;
+    });
+    app.register(require('../src/routes/sessions'), { prefix: '/api' });
+    await app.ready();
+  });
+
+  afterAll(() => app.close());
+
+  afterEach(() => {
+    if (submit) submit.mockRestore();
+  });
+
+  function stubSubmit() {
+    submit = jest.spyOn(submission, 'submit')
+      .mockImplementation(async ({ requestId }) => ({ requestId, status: 'queued', jobId: requestId }));
+    return submit;
+  }
+
+  function createSession(client = 'alice', body = {}) {
+    return app.inject({ method: 'POST', url: '/api/sessions', headers: { 'x-client': client }, payload: body });
+  }
+
+  test('creates sessions and rejects structured output', async () => {
+    const created = await createSession('alice', { title: 'Plans' });
+    expect(created.statusCode).toBe(201);
+    expect(created.json()).toMatchObject({ owner: 'alice', title: 'Plans', turns: 0 });
+
+    const schema = await createSession('alice', { outputSchema: { type: 'object' } });
+    expect(schema.statusCode).toBe(400);
+    expect(schema.json().error).toMatch(/outputSchema/);
+  });
+
+  test('queues a turn and refuses another until it finishes', async () => {
+    stubSubmit();
+    const { id } = (await createSession()).json();
+    const send = content => app.inject({
+      method: 'POST',
+      url: `/api/sessions/${id}/messages`,
+      headers: { 'x-client': 'alice' },
+      payload: { content },
+    });
+
+    const first = await send('Where should I go?');
+    expect(first.statusCode).toBe(202);
+    const { jobId } = first.json();
+    expect(submit).toHaveBeenCalledWith(expect.objectContaining({ query: 'Where should I go?', sessionId: id, clientId: 'alice' }));
+
+    const second = await send('And when?');
+    expect(second.statusCode).toBe(409);
+    expect(second.json()).toMatchObject({ jobId });
+    expect(submit).toHaveBeenCalledTimes(1);
+
+    const details = await app.inject({ url: `/api/sessions/${id}`, headers: { 'x-client': 'alice' } });
+    expect(details.json().pendingJobId).toBe(jobId);
+
+    await sessions.recordReply(id, { jobId, content: 'Lisbon.' });
+    expect((await send('And when?')).statusCode).toBe(202);
+
+    const transcript = await app.inject({ url: `/api/sessions/${id}/messages`, headers: { 'x-client': 'alice' } });
+    expect(transcript.json().messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+  });
+
+  test('frees the turn when the submission fails', async () => {
+    stubSubmit().mockRejectedValueOnce(new Error('Redis down'));
+    const { id } = (await createSession()).json();
+
+    const response = await app.inject({
+      method: 'POST',
+      url: `/api/sessions/${id}/messages`,
+      headers: { 'x-client': 'alice' },
+      payload: { content: 'Hi' },
+    });
+    expect(response.statusCode).toBe(500);
+    expect(await sessions.getPendingJobId(id)).toBeNull();
+  });
+
+  test('validates the turn content', async () => {
+    const { id } = (await createSession()).json();
+    const response = await app.inject({
+      method: 'POST',
+      url: `/api/sessions/${id}/messages`,
+      headers: { 'x-client': 'alice' },
+      payload: { content: '' },
+    });
+    expect(response.statusCode).toBe(400);
+  });
+
+  test('hides sessions from other clients', async () => {
+    stubSubmit();
+    const { id } = (await createSession('alice')).json();
+    const headers = { 'x-client': 'mallory' };
+
+    expect((await app.inject({ url: `/api/sessions/${id}`, headers })).statusCode).toBe(404);
+    expect((await app.inject({ url: `/api/sessions/${id}/messages`, headers })).statusCode).toBe(404);
+    expect((await app.inject({ method: 'POST', url: `/api/sessions/${id}/messages`, headers, payload: { content: 'Hi' } })).statusCode).toBe(404);
+    expect((await app.inject({ method: 'DELETE', url: `/api/sessions/${id}`, headers })).statusCode).toBe(404);
+    expect(submit).not.toHaveBeenCalled();
+
+    const own = await app.inject({ url: '/api/sessions', headers: { 'x-client': 'alice' } });
+    expect(own.json().sessions.map(s => s.id)).toContain(id);
+    const others = await app.inject({ url: '/api/sessions', headers });
+    expect(others.json().sessions.map(s => s.id)).not.toContain(id);
+  });
+});
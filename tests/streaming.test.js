@@ -0,0 +1,42 @@
+/**
+ * Streaming Tests
+ * Validates stream-json parsing used by the SSE endpoint
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const { createLineParser, extractDelta, extractAssistantText } = require('../src/utils/streamJson');
+
+describe('Stream JSON Parser', () => {
+  test('emits messages split across chunks', () => {
+    const messages = [];
+    const parser = createLineParser(message => messages.push(message));
+
+    parser.push('{"type":"system"}\n{"type":"ass');
+    parser.push('istant"}\nnot json\n');
+    parser.push('{"type":"result","result":"done"}');
+    parser.flush();
+
+    expect(messages.map(m => m.type)).toEqual(['system', 'assistant', 'result']);
+    expect(messages[2].result).toBe('done');
+  });
+
+  test('extracts text from partial deltas', () => {
+    const message = {
+      type: 'stream_event',
+      event: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } },
+    };
+
+    expect(extractDelta(message)).toBe('Hel');
+    expect(extractDelta({ type: 'assistant' })).toBeNull();
+  });
+
+  test('extracts text blocks from assistant messages', () => {
+    const message = {
+      type: 'assistant',
+      message: { content: [{ type: 'text', text: 'Hello' }, { type: 'tool_use' }, { type: 'text', text: '!' }] },
+    };
+
+    expect(extractAssistantText(message)).toBe('Hello!');
+    expect(extractAssistantText({ type: 'result' })).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Structured Output Tests
+ * Validates JSON extraction, schema validation and the repair loop against a
+ * local Messages API stand-in
+ */
+
+const http = require('http');
+const { describe, test, expect, beforeAll, afterAll, beforeEach } = require('@jest/globals');
+const config = require('../src/config/config');
+const claude = require('../src/services/claude');
+const { parseExecutionOptions } = require('../src/utils/options');
+const { extractJson, SCHEMA_VALIDATION_FAILED } = require('../src/utils/structuredOutput');
+
+describe('JSON Extraction', () => {
+  test('parses a bare JSON reply', () => {
+    expect(extractJson(' {"a": 1} ')).toEqual({ value: { a: 1 } });
+  });
+
+  test('finds JSON in a fenced block or surrounded by prose', () => {
+    expect(extractJson('Here you go:\n```json\n[1, 2]\n```\nThanks')).toEqual({ value: [1, 2] });
+    expect(extractJson('Result: {"text": "a } in a string", "n": {"m": 2}} done')).toEqual({
+      value: { text: 'a } in a string', n: { m: 2 } },
+    });
+  });
+
+  test('reports replies without JSON', () => {
+    expect(extractJson('No JSON here {oops').error).toMatch(/valid JSON/);
+  });
+});
+
+describe('Output Schema Option', () => {
+  test('accepts a valid schema and rejects invalid ones', () => {
+    const schema = { type: 'object', required: ['title'] };
+    expect(parseExecutionOptions({ outputSchema: schema })).toEqual({ options: { outputSchema: schema } });
+    expect(parseExecutionOptions({ outputSchema: 'object' }).error).toMatch(/outputSchema/);
+    expect(parseExecutionOptions({ outputSchema: { type: 'nope' } }).error).toMatch(/Invalid outputSchema/);
+  });
+});
+
+describe('Repair Attempts Setting', () => {
+  function loadAttempts(value) {
+    const original = process.env.CLAUDE_SCHEMA_REPAIR_ATTEMPTS;
+    process.env.CLAUDE_SCHEMA_REPAIR_ATTEMPTS = value;
+    let attempts;
+    jest.isolateModules(() => {
+      attempts = require('../src/config/config').claude.schemaRepairAttempts;
+    });
+    if (original === undefined) delete process.env.CLAUDE_SCHEMA_REPAIR_ATTEMPTS;
+    else process.env.CLAUDE_SCHEMA_REPAIR_ATTEMPTS = original;
+    return attempts;
+  }
+
+  test('keeps zero and whole numbers', () => {
+    expect(loadAttempts('0')).toBe(0);
+    expect(loadAttempts('5')).toBe(5);
+  });
+
+  test('falls back to the default for unusable values', () => {
+    for (const value of ['', 'two', '-1', '1.5']) {
+      expect(loadAttempts(value)).toBe(2);
+    }
+  });
+});
+
+describe('Repair Loop', () => {
+  const schema = {
+    type: 'object',
+    properties: { title: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+    required: ['title', 'tags'],
+  };
+  const originalBaseUrl = config.anthropic.baseUrl;
+  let server;
+  let replies;
+  let prompts;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (d) => { body += d; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        prompts.push(payload.messages[payload.messages.length - 1].content);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: `msg_${prompts.length}`,
+          content: [{ type: 'text', text: replies.shift() }],
+          usage: { input_tokens: 10, output_tokens: 5 },
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    config.anthropic.baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    config.anthropic.baseUrl = originalBaseUrl;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    prompts = [];
+  });
+
+  test('re-prompts with the validation errors until the reply conforms', async () => {
+    replies = ['Sure! {"title": "Report"}', '```json\n{"title": "Report", "tags": ["q3"]}\n```'];
+
+    const result = await claude.execute('Describe the report', { backend: 'http', outputSchema: schema });
+
+    expect(result.structured).toEqual({ title: 'Report', tags: ['q3'] });
+    expect(result.structuredAttempts).toBe(2);
+    expect(result.usage.input_tokens).toBe(20);
+    expect(prompts[0]).toContain('"required"');
+    expect(prompts[1]).toContain("must have required property 'tags'");
+  });
+
+  test('fails with schema_validation_failed once the repairs run out', async () => {
+    replies = Array(config.claude.schemaRepairAttempts + 1).fill('I cannot do that');
+
+    const error = await claude.execute('Describe the report', { backend: 'http', outputSchema: schema })
+      .catch(err => err);
+
+    expect(error.code).toBe(SCHEMA_VALIDATION_FAILED);
+    expect(error.details.attempts).toBe(config.claude.schemaRepairAttempts + 1);
+    expect(error.details.errors).toEqual(['reply does not contain valid JSON']);
+    expect(error.output.usage.output_tokens).toBe(5 * (config.claude.schemaRepairAttempts + 1));
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Prompt Template Tests
+ * Validates template references, rendering, variable schemas and version diffs
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const { generateQueryHash } = require('../src/utils/prompt');
+const {
+  parseTemplateRef,
+  placeholders,
+  render,
+  defaultSchema,
+  compileSchema,
+  validateVariables,
+  parseTemplateDefinition,
+  DIFF_MAX_LINES,
+  diffLines,
+} = require('../src/utils/templates');
+
+describe('Template references', () => {
+  test('parses a name with or without a version', () => {
+    expect(parseTemplateRef('summarize')).toEqual({ name: 'summarize', version: null });
+    expect(parseTemplateRef('summarize@3')).toEqual({ name: 'summarize', version: 3 });
+  });
+
+  test('rejects malformed references', () => {
+    expect(parseTemplateRef('summarize@latest').error).toMatch(/version/);
+    expect(parseTemplateRef('summarize@0').error).toMatch(/version/);
+    expect(parseTemplateRef('Summarize').error).toMatch(/reference/);
+    expect(parseTemplateRef('a@1@2').error).toMatch(/reference/);
+    expect(parseTemplateRef(3).error).toMatch(/string/);
+  });
+});
+
+describe('Rendering', () => {
+  const content = 'Summarize {{ text }} in {{count}} bullets for {{user.name}}. Again: {{text}}';
+
+  test('lists placeholders once, in order', () => {
+    expect(placeholders(content)).toEqual(['text', 'count', 'user.name']);
+  });
+
+  test('substitutes strings, numbers and nested values', () => {
+    expect(render(content, { text: 'the report', count: 3, user: { name: 'Ana' } }))
+      .toBe('Summarize the report in 3 bullets for Ana. Again: the report');
+  });
+
+  test('renders missing values as empty strings', () => {
+    expect(render('Hello {{name}}!', {})).toBe('Hello !');
+  });
+});
+
+describe('Variable schemas', () => {
+  test('requires every placeholder when no schema is given', () => {
+    const { validate } = compileSchema(defaultSchema('{{text}} for {{user.name}}'));
+    expect(validateVariables(validate, { text: 'a', user: { name: 'b' } })).toBeNull();
+    expect(validateVariables(validate, { text: 'a' })).toMatch(/required property 'user'/);
+  });
+
+  test('applies an explicit JSON schema', () => {
+    const { validate } = compileSchema({
+      type: 'object',
+      properties: { count: { type: 'integer', minimum: 1 } },
+      required: ['count'],
+    });
+    expect(validateVariables(validate, { count: 0 })).toMatch(/variables\/count must be >= 1/);
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(parseTemplateDefinition({ content: '' }).error).toMatch(/content/);
+    expect(parseTemplateDefinition({ content: 'x', schema: { type: 'nope' } }).error).toMatch(/schema/);
+    expect(parseTemplateDefinition({ content: 'x', schema: [] }).error).toMatch(/schema/);
+    expect(parseTemplateDefinition({ content: 'x' }).definition)
+      .toEqual({ content: 'x', schema: null, description: null });
+  });
+});
+
+describe('Template cache keys', () => {
+  const template = { name: 'summarize', version: 3, variables: { text: 'a', count: 2 } };
+
+  test('depend on the version and variables, not their order', () => {
+    const reordered = { ...template, variables: { count: 2, text: 'a' } };
+    expect(generateQueryHash('ignored', {}, {}, template)).toBe(generateQueryHash('other', {}, {}, reordered));
+    expect(generateQueryHash('x', {}, {}, template)).not.toBe(generateQueryHash('x', {}, {}, { ...template, version: 4 }));
+  });
+
+  test('differ from a plain query with the same text', () => {
+    expect(generateQueryHash('x', {}, {}, template)).not.toBe(generateQueryHash('x'));
+  });
+});
+
+describe('Version diffs', () => {
+  test('marks added, removed and unchanged lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { type: 'same', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'same', line: 'c' },
+      { type: 'added', line: 'd' },
+    ]);
+  });
+
+  test('diffs long versions whose change is small', () => {
+    const lines = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+    const changed = [...lines];
+    changed[10000] = 'edited';
+
+    const diff = diffLines(lines.join('\n'), changed.join('\n'));
+    expect(diff).toHaveLength(20001);
+    expect(diff.filter(line => line.type !== 'same')).toEqual([
+      { type: 'removed', line: 'line 10000' },
+      { type: 'added', line: 'edited' },
+    ]);
+    expect(diff[diff.length - 1]).toEqual({ type: 'same', line: 'line 19999' });
+  });
+
+  test('refuses changes longer than the cap', () => {
+    const before = Array.from({ length: DIFF_MAX_LINES + 1 }, (_, i) => `old ${i}`).join('\n');
+    const after = Array.from({ length: DIFF_MAX_LINES + 1 }, (_, i) => `new ${i}`).join('\n');
+
+    expect(diffLines(before, after)).toBeNull();
+    expect(diffLines(`head\n${before}`, 'head\nshort')).toBeNull();
+    expect(diffLines('same', 'same')).toEqual([{ type: 'same', line: 'same' }]);
+  });
+});
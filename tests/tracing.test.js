@@ -0,0 +1,101 @@
+/**
+ * Tracing Tests
+ * Validates W3C traceparent handling, span context propagation and OTLP encoding
+ */
+
+const { describe, test, expect } = require('@jest/globals');
+const tracing = require('../src/services/tracing');
+const { getContext } = require('../src/utils/context');
+const { toOtlp } = require('../src/utils/otlp');
+const { parseTraceparent, formatTraceparent } = require('../src/utils/traceContext');
+
+const HEADER = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+describe('Traceparent', () => {
+  test('parses valid headers', () => {
+    expect(parseTraceparent(HEADER)).toEqual({
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: 'b7ad6b7169203331',
+      sampled: true,
+    });
+    expect(parseTraceparent(HEADER.replace(/01$/, '00')).sampled).toBe(false);
+  });
+
+  test('rejects malformed headers and all-zero ids', () => {
+    expect(parseTraceparent(undefined)).toBeNull();
+    expect(parseTraceparent('00-abc-def-01')).toBeNull();
+    expect(parseTraceparent(HEADER.replace(/^00/, 'ff'))).toBeNull();
+    expect(parseTraceparent(`00-${'0'.repeat(32)}-b7ad6b7169203331-01`)).toBeNull();
+    expect(parseTraceparent(`00-0af7651916cd43dd8448eb211c80319c-${'0'.repeat(16)}-01`)).toBeNull();
+  });
+
+  test('round-trips through formatTraceparent', () => {
+    expect(formatTraceparent(parseTraceparent(HEADER))).toBe(HEADER);
+  });
+});
+
+describe('Span Context', () => {
+  test('nested spans share the trace and carry their parent', async () => {
+    const seen = {};
+    await tracing.withSpan('job.process', { parent: parseTraceparent(HEADER), context: { jobId: 'job-1' } }, async (outer) => {
+      seen.outer = outer;
+      await tracing.withSpan('claude.execute', {}, async (inner) => {
+        seen.inner = inner;
+        seen.context = getContext();
+        seen.traceparent = tracing.traceparent();
+      });
+    });
+
+    expect(seen.outer.traceId).toBe('0af7651916cd43dd8448eb211c80319c');
+    expect(seen.outer.parentSpanId).toBe('b7ad6b7169203331');
+    expect(seen.inner.traceId).toBe(seen.outer.traceId);
+    expect(seen.inner.parentSpanId).toBe(seen.outer.spanId);
+    expect(seen.context).toMatchObject({ jobId: 'job-1', spanId: seen.inner.spanId });
+    expect(seen.traceparent).toBe(`00-${seen.inner.traceId}-${seen.inner.spanId}-01`);
+    expect(seen.inner.endTime).not.toBeNull();
+  });
+
+  test('records errors and rethrows them', async () => {
+    let span;
+    await expect(tracing.withSpan('cache.write', {}, async (s) => {
+      span = s;
+      throw new Error('Redis unavailable');
+    })).rejects.toThrow('Redis unavailable');
+    expect(span.error).toBe('Redis unavailable');
+  });
+
+  test('has no traceparent outside a span', () => {
+    expect(tracing.traceparent()).toBeNull();
+    expect(tracing.carrier()).toEqual({ traceparent: null, requestId: null });
+  });
+});
+
+describe('OTLP Encoding', () => {
+  test('encodes spans with typed attributes and nanosecond times', () => {
+    const span = {
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: 'b7ad6b7169203331',
+      parentSpanId: null,
+      name: 'POST /api/query',
+      kind: 'server',
+      startTime: 1700000000000,
+      endTime: 1700000000250.5,
+      attributes: { 'http.response.status_code': 200, 'cache.hit': false, 'claude.model': undefined, ratio: 0.5 },
+      error: null,
+    };
+
+    const [resourceSpans] = toOtlp([span], { serviceName: 'gateway' }).resourceSpans;
+    const [encoded] = resourceSpans.scopeSpans[0].spans;
+
+    expect(resourceSpans.resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'gateway' } }]);
+    expect(encoded).toMatchObject({ kind: 2, startTimeUnixNano: '1700000000000000000', endTimeUnixNano: '1700000000250500000' });
+    expect(encoded).not.toHaveProperty('parentSpanId');
+    expect(encoded.attributes).toEqual([
+      { key: 'http.response.status_code', value: { intValue: '200' } },
+      { key: 'cache.hit', value: { boolValue: false } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+    ]);
+    expect(toOtlp([{ ...span, error: 'boom' }], { serviceName: 'gateway' }).resourceSpans[0].scopeSpans[0].spans[0].status)
+      .toEqual({ code: 2, message: 'boom' });
+  });
+});
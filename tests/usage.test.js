@@ -0,0 +1,70 @@
+/**
+ * Usage Tests
+ * Validates the daily totals and date range checks of /api/usage.
+ * Needs a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const Fastify = require('fastify');
+const usage = require('../src/services/usage');
+const { setupErrorHandling } = require('../src/middleware/errors');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+describe('Usage Route', () => {
+  const client = `usage-${Date.now()}`;
+  let app;
+
+  beforeAll(async () => {
+    app = Fastify();
+    setupErrorHandling(app);
+    app.decorateRequest('apiKey', null);
+    app.addHook('onRequest', async (request) => {
+      request.apiKey = { id: client };
+    });
+    app.register(require('../src/routes/usage'), { prefix: '/api' });
+    await app.ready();
+
+    const spend = { inputTokens: 10, outputTokens: 5, cacheCreationTokens: 0, cacheReadTokens: 2, costUsd: 0.25 };
+    await usage.record(client, spend, new Date('2024-03-02T12:00:00Z'));
+    await usage.record(client, spend, new Date('2024-03-02T13:00:00Z'));
+  });
+
+  afterAll(() => app.close());
+
+  function get(query) {
+    return app.inject({ url: `/api/usage?${query}` });
+  }
+
+  test('returns daily totals for the range', async () => {
+    const response = await get('from=2024-03-01&to=2024-03-02');
+    expect(response.statusCode).toBe(200);
+
+    const { days } = response.json();
+    expect(days.map(d => d.date)).toEqual(['2024-03-01', '2024-03-02']);
+    expect(days[0]).toMatchObject({ requests: 0, costUsd: 0 });
+    expect(days[1]).toMatchObject({ requests: 2, inputTokens: 20, outputTokens: 10, cacheReadTokens: 4, costUsd: 0.5 });
+  });
+
+  test.each([
+    ['a month out of range', 'from=2024-13-01&to=2024-12-31'],
+    ['an invalid end', 'from=2024-01-01&to=2024-01-32'],
+    ['a day past the end of the month', 'from=2024-02-30&to=2024-03-01'],
+    ['a malformed date', 'from=2024-1-1&to=2024-01-02'],
+    ['a repeated parameter', 'from=2024-01-01&from=2024-01-02&to=2024-01-03'],
+    ['a reversed range', 'from=2024-03-02&to=2024-03-01'],
+  ])('rejects %s', async (_, query) => {
+    const response = await get(query);
+    expect(response.statusCode).toBe(400);
+    expect(response.json().error.message).toMatch(/YYYY-MM-DD/);
+  });
+
+  test('caps the range at 92 days', async () => {
+    expect((await get('from=2024-01-01&to=2024-04-01')).statusCode).toBe(200);
+
+    const response = await get('from=2024-01-01&to=2024-04-02');
+    expect(response.statusCode).toBe(400);
+    expect(response.json().error.message).toMatch(/at most 92 days/);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Wait Tests
+ * Validates holding POST /api/query open until the job finishes, the
+ * maxWait bounds, and how waiting reads each outcome. Needs a running Redis.
+ */
+
+const { describe, test, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const Fastify = require('fastify');
+const config = require('../src/config/config');
+const queue = require('../src/queues/query');
+const submission = require('../src/services/submission');
+const cancellation = require('../src/services/cancellation');
+const { setupErrorHandling } = require('../src/middleware/errors');
+const { closeConnections } = require('./helpers/redis');
+
+afterAll(closeConnections);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A job whose finished() settles as given, and whose state is `state`
+function fakeJob({ finished, state = 'completed', data = {} }) {
+  return { id: 'job-1', data, finished: () => finished, getState: async () => state };
+}
+
+describe('Waiting for Jobs', () => {
+  test('resolves with the result of a completed job', async () => {
+    jest.spyOn(queue, 'getJob').mockResolvedValue(fakeJob({ finished: Promise.resolve({ result: '4' }) }));
+
+    expect(await submission.waitForJob('job-1', 1000)).toEqual({ state: 'completed', result: { result: '4' } });
+  });
+
+  test('times out on a job still running', async () => {
+    jest.spyOn(queue, 'getJob').mockResolvedValue(fakeJob({ finished: new Promise(() => {}), state: 'active' }));
+
+    expect(await submission.waitForJob('job-1', 50)).toEqual({ state: 'timeout' });
+    expect(await submission.waitForJob('job-1', 0)).toEqual({ state: 'timeout' });
+  });
+
+  test('reports only the final failure, with its typed details', async () => {
+    const failure = { code: 'schema_validation_failed', details: [] };
+    jest.spyOn(queue, 'getJob').mockResolvedValue(fakeJob({
+      finished: Promise.reject(new Error('Schema mismatch')),
+      state: 'failed',
+      data: { failure },
+    }));
+    jest.spyOn(cancellation, 'get').mockResolvedValue(null);
+
+    expect(await submission.waitForJob('job-1', 1000)).toEqual({ state: 'failed', error: 'Schema mismatch', failure });
+  });
+
+  test('reads a removed job as cancelled when it has a cancel marker', async () => {
+    jest.spyOn(queue, 'getJob').mockResolvedValue(null);
+    const marker = jest.spyOn(cancellation, 'get').mockResolvedValueOnce({ jobId: 'job-1' });
+
+    expect(await submission.waitForJob('job-1', 1000)).toEqual({ state: 'cancelled' });
+    marker.mockResolvedValueOnce(null);
+    expect(await submission.waitForJob('job-1', 1000)).toEqual({ state: 'unknown' });
+  });
+});
+
+describe('Query Wait Parameters', () => {
+  let app;
+
+  beforeAll(async () => {
+    app = Fastify();
+    setupErrorHandling(app);
+    app.decorateRequest('apiKey', null);
+    app.register(require('../src/routes/query'), { prefix: '/api' });
+    await app.ready();
+  });
+
+  afterAll(() => app.close());
+
+  function stub(outcome = { state: 'timeout' }) {
+    jest.spyOn(submission, 'submit').mockResolvedValue({ requestId: 'req-1', status: 'queued', jobId: 'job-1' });
+    return jest.spyOn(submission, 'waitForJob').mockResolvedValue(outcome);
+  }
+
+  function submit(payload, query = '') {
+    return app.inject({ method: 'POST', url: `/api/query${query}`, payload: { query: 'What is 2+2?', ...payload } });
+  }
+
+  test('does not wait unless asked to', async () => {
+    const waitForJob = stub();
+
+    expect((await submit({})).json()).toMatchObject({ status: 'queued', jobId: 'job-1' });
+    expect(waitForJob).not.toHaveBeenCalled();
+  });
+
+  test('returns the result when the job finishes in time', async () => {
+    stub({ state: 'completed', result: { result: '4' } });
+
+    const response = await submit({ wait: true });
+    expect(response.json()).toMatchObject({ status: 'completed', jobId: 'job-1', result: { result: '4' } });
+  });
+
+  test('waits the default time, at most the configured maximum', async () => {
+    const waitForJob = stub();
+
+    await submit({ wait: true });
+    expect(waitForJob).toHaveBeenLastCalledWith('job-1', config.wait.defaultSeconds * 1000);
+
+    await submit({ wait: true, maxWait: config.wait.maxSeconds + 60 });
+    expect(waitForJob).toHaveBeenLastCalledWith('job-1', config.wait.maxSeconds * 1000);
+
+    await submit({}, '?wait=true&maxWait=1.5');
+    expect(waitForJob).toHaveBeenLastCalledWith('job-1', 1500);
+  });
+
+  test('honours a maxWait of zero', async () => {
+    const waitForJob = stub();
+
+    const response = await submit({ wait: true, maxWait: 0 });
+    expect(response.json()).toMatchObject({ status: 'queued', jobId: 'job-1' });
+    expect(waitForJob).toHaveBeenLastCalledWith('job-1', 0);
+
+    await submit({}, '?wait=true&maxWait=0');
+    expect(waitForJob).toHaveBeenLastCalledWith('job-1', 0);
+  });
+
+  test('rejects negative or malformed waits', async () => {
+    const waitForJob = stub();
+
+    expect((await submit({ wait: true, maxWait: -1 })).statusCode).toBe(400);
+    expect((await submit({}, '?wait=true&maxWait=-1')).statusCode).toBe(400);
+    expect((await submit({}, '?wait=true&maxWait=soon')).statusCode).toBe(400);
+    expect(waitForJob).not.toHaveBeenCalled();
+  });
+
+  test('rejects waits that are not finite before submitting', async () => {
+    const waitForJob = stub();
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/query',
+      headers: { 'content-type': 'application/json' },
+      payload: '{"query": "What is 2+2?", "wait": true, "maxWait": 1e999}',
+    });
+    expect(response.statusCode).toBe(400);
+    expect(response.json().error.message).toMatch(/maxWait/);
+    expect(submission.submit).not.toHaveBeenCalled();
+    expect(waitForJob).not.toHaveBeenCalled();
+  });
+});
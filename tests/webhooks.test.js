@@ -0,0 +1,86 @@
+/**
+ * Webhook Tests
+ * Validates HMAC signing and verification of webhook deliveries, and the
+ * dead-letter limits. Dead letters need a running Redis.
+ */
+
+const { describe, test, expect, beforeEach, afterAll } = require('@jest/globals');
+const config = require('../src/config/config');
+const webhook = require('../src/services/webhook');
+const { signPayload, verifySignature } = require('../src/utils/signature');
+const { closeConnections } = require('./helpers/redis');
+
+describe('Webhook Signatures', () => {
+  const secret = 'whsec_test';
+  const body = JSON.stringify({ response: '4' });
+
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const signature = signPayload(secret, 1700000000, body);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(signPayload(secret, 1700000000, body)).toBe(signature);
+    expect(signPayload(secret, 1700000001, body)).not.toBe(signature);
+  });
+
+  test('verifies fresh signatures and rejects tampering', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(verifySignature(secret, timestamp, body, signature)).toBe(true);
+    expect(verifySignature(secret, timestamp, '{"response":"5"}', signature)).toBe(false);
+    expect(verifySignature('whsec_other', timestamp, body, signature)).toBe(false);
+  });
+
+  test('rejects stale timestamps', () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 3600;
+    const signature = signPayload(secret, timestamp, body);
+
+    expect(verifySignature(secret, timestamp, body, signature)).toBe(false);
+  });
+});
+
+describe('Webhook Dead Letters', () => {
+  const originalSize = config.webhook.deadLetterSize;
+
+  beforeEach(async () => {
+    config.webhook.deadLetterSize = originalSize;
+    await webhook.client.del(webhook.deadKey, webhook.deadOrderKey);
+  });
+
+  afterAll(async () => {
+    config.webhook.deadLetterSize = originalSize;
+    await closeConnections();
+  });
+
+  function record(id, failedAt = Date.now()) {
+    return { id, url: 'https://example.com/hook', payload: {}, error: 'Webhook failed: 500', attempts: 12, failedAt };
+  }
+
+  test('keeps only the newest deliveries beyond the size limit', async () => {
+    config.webhook.deadLetterSize = 2;
+    const now = Date.now();
+    for (const [i, id] of ['d1', 'd2', 'd3'].entries()) {
+      await webhook.deadLetter(record(id, now + i));
+    }
+
+    expect((await webhook.listDead()).map(r => r.id)).toEqual(['d3', 'd2']);
+    expect(await webhook.client.zcard(webhook.deadOrderKey)).toBe(2);
+  });
+
+  test('drops deliveries past the retention', async () => {
+    const now = Date.now();
+    await webhook.deadLetter(record('old', now - config.webhook.deadLetterRetention * 1000 - 1000));
+    await webhook.deadLetter(record('new', now));
+
+    expect((await webhook.listDead()).map(r => r.id)).toEqual(['new']);
+    expect(await webhook.client.ttl(webhook.deadKey)).toBeGreaterThan(0);
+  });
+
+  test('removes discarded deliveries from the order', async () => {
+    await webhook.deadLetter(record('gone'));
+
+    expect(await webhook.removeDead('gone')).toBe(true);
+    expect(await webhook.removeDead('gone')).toBe(false);
+    expect(await webhook.client.zcard(webhook.deadOrderKey)).toBe(0);
+  });
+});